@@ -0,0 +1,140 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ * Portions Copyright (C) Philipp Kewisch */
+
+import calGoogleRequest from "./request.js";
+import { API_BASE } from "./utils.js";
+
+// Google allows up to 50 calls in one batch request, but recommends to keep batches small.
+export const BATCH_SIZE = 50;
+
+/**
+ * Sends multiple requests in one multipart/mixed batch request. Each part of the response is
+ * handled by its original request, so errors map to the same error codes as a regular commit.
+ */
+export default class calGoogleBatchRequest extends calGoogleRequest {
+  /**
+   * Get the batch endpoint for the API a request is sent to.
+   *
+   * @param {calGoogleRequest} request      The request to check.
+   * @return {string}                       The batch endpoint URL.
+   */
+  static endpointFor(request) {
+    if (request.options.uri.startsWith(API_BASE.TASKS)) {
+      return "https://www.googleapis.com/batch/tasks/v1";
+    } else {
+      return "https://www.googleapis.com/batch/calendar/v3";
+    }
+  }
+
+  constructor(uri, requests) {
+    super({ method: "POST", uri });
+    if (requests.length > BATCH_SIZE) {
+      throw new Error(`Batch contains ${requests.length} requests, at most ${BATCH_SIZE} allowed`);
+    }
+    this.requests = requests;
+    let random = Math.random()
+      .toString(36)
+      .substr(2);
+    this.boundary = "batch_" + random;
+  }
+
+  prepare(session) {
+    let parts = this.requests.map((request, index) => {
+      let uri = request.prepare(session);
+      let headers = Object.entries(request.options.headers)
+        .filter(([name]) => name != "Authorization")
+        .map(([name, value]) => `${name}: ${value}\r\n`);
+
+      return (
+        `--${this.boundary}\r\n` +
+        "Content-Type: application/http\r\n" +
+        `Content-ID: <item${index}>\r\n\r\n` +
+        `${request.options.method} ${uri.pathname}${uri.search} HTTP/1.1\r\n` +
+        headers.join("") +
+        "\r\n" +
+        (request.options.body || "") +
+        "\r\n"
+      );
+    });
+
+    this.options.body = parts.join("") + `--${this.boundary}--`;
+    this.options.headers = {
+      "Content-Type": `multipart/mixed; boundary=${this.boundary}`,
+    };
+    return super.prepare(session);
+  }
+
+  async parseResponse() {
+    let contentType = this.response.headers.get("Content-Type") || "";
+    let boundary = contentType.match(/^multipart\/mixed;\s*boundary="?([^";]+)"?/)?.[1];
+    if (!boundary) {
+      await super.parseResponse();
+      return;
+    }
+
+    let text = await this.response.text();
+    this.parts = text
+      .split("--" + boundary)
+      .slice(1, -1)
+      .map(part => this.parsePart(part));
+    this.json = { status: "Batch" };
+  }
+
+  parsePart(part) {
+    // Each part has its own headers, followed by the HTTP response of the call
+    let [partHeaders, httpResponse] = splitHead(part.trimStart());
+    let [head, body] = splitHead(httpResponse);
+    let [statusLine, ...headerLines] = head.split(/\r?\n/);
+
+    let [, status, statusText] = statusLine.match(/^HTTP\/[\d.]+ (\d+) ?(.*)$/);
+    let headers = new Headers();
+    for (let line of headerLines) {
+      let colon = line.indexOf(":");
+      headers.append(line.substr(0, colon).trim(), line.substr(colon + 1).trim());
+    }
+
+    body = body.replace(/\r?\n$/, "");
+    if (!body && !headers.has("Content-Length")) {
+      headers.set("Content-Length", "0");
+    }
+    if (!headers.has("Date") && this.response.headers.has("Date")) {
+      headers.set("Date", this.response.headers.get("Date"));
+    }
+
+    return {
+      id: partHeaders.match(/^Content-ID:\s*<response-(.*)>/im)?.[1],
+      response: new Response(body || null, { status: parseInt(status, 10), statusText, headers }),
+    };
+  }
+
+  /**
+   * Hand the parts of the batch response to their original requests. Needs to be called after the
+   * batch request was committed.
+   *
+   * @param {calGoogleSession} session    The session the requests were sent with.
+   * @return {Object[]}                   The settled results of each request, in the same format
+   *                                        as Promise.allSettled.
+   */
+  async handleParts(session) {
+    let responses = new Map((this.parts || []).map(part => [part.id, part.response]));
+    return Promise.allSettled(
+      this.requests.map(async (request, index) => {
+        request.response = responses.get("item" + index);
+        if (!request.response) {
+          throw new Error("NS_ERROR_NOT_AVAILABLE");
+        }
+        return request.handleResponse(session);
+      })
+    );
+  }
+}
+
+function splitHead(text) {
+  let match = text.match(/\r?\n\r?\n/);
+  if (!match) {
+    return [text, ""];
+  }
+  return [text.substr(0, match.index), text.substr(match.index + match[0].length)];
+}
@@ -5,13 +5,66 @@
 
 import sessions from "./session.js";
 import calGoogleRequest from "./request.js";
+import calGoogleThrottle from "./throttle.js";
+import calGoogleOutbox from "./outbox.js";
+import calGoogleSyncState from "./syncstate.js";
 import Console from "./log.js";
 
-import { getGoogleId, sessionIdFromUrl, GCAL_PATH_RE, API_BASE } from "./utils.js";
-import { itemToJson, jsonToItem, jsonToAlarm, patchItem, ItemSaver } from "./items.js";
+import {
+  getGoogleId,
+  getRecurrenceId,
+  sessionIdFromUrl,
+  addVCalendar,
+  GCAL_PATH_RE,
+  API_BASE,
+} from "./utils.js";
+import {
+  itemToJson,
+  jsonToItem,
+  jsonToAlarm,
+  patchItem,
+  mergePatch,
+  isCancelled,
+  isThisAndFuture,
+  cancelOccurrence,
+  splitRecurrence,
+  ItemSaver,
+} from "./items.js";
 
 var console = new Console("calGoogleCalendar");
 
+// Errors that are shown to the user as the calendar status, with the name of their message.
+const STATUS_MESSAGES = {
+  TOKEN_FAILURE: "providerOutdated",
+  QUOTA_FAILURE: "quotaExceeded",
+  LOGIN_FAILED: "loginFailed",
+  READ_FAILED: "readFailed",
+  MODIFICATION_FAILED: "modificationFailed",
+};
+
+// Errors when retrieving a single event that mean it is gone or the user may not read it. Anything
+// else, e.g. a server or network error, is not a reason to replace the event with a fake parent.
+const UNREADABLE_ERRORS = ["CONFLICT_DELETED", "RESOURCE_GONE", "READ_FAILED"];
+
+// Months before and after today retrieved first on the initial sync, the rest is retrieved in the
+// backfill. These can be overridden using the syncWindow.past and syncWindow.future calendar prefs.
+export const DEFAULT_SYNC_WINDOW = {
+  past: 3,
+  future: 12,
+};
+
+/**
+ * Get the etag to send when changing an item. Modified occurrences have their own etag on the
+ * server, which is kept in the metadata of the parent item.
+ */
+function getEtag(item) {
+  let recurrenceId = item.type == "event" && getRecurrenceId(item);
+  if (recurrenceId) {
+    return item.metadata?.exceptionEtags?.[recurrenceId] || "*";
+  }
+  return item.metadata?.etag || "*";
+}
+
 export default class calGoogleCalendar {
   static _instances = {};
 
@@ -29,30 +82,51 @@ export default class calGoogleCalendar {
   static initListeners() {
     messenger.calendar.provider.onItemCreated.addListener(
       (calendar, item) => {
-        return this.get(calendar.id).then(instance => instance.onItemCreated(item));
+        return this.get(calendar.id).then(instance =>
+          instance.trackStatus(() => instance.outbox.send("create", item))
+        );
       },
       { returnFormat: "jcal" }
     );
     messenger.calendar.provider.onItemUpdated.addListener(
       (calendar, item, oldItem) => {
-        return this.get(calendar.id).then(instance => instance.onItemUpdated(item, oldItem));
+        return this.get(calendar.id).then(instance =>
+          instance.trackStatus(() => instance.outbox.send("modify", item, oldItem))
+        );
+      },
+      { returnFormat: "jcal" }
+    );
+    messenger.calendar.provider.onItemRemoved.addListener(
+      (calendar, item) => {
+        return this.get(calendar.id).then(instance =>
+          instance.trackStatus(() => instance.outbox.send("delete", item))
+        );
+      },
+      { returnFormat: "jcal" }
+    );
+    messenger.calendar.provider.onItemMoved.addListener(
+      async (fromCalendar, item, toCalendar) => {
+        let [source, target] = await Promise.all([
+          this.get(fromCalendar.id),
+          this.get(toCalendar.id),
+        ]);
+        return source.trackStatus(() => source.onItemMoved(item, target));
       },
       { returnFormat: "jcal" }
     );
-    messenger.calendar.provider.onItemRemoved.addListener((calendar, id) => {
-      return this.get(calendar.id).then(instance => instance.onItemRemoved(id));
-    });
 
     messenger.calendar.provider.onInit.addListener(calendar => {
       return this.get(calendar.id).then(instance => instance.onInit());
     });
     messenger.calendar.provider.onSync.addListener(calendar => {
-      return this.get(calendar.id).then(instance => instance.onSync());
+      return this.get(calendar.id).then(instance => instance.trackStatus(() => instance.onSync()));
     });
     messenger.calendar.provider.onResetSync.addListener(calendar => {
       return this.get(calendar.id).then(instance => instance.onResetSync());
     });
 
+    messenger.calendar.calendars.onRemoved.addListener(id => this.onRemoved(id));
+
     messenger.calendar.provider.onDetectCalendars.addListener(
       (username, password, location, savePassword, extraProperties) => {
         return this.onDetectCalendars(username, password, location, savePassword, extraProperties);
@@ -60,6 +134,11 @@ export default class calGoogleCalendar {
     );
   }
 
+  static async onRemoved(id) {
+    delete this._instances[id];
+    await new calGoogleSyncState(id).remove();
+  }
+
   static async onDetectCalendars(username, password, location, savePassword, extraProperties) {
     let session = sessions.byId(username, true);
 
@@ -97,20 +176,53 @@ export default class calGoogleCalendar {
   }
 
   defaultReminders = [];
+  lastError = "";
+  backfill = null;
+  syncGeneration = 0;
 
   constructor(calendar) {
     this.id = calendar.id;
     this.cacheId = calendar.cacheId;
     this.url = new URL(calendar.url);
     this.session = sessions.byCalendar(this, true);
+    this.syncState = new calGoogleSyncState(this.id);
+    this.throttle = new calGoogleThrottle(this);
+    this.outbox = new calGoogleOutbox(this);
     this.console = new Console(`calGoogleCalendar(${this.id})`);
   }
 
+  /**
+   * Run the function and update the calendar status depending on its outcome. Errors the user can
+   * act on are shown on the calendar, a successful run clears them again.
+   */
+  async trackStatus(func) {
+    try {
+      let result = await func();
+      await this.setLastError("");
+      return result;
+    } catch (e) {
+      let messageName = STATUS_MESSAGES[e.message];
+      if (messageName) {
+        await this.setLastError(messenger.i18n.getMessage(messageName, this.session.id));
+      }
+      throw e;
+    }
+  }
+
+  async setLastError(lastError) {
+    if (lastError != this.lastError) {
+      this.lastError = lastError;
+      await messenger.calendar.calendars.update(this.id, { lastError });
+    }
+  }
+
   get isDefaultCalendar() {
     return !this.calendarName?.endsWith("@group.calendar.google.com");
   }
 
   async onInit() {
+    await this.syncState.migrate();
+
     let matchpath = this.url.pathname.match(GCAL_PATH_RE);
     if (this.url.protocol == "googleapi:") {
       // new format:  googleapi://session-id/?calendar=calhash@group.calendar.google.com&tasks=taskhash
@@ -127,9 +239,7 @@ export default class calGoogleCalendar {
       matchpath
     ) {
       this.calendarName = decodeURIComponent(matchpath[2]);
-      let googleUserPref = "googleUser." + this.calendarName;
-      let prefs = await messenger.storage.local.get({ [googleUserPref]: null });
-      let googleUser = prefs[googleUserPref];
+      let googleUser = await calGoogleSyncState.getLegacyGoogleUser(this.calendarName);
 
       let newUrlParams = new URLSearchParams({ calendar: this.calendarName });
       if (googleUser == this.calendarName) {
@@ -180,13 +290,70 @@ export default class calGoogleCalendar {
   }
 
   async getCalendarPref(pref, defaultValue = null) {
-    let prefName = `calendars.${this.id}.${pref}`;
-    let prefs = await messenger.storage.local.get({ [prefName]: defaultValue });
-    return prefs[prefName];
+    return this.syncState.get(pref, defaultValue);
   }
   async setCalendarPref(pref, value) {
-    let prefName = `calendars.${this.id}.${pref}`;
-    await messenger.storage.local.set({ [prefName]: value });
+    await this.syncState.set(pref, value);
+  }
+
+  /**
+   * Commit a request conditionally, based on the etag from the last time it was made. The etag is
+   * kept in a calendar pref and updated when the resource has changed.
+   *
+   * @param {calGoogleRequest} request    The GET request to commit.
+   * @param {string} etagPref             The calendar pref to keep the etag in.
+   * @return {?Object}                    The response data, or null if the resource has not
+   *                                        been modified.
+   */
+  async commitIfModified(request, etagPref) {
+    let etag = await this.getCalendarPref(etagPref);
+    if (etag) {
+      request.options.headers = { ...request.options.headers, "If-None-Match": etag };
+    }
+
+    let data;
+    try {
+      data = await request.commit(this.session);
+    } catch (e) {
+      if (e.message == "NOT_MODIFIED") {
+        this.console.log(`Resource for ${etagPref} has not been modified`);
+        return null;
+      }
+      throw e;
+    }
+
+    await this.setCalendarPref(etagPref, data.etag || null);
+    return data;
+  }
+
+  /**
+   * Get the calendar list entry for this calendar from the list shared by all calendars of the
+   * session. If the list does not contain the calendar, the entry is requested directly.
+   *
+   * @return {?Object}      The calendar list entry, or null if it has not been modified.
+   */
+  async getModifiedCalendarListEntry() {
+    let data = await this.session.getCalendarListEntry(this.calendarName);
+    if (!data) {
+      let request = new calGoogleRequest({
+        uri: this.createUsersURI("calendarList", this.calendarName),
+        method: "GET",
+      });
+      return this.commitIfModified(request, "calendarListEtag");
+    }
+
+    if (data.etag && data.etag == (await this.getCalendarPref("calendarListEtag"))) {
+      return null;
+    }
+    await this.setCalendarPref("calendarListEtag", data.etag || null);
+    return data;
+  }
+
+  async restoreDefaultReminders() {
+    let defaultReminders = JSON.parse(
+      await this.getCalendarPref("settings.defaultReminders", "[]")
+    );
+    this.defaultReminders = (defaultReminders || []).map(alarm => jsonToAlarm(alarm, true));
   }
 
   async getUpdatedMin() {
@@ -208,7 +375,38 @@ export default class calGoogleCalendar {
     return updatedMin;
   }
 
-  // TODO throttle requests
+  /**
+   * Get the event color palette of the account. If it can't be retrieved, events are converted
+   * without their color.
+   *
+   * @return {Object}       The palette, mapping color ids to background and foreground colors.
+   */
+  async getEventColors() {
+    try {
+      let colors = await this.session.getColors();
+      return colors.event || {};
+    } catch (e) {
+      this.console.error("Could not retrieve event colors", e);
+      return {};
+    }
+  }
+
+  /**
+   * Get the query parameters for creating or changing an event.
+   *
+   * @param {Object} itemData     The event data that will be sent.
+   * @return {Object}             The query parameters, unset ones are skipped by the request.
+   */
+  async getEventParams(itemData) {
+    let prefs = await messenger.storage.local.get({ "settings.sendEventNotifications": false });
+    return {
+      sendUpdates: prefs["settings.sendEventNotifications"] ? "all" : null,
+      // Conference data and attachments are ignored unless the client says it supports them
+      conferenceDataVersion: itemData.conferenceData ? 1 : null,
+      supportsAttachments: itemData.attachments ? "true" : null,
+    };
+  }
+
   // TODO itip/imip
 
   async onItemCreated(item) {
@@ -221,18 +419,17 @@ export default class calGoogleCalendar {
     // TODO end
     let isImport = false;
 
-    let itemData = itemToJson(item, this, isImport);
+    let eventColors = item.type == "event" ? await this.getEventColors() : {};
+    let itemData = itemToJson(item, this, isImport, eventColors);
 
     let uri;
+    let params = {};
     this.console.log(`Adding ${isImport ? "invitation" : "regular"} ${item.type} ${item.title}`);
 
     /* istanbul ignore else - unreachable */
     if (item.type == "event") {
       uri = this.createEventsURI("events", isImport && "import");
-      let prefs = await messenger.storage.local.get({ "settings.sendEventNotifications": false });
-      if (prefs["settings.sendEventNotifications"]) {
-        uri += "?sendUpdates=all";
-      }
+      params = await this.getEventParams(itemData);
     } else if (item.type == "task") {
       uri = this.createTasksURI("tasks");
       delete itemData.id;
@@ -241,18 +438,14 @@ export default class calGoogleCalendar {
     let request = new calGoogleRequest({
       method: "POST",
       uri,
+      params,
       json: itemData,
     });
 
-    let data = await request.commit(this.session);
+    let data = await this.session.queueRequest(request);
 
-    let newItem = await jsonToItem(
-      data,
-      this,
-      this.defaultReminders,
-      null,
-      /* TODO metaData */ null
-    );
+    // TODO metaData
+    let newItem = await jsonToItem(data, this, this.defaultReminders, null, eventColors);
 
     if (data.organizer?.self) {
       // We found ourselves, remember the display name
@@ -269,62 +462,60 @@ export default class calGoogleCalendar {
   }
 
   async onItemUpdated(item, oldItem) {
+    let isOccurrence = item.type == "event" && !!getRecurrenceId(item);
+    if (isOccurrence && isCancelled(item)) {
+      // Cancelling an occurrence deletes the instance, the parent item gets an EXDATE
+      return this.onItemRemoved(item);
+    }
+    if (isOccurrence && isThisAndFuture(item)) {
+      let parent = await messenger.calendar.items.get(this.cacheId, item.id, {
+        returnFormat: "jcal",
+      });
+      if (!parent) {
+        throw new Error("MODIFICATION_FAILED");
+      }
+      return this.splitSeries(parent, item);
+    }
+
     let uri;
+    let params = {};
+    let eventColors = item.type == "event" ? await this.getEventColors() : {};
+    let itemData = patchItem(item, oldItem, eventColors);
 
     /* istanbul ignore else - caught in patchItem */
     if (item.type == "event") {
       uri = this.createEventsURI("events", getGoogleId(item));
-      let prefs = await messenger.storage.local.get({ "settings.sendEventNotifications": false });
-      if (prefs["settings.sendEventNotifications"]) {
-        uri += "?sendUpdates=all";
-      }
+      params = await this.getEventParams(itemData);
     } else if (item.type == "task") {
       uri = this.createTasksURI("tasks", item.id);
     }
 
-    let itemData = patchItem(item, oldItem);
-
     let request = new calGoogleRequest({
       method: "PATCH",
       uri,
+      params,
       json: itemData,
       headers: {
-        "If-Match": (oldItem || item).metadata.etag || "*",
+        "If-Match": getEtag(oldItem || item),
       },
     });
 
-    // TODO resolve conflicts
-
-    let data = await request.commit(this.session);
-
-    let newItem = await jsonToItem(
-      data,
-      this,
-      this.defaultReminders,
-      item,
-      /* TODO metaData */ null
-    );
+    let data;
+    try {
+      data = await this.session.queueRequest(request);
+    } catch (e) {
+      if (e.message != "CONFLICT_MODIFY") {
+        throw e;
+      }
+      data = await this.resolveConflict("modify", request, item, oldItem);
+    }
 
-    // TODO
-    //  // Make sure to update the etag. Do so before switching to the
-    //  // parent item, as google saves its own etags for changed
-    //  // instances.
-    //  migrateItemMetadata(this.offlineStorage, aOldItem, item, metaData);
-    //
-    //  if (item.recurrenceId) {
-    //    // If we only modified an exception item, then we need to
-    //    // set the parent item and modify the exception.
-    //    let modifiedItem = aNewItem.parentItem.clone();
-    //    if (item.status == "CANCELLED") {
-    //      // Canceled means the occurrence is an EXDATE.
-    //      modifiedItem.recurrenceInfo.removeOccurrenceAt(item.recurrenceId);
-    //    } else {
-    //      // Not canceled means the occurrence was modified.
-    //      modifiedItem.recurrenceInfo.modifyException(item, true);
-    //    }
-    //    item = modifiedItem;
-    //  }
+    // TODO metaData
+    let newItem = await jsonToItem(data, this, this.defaultReminders, item, eventColors);
 
+    if (isOccurrence) {
+      return this.saveOccurrence(newItem);
+    }
     return newItem;
   }
 
@@ -346,19 +537,535 @@ export default class calGoogleCalendar {
       method: "DELETE",
       uri,
       headers: {
-        "If-Match": item.metadata.etag || "*",
+        "If-Match": getEtag(item),
+      },
+    });
+
+    try {
+      await this.session.queueRequest(request);
+    } catch (e) {
+      if (e.message == "CONFLICT_MODIFY") {
+        let serverData = await this.resolveConflict("delete", request, item);
+        if (serverData) {
+          // Thunderbird removes the item from the cache once the deletion is complete, the server
+          // version is restored afterwards.
+          setTimeout(() => {
+            this.saveServerItem(serverData).catch(error => {
+              this.console.error(`Could not restore ${item.title}`, error);
+            });
+          });
+          return null;
+        }
+      } else if (e.message != "RESOURCE_GONE") {
+        // If the item is already gone on the server, then the deletion was successful
+        throw e;
+      }
+    }
+
+    if (item.type == "event" && getRecurrenceId(item)) {
+      return this.saveOccurrence(cancelOccurrence(item));
+    }
+    return null;
+  }
+
+  /**
+   * Move an event to another calendar of the same account. Copying it to the target calendar and
+   * deleting it here would change its id and send new invitations to the attendees.
+   *
+   * @param {Object} item                   The event to move.
+   * @param {calGoogleCalendar} target      The calendar to move the event to.
+   * @return {?Object}                      The moved event, or null if it needs to be copied to
+   *                                          the target calendar and deleted here instead.
+   */
+  async onItemMoved(item, target) {
+    if (item.type != "event" || target.session != this.session || getRecurrenceId(item)) {
+      return null;
+    }
+
+    // Queued changes need to be replayed first, they are based on the event in this calendar
+    let [entries, targetEntries] = await Promise.all([
+      this.outbox.getEntries(),
+      target.outbox.getEntries(),
+    ]);
+    if (entries.length || targetEntries.length) {
+      return null;
+    }
+
+    let prefs = await messenger.storage.local.get({ "settings.sendEventNotifications": false });
+    let request = new calGoogleRequest({
+      method: "POST",
+      uri: this.createEventsURI("events", getGoogleId(item), "move"),
+      params: {
+        destination: target.calendarName,
+        sendUpdates: prefs["settings.sendEventNotifications"] ? "all" : null,
+      },
+    });
+
+    let data;
+    try {
+      data = await this.session.queueRequest(request);
+    } catch (e) {
+      if (e.message != "NS_ERROR_OFFLINE") {
+        throw e;
+      }
+      // The copy and the deletion can be queued in the outboxes until the network is back
+      this.console.log(`Network not available, copying ${item.title} instead of moving it`);
+      return null;
+    }
+
+    let eventColors = await target.getEventColors();
+    let newItem = await jsonToItem(data, target, target.defaultReminders, item, eventColors);
+    newItem.formats.jcal = addVCalendar(newItem.formats.jcal);
+    this.console.log(`Moving ${item.title} to ${target.calendarName} succeeded`);
+    return newItem;
+  }
+
+  /**
+   * Apply a modified or cancelled occurrence to its parent item in the cache. The server keeps
+   * modified occurrences as separate instances, while the cache keeps them as exceptions of the
+   * parent item.
+   *
+   * @param {Object} occurrence     The occurrence as returned by the server.
+   * @return {Object}               The occurrence, with the metadata of the parent item.
+   */
+  async saveOccurrence(occurrence) {
+    let parent = await messenger.calendar.items.get(this.cacheId, occurrence.id, {
+      returnFormat: "jcal",
+    });
+    if (!parent) {
+      this.console.log(`Parent of occurrence ${occurrence.title} is not in the cache`);
+      return occurrence;
+    }
+
+    let saver = new ItemSaver(this);
+    let exception = {
+      ...occurrence,
+      formats: { use: "jcal", jcal: addVCalendar(occurrence.formats.jcal) },
+    };
+    if (saver.applyException(exception, parent)) {
+      saver.commitItem(parent);
+      await saver.flush();
+    }
+    return { ...occurrence, metadata: parent.metadata };
+  }
+
+  /**
+   * Change this and all following occurrences of a recurring event. Google represents this as two
+   * series, the original series ends before the changed occurrence and a new series starts with it.
+   * Exceptions after the split point are moved to the new series.
+   *
+   * The new series is created first, the original series is only truncated once the new one is
+   * complete. If anything fails, the new series is removed again and the original stays intact.
+   *
+   * @param {Object} item           The parent item from the cache, including its exceptions.
+   * @param {Object} occurrence     The changed occurrence the new series starts with.
+   * @return {Object}               The new series.
+   */
+  async splitSeries(item, occurrence) {
+    let { item: truncatedItem, newItem, exceptions } = splitRecurrence(item, occurrence);
+    this.console.log(`Splitting ${item.title}, moving ${exceptions.length} exceptions`);
+
+    let prefs = await messenger.storage.local.get({ "settings.sendEventNotifications": false });
+    let params = { sendUpdates: prefs["settings.sendEventNotifications"] ? "all" : null };
+    let eventColors = await this.getEventColors();
+
+    let created = await this.session.queueRequest(
+      new calGoogleRequest({
+        method: "POST",
+        uri: this.createEventsURI("events"),
+        params,
+        json: itemToJson(newItem, this, false, eventColors),
+      })
+    );
+    let newSeries = await jsonToItem(created, this, this.defaultReminders, null, eventColors);
+    newSeries.formats.jcal = addVCalendar(newSeries.formats.jcal);
+
+    let saver = new ItemSaver(this);
+    try {
+      let instances = await Promise.all(
+        exceptions.map(async exception => {
+          exception.metadata = { path: created.id };
+          let data = await this.session.queueRequest(
+            new calGoogleRequest({
+              method: "PATCH",
+              uri: this.createEventsURI("events", getGoogleId(exception)),
+              params,
+              json: itemToJson(exception, this, false, eventColors),
+            })
+          );
+          let instance = await jsonToItem(data, this, this.defaultReminders, null, eventColors);
+          instance.formats.jcal = addVCalendar(instance.formats.jcal);
+          return instance;
+        })
+      );
+      for (let instance of instances) {
+        saver.applyException(instance, newSeries);
+      }
+
+      let truncated = await this.session.queueRequest(
+        new calGoogleRequest({
+          method: "PATCH",
+          uri: this.createEventsURI("events", getGoogleId(item)),
+          params,
+          json: patchItem(truncatedItem, item, eventColors),
+          headers: { "If-Match": getEtag(item) },
+        })
+      );
+      truncatedItem.metadata.etag = truncated.etag;
+    } catch (e) {
+      this.console.error(`Could not split ${item.title}, removing the new series`, e);
+      await this.session
+        .queueRequest(
+          new calGoogleRequest({
+            method: "DELETE",
+            uri: this.createEventsURI("events", created.id),
+            params,
+          })
+        )
+        .catch(deleteError => {
+          this.console.error(`Could not remove the new series of ${item.title}`, deleteError);
+        });
+      throw e;
+    }
+
+    // Both series are saved in one go, so the cache never shows them overlapping
+    saver.commitItem(truncatedItem);
+    saver.commitItem(newSeries);
+    await saver.flush();
+
+    return newSeries;
+  }
+
+  /**
+   * Retrieve a single event from the server, e.g. the parent of an exception that was not synced.
+   *
+   * @param {string} eventId      The Google id of the event.
+   * @return {?Object}            The event data, or null if the event doesn't exist or the user has
+   *                                no access to it.
+   */
+  async fetchEvent(eventId) {
+    let request = new calGoogleRequest({
+      method: "GET",
+      uri: this.createEventsURI("events", eventId),
+    });
+
+    try {
+      return await this.session.queueRequest(request);
+    } catch (e) {
+      if (UNREADABLE_ERRORS.includes(e.message)) {
+        this.console.log(`Could not retrieve event ${eventId}: ${e.message}`);
+        return null;
+      }
+      throw e;
+    }
+  }
+
+  /**
+   * Resolve a conflict after the server rejected a modification or deletion because the item was
+   * changed in the meanwhile. The user is asked to either overwrite the server version, keep the
+   * server version, or retry the request against the current server version.
+   *
+   * @param {string} method                 The operation that caused the conflict, modify or delete.
+   * @param {calGoogleRequest} request      The request that failed with CONFLICT_MODIFY.
+   * @param {Object} item                   The item that was being modified or deleted.
+   * @param {?Object} oldItem               For modifications, the item the change is based on.
+   * @param {boolean} isRetry               If this conflict happened when sending the resolution
+   *                                          of an earlier conflict, which is not tried again.
+   * @return {?Object}                      The JSON response for the item. For deletions, the
+   *                                          server version if the user kept it, otherwise null.
+   */
+  async resolveConflict(method, request, item, oldItem = null, isRetry = false) {
+    this.console.log(`Conflict when trying to ${method} ${item.title}, retrieving server version`);
+
+    let serverRequest = new calGoogleRequest({
+      method: "GET",
+      uri:
+        item.type == "event"
+          ? this.createEventsURI("events", getGoogleId(item))
+          : this.createTasksURI("tasks", item.id),
+    });
+
+    let serverData = null;
+    try {
+      serverData = await serverRequest.commit(this.session);
+    } catch (e) {
+      if (e.message != "CONFLICT_DELETED" && e.message != "RESOURCE_GONE") {
+        throw e;
+      }
+    }
+
+    // Deleted items are sometimes still returned, but marked as such
+    let serverDeleted = !serverData || serverData.status == "cancelled" || serverData.deleted;
+    if (serverDeleted && method == "delete") {
+      this.console.log(`${item.title} has already been deleted on the server`);
+      return null;
+    }
+
+    // If the changes on both sides don't overlap, the local changes can be applied to the server
+    // version without asking the user.
+    let choice;
+    if (oldItem && !serverDeleted) {
+      let eventColors = item.type == "event" ? await this.getEventColors() : {};
+      let serverItem = await jsonToItem(serverData, this, this.defaultReminders, item, eventColors);
+      serverItem.formats.jcal = addVCalendar(serverItem.formats.jcal);
+
+      let patch = mergePatch(item, oldItem, serverItem, eventColors);
+      if (patch) {
+        this.console.log(`Changes to ${item.title} don't overlap with the server version`);
+        request.options.json = patch;
+        choice = "retry";
+      }
+    }
+
+    choice ??= await messenger.gdata.promptConflict(method, item.title);
+    this.console.log(`Resolving conflict for ${item.title} using ${choice}`);
+
+    if (choice == "reload") {
+      if (method == "modify") {
+        if (serverDeleted) {
+          await messenger.calendar.items.remove(this.cacheId, item.id);
+          throw new Error("OPERATION_CANCELLED");
+        }
+        return serverData;
+      }
+
+      // Deletions of items already deleted on the server were handled above, the item is kept
+      return serverData;
+    }
+
+    // A retry sends the same changes again, but based on the current server version
+    let etag = choice == "retry" && !serverDeleted ? serverData.etag : "*";
+    request.options.headers["If-Match"] = etag;
+
+    try {
+      let data = await request.commit(this.session);
+      return method == "delete" ? null : data;
+    } catch (e) {
+      if (e.message == "CONFLICT_MODIFY" && !isRetry) {
+        return this.resolveConflict(method, request, item, oldItem, true);
+      } else if (e.message == "RESOURCE_GONE" && method == "delete") {
+        return null;
+      }
+      throw e;
+    }
+  }
+
+  /**
+   * Save the server version of an item to the cache.
+   *
+   * @param {Object} data       The JSON data of the event or task.
+   */
+  async saveServerItem(data) {
+    let saver = new ItemSaver(this);
+    await saver.parseItemStream({
+      kind: data.kind == "tasks#task" ? "tasks#tasks" : "calendar#events",
+      items: [data],
+    });
+    await saver.complete();
+  }
+
+  /**
+   * Retrieve the events of a calendar that has not been synchronized yet. Events in a window
+   * around today are retrieved first, so the calendar is usable quickly. The events before and
+   * after the window are retrieved in a backfill that runs separately and is resumed on the next
+   * sync if it is interrupted. Incremental sync starts once the backfill has completed.
+   *
+   * @param {?number} maxResults      The maximum number of events per page.
+   */
+  async syncEventsInitial(maxResults) {
+    let backfill = await this.getCalendarPref("eventBackfill");
+    if (!backfill) {
+      let past = await this.getCalendarPref("syncWindow.past", DEFAULT_SYNC_WINDOW.past);
+      let future = await this.getCalendarPref("syncWindow.future", DEFAULT_SYNC_WINDOW.future);
+      let timeMin = new Date();
+      timeMin.setMonth(timeMin.getMonth() - past);
+      let timeMax = new Date();
+      timeMax.setMonth(timeMax.getMonth() + future);
+
+      // The sync token is retrieved first, changes made while the events are retrieved are then
+      // picked up by the first incremental sync.
+      let syncToken = await this.getEventSyncToken();
+
+      this.console.log(
+        `Retrieving events between ${timeMin.toISOString()} and ${timeMax.toISOString()}`
+      );
+      let request = new calGoogleRequest({
+        method: "GET",
+        uri: this.createEventsURI("events"),
+        params: {
+          maxResults,
+          showDeleted: "false",
+          timeMin: timeMin.toISOString(),
+          timeMax: timeMax.toISOString(),
+        },
+      });
+
+      let saver = new ItemSaver(this, progress => this.reportSyncProgress(progress));
+      await this.session.paginatedRequest(
+        request,
+        null,
+        data => saver.parseItemStream(data),
+        () => saver.complete()
+      );
+
+      backfill = {
+        syncToken,
+        timeMin: timeMin.toISOString(),
+        timeMax: timeMax.toISOString(),
+        phase: "past",
+        pageToken: null,
+      };
+      await this.setCalendarPref("eventBackfill", backfill);
+    }
+
+    this.startBackfill(maxResults);
+  }
+
+  /**
+   * Get a sync token for the current state of the events. Only the page and sync tokens are
+   * requested, the events themselves are not transferred.
+   *
+   * @return {string}       The sync token.
+   */
+  async getEventSyncToken() {
+    let request = new calGoogleRequest({
+      method: "GET",
+      uri: this.createEventsURI("events"),
+      params: {
+        // The largest page size the API allows, there is not much to transfer per event
+        maxResults: 2500,
+        showDeleted: "true",
+        fields: "nextPageToken,nextSyncToken",
       },
     });
 
-    await request.commit(this.session);
-    // TODO resolve conflict and try/catch
+    return this.session.paginatedRequest(request, null, null, data => data.nextSyncToken);
+  }
+
+  /**
+   * Start retrieving the events outside of the initial window, unless this is already happening.
+   * The sync does not wait for the backfill, failures are logged and the backfill is resumed on
+   * the next sync.
+   *
+   * @param {?number} maxResults      The maximum number of events per page.
+   * @return {Promise}                A promise resolved when the backfill has ended.
+   */
+  startBackfill(maxResults) {
+    if (!this.backfill) {
+      this.backfill = this.trackStatus(() => this.syncEventsBackfill(maxResults))
+        .catch(e => {
+          this.console.error("Backfill was interrupted, resuming on the next sync", e);
+        })
+        .finally(() => {
+          this.backfill = null;
+          return this.clearSyncProgress();
+        });
+    }
+    return this.backfill;
+  }
+
+  async syncEventsBackfill(maxResults) {
+    let backfill = await this.getCalendarPref("eventBackfill");
+
+    // A reset clears the calendar, the backfill must not write its events or state afterwards
+    let generation = this.syncGeneration;
+    let checkCancelled = () => {
+      if (generation != this.syncGeneration) {
+        throw new Error("OPERATION_CANCELLED");
+      }
+    };
+
+    try {
+      while (backfill.phase) {
+        checkCancelled();
+        this.console.log(
+          backfill.pageToken
+            ? `Resuming backfill of ${backfill.phase} events`
+            : `Retrieving ${backfill.phase} events`
+        );
+
+        // Events that were deleted since the window was retrieved need to be removed as well
+        let params = { maxResults, showDeleted: "true", pageToken: backfill.pageToken };
+        if (backfill.phase == "past") {
+          params.timeMax = backfill.timeMin;
+        } else {
+          params.timeMin = backfill.timeMax;
+        }
+        let request = new calGoogleRequest({
+          method: "GET",
+          uri: this.createEventsURI("events"),
+          params,
+        });
+
+        let saver = new ItemSaver(this, progress => this.reportSyncProgress(progress));
+        await this.session.paginatedRequest(
+          request,
+          null,
+          async data => {
+            checkCancelled();
+            await saver.parseItemStream(data);
+            checkCancelled();
+            if (data.nextPageToken) {
+              backfill = { ...backfill, pageToken: data.nextPageToken };
+              await this.setCalendarPref("eventBackfill", backfill);
+            }
+          },
+          () => saver.complete()
+        );
+
+        checkCancelled();
+        backfill = {
+          ...backfill,
+          phase: backfill.phase == "past" ? "future" : null,
+          pageToken: null,
+        };
+        await this.setCalendarPref("eventBackfill", backfill);
+      }
+
+      checkCancelled();
+      this.console.log("Backfill complete, sync token is now " + backfill.syncToken);
+      await this.syncState.update({ eventSyncToken: backfill.syncToken, eventBackfill: null });
+    } catch (e) {
+      if (e.message == "OPERATION_CANCELLED") {
+        this.console.log("Backfill was cancelled by a reset");
+        return;
+      } else if (e.message != "RESOURCE_GONE") {
+        throw e;
+      }
+      // The page token has expired, the next sync starts over
+      this.console.log("Backfill can no longer be resumed, resetting");
+      await this.resetSyncState();
+    }
+  }
+
+  async reportSyncProgress(progress) {
+    // Progress is informational only, it must not interrupt the sync
+    try {
+      await messenger.calendar.calendars.reportSyncProgress(this.id, progress);
+    } catch (e) {
+      this.console.log("Could not report sync progress: " + e.message);
+    }
+  }
+
+  async clearSyncProgress() {
+    try {
+      await messenger.calendar.calendars.clearSyncProgress(this.id);
+    } catch (e) {
+      this.console.log("Could not clear sync progress: " + e.message);
+    }
   }
 
   async onResetSync() {
+    // Stop a running backfill before the calendar is cleared, it stops at the next page
+    this.syncGeneration++;
+    await this.backfill;
+    await this.resetSyncState();
+  }
+
+  async resetSyncState() {
     this.console.log("Resetting last updated counter");
-    await this.setCalendarPref("eventsSyncToken", null);
-    await this.setCalendarPref("tasksLastUpdated", null);
-    // TODO reset throttle
+    await this.syncState.reset();
+    this.session.invalidateCalendarList();
 
     await messenger.calendar.calendars.clear(this.cacheId);
   }
@@ -378,15 +1085,18 @@ export default class calGoogleCalendar {
 
     let promises = [];
 
-    if (this.calendarName) {
-      // TODO checkThrottle
+    if (this.calendarName && (await this.throttle.check("calendarList"))) {
       promises.push(
         (async () => {
-          let request = new calGoogleRequest({
-            uri: this.createUsersURI("calendarList", this.calendarName),
-            method: "GET",
-          });
-          let data = await request.commit(this.session);
+          let data = await this.getModifiedCalendarListEntry();
+          if (!data) {
+            if (!this.defaultReminders.length) {
+              await this.restoreDefaultReminders();
+            }
+            await this.throttle.update("calendarList");
+            return;
+          }
+
           this.defaultReminders = (data.defaultReminders || []).map(alarm =>
             jsonToAlarm(alarm, true)
           );
@@ -403,36 +1113,46 @@ export default class calGoogleCalendar {
             "timeZone",
           ];
 
-          await Promise.all(
-            settings.map(name => this.setCalendarPref("settings." + name, data[name]))
-          );
-          await this.setCalendarPref(
-            "settings.defaultReminders",
-            JSON.stringify(data.defaultReminders)
-          );
+          await this.syncState.update({
+            ...Object.fromEntries(settings.map(name => ["settings." + name, data[name]])),
+            "settings.defaultReminders": JSON.stringify(data.defaultReminders),
+          });
 
           if (data.accessRole == "freeBusyReader" || data.accessRole == "reader") {
             await messenger.calendar.calendars.update(this.id, { readOnly: true });
           }
+
+          await this.throttle.update("calendarList");
         })()
       );
+    } else if (this.calendarName && !this.defaultReminders.length) {
+      // The calendar list entry was not requested, make sure the default reminders are restored
+      // from the last time it was.
+      await this.restoreDefaultReminders();
+    }
 
+    if (this.calendarName && (await this.throttle.check("events"))) {
       promises.push(
         (async () => {
           let syncToken = await this.getCalendarPref("eventSyncToken");
+          if (!syncToken) {
+            await this.syncEventsInitial(prefs["settings.maxResultsPerRequest"]);
+            await this.throttle.update("events");
+            return;
+          }
+
           let request = new calGoogleRequest({
             method: "GET",
             uri: this.createEventsURI("events"),
             params: {
               maxResults: prefs["settings.maxResultsPerRequest"],
-              showDeleted: syncToken ? "true" : "false",
+              showDeleted: "true",
               syncToken: syncToken,
             },
           });
 
-          let saver = new ItemSaver(this);
+          let saver = new ItemSaver(this, progress => this.reportSyncProgress(progress));
 
-          // TODO checkThrottle("events");
           await this.session.paginatedRequest(
             request,
             null,
@@ -443,13 +1163,14 @@ export default class calGoogleCalendar {
                 this.console.log("New sync token is now " + data.nextSyncToken);
                 await this.setCalendarPref("eventSyncToken", data.nextSyncToken);
               }
+              await this.throttle.update("events");
             }
           );
         })()
       );
     }
 
-    if (this.tasklistName) {
+    if (this.tasklistName && (await this.throttle.check("tasks"))) {
       promises.push(
         (async () => {
           let updatedMin = await this.getUpdatedMin();
@@ -465,10 +1186,9 @@ export default class calGoogleCalendar {
             },
           });
 
-          let saver = new ItemSaver(this);
+          let saver = new ItemSaver(this, progress => this.reportSyncProgress(progress));
           let newLastUpdated;
 
-          // TODO checkThrottle("events");
           await this.session.paginatedRequest(
             request,
             data => (newLastUpdated = request.responseDate),
@@ -477,6 +1197,7 @@ export default class calGoogleCalendar {
               await saver.complete();
               this.console.log("Last tasks sync date is now " + newLastUpdated);
               await this.setCalendarPref("tasksLastUpdated", newLastUpdated);
+              await this.throttle.update("tasks");
             }
           );
         })()
@@ -497,6 +1218,12 @@ export default class calGoogleCalendar {
         }
       }
       throw e;
+    } finally {
+      if (!this.backfill) {
+        await this.clearSyncProgress();
+      }
     }
+
+    await this.outbox.replay();
   }
 }
@@ -0,0 +1,176 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ * Portions Copyright (C) Philipp Kewisch */
+
+import ICAL from "./libs/ical.js";
+import Console from "./log.js";
+import sessions from "./session.js";
+import { isEmail } from "./utils.js";
+
+// Google allows up to 50 calendars in one freeBusy request.
+export const FREEBUSY_BATCH_SIZE = 50;
+
+var console = new Console("calGoogleFreeBusy");
+
+/**
+ * Answers free/busy lookups for all accounts. Lookups made shortly after each other, e.g. for all
+ * attendees of an event, are combined into one freeBusy request per session and range.
+ */
+export default class calGoogleFreeBusy {
+  static instance = null;
+
+  static initListeners() {
+    let service = new calGoogleFreeBusy();
+    calGoogleFreeBusy.instance = service;
+    messenger.calendar.provider.onFreeBusy.addListener(options => service.onFreeBusy(options));
+  }
+
+  // Time in milliseconds to wait for further lookups before sending queued lookups.
+  batchDelay = 50;
+  queue = new Map();
+
+  // Time in milliseconds the busy times of an attendee are reused for the same range.
+  cacheTTL = 60 * 1000;
+  cache = new Map();
+
+  /**
+   * Find the session to look up an attendee with. The attendee's own account is preferred, then an
+   * account of the same domain, as those are the most likely to have access to the calendar.
+   *
+   * @param {string} attendee           The email address of the attendee.
+   * @return {?calGoogleSession}        The session to use, or null if there are none.
+   */
+  sessionFor(attendee) {
+    let ids = sessions.ids;
+    let domain = attendee
+      .split("@")
+      .pop()
+      .toLowerCase();
+    let id =
+      ids.find(sessionId => sessionId.toLowerCase() == attendee.toLowerCase()) ||
+      ids.find(sessionId => sessionId.toLowerCase().endsWith("@" + domain)) ||
+      ids[0];
+
+    return id ? sessions.byId(id) : null;
+  }
+
+  /**
+   * Handle a free/busy lookup from the calendar provider.
+   *
+   * @param {Object} options            The free/busy request from the calendar provider.
+   * @param {string} options.attendee   The email address of the attendee.
+   * @param {string} options.start      The start of the range, as a UTC ICAL date-time string.
+   * @param {string} options.end        The end of the range, as a UTC ICAL date-time string.
+   * @param {string[]} options.types    The interval types requested.
+   * @return {Object[]}                 The busy intervals, with UTC ICAL date-time strings.
+   */
+  async onFreeBusy({ attendee, start, end, types }) {
+    // Google only knows about busy times, free times are what remains in between
+    if (!isEmail(attendee) || (types && !types.includes("busy"))) {
+      return [];
+    }
+
+    let busy = await this.getBusyTimes(attendee, start, end);
+    return (busy || []).map(interval => ({
+      id: attendee,
+      start: interval.start.toICALString(),
+      end: interval.end.toICALString(),
+      type: "busy",
+    }));
+  }
+
+  /**
+   * Get the busy times of an attendee, either from the cache or by queueing a lookup. Concurrent
+   * lookups for the same attendee and range share one request.
+   *
+   * @param {string} attendee       The email address of the attendee.
+   * @param {string} start          The start of the range, as a UTC ICAL date-time string.
+   * @param {string} end            The end of the range, as a UTC ICAL date-time string.
+   * @return {?Object[]}            The busy intervals, with ICAL.Time start and end. Null if the
+   *                                  lookup failed.
+   */
+  getBusyTimes(attendee, start, end) {
+    let now = Date.now();
+    for (let [key, entry] of this.cache) {
+      if (now - entry.time >= this.cacheTTL) {
+        this.cache.delete(key);
+      }
+    }
+
+    let key = `${attendee.toLowerCase()} ${start} ${end}`;
+    if (!this.cache.has(key)) {
+      let session = this.sessionFor(attendee);
+      if (!session) {
+        return Promise.resolve(null);
+      }
+
+      let entry = { time: now, promise: this.queueLookup(session, attendee, start, end) };
+      this.cache.set(key, entry);
+      entry.promise.then(busy => {
+        // Don't keep failures around, the next lookup should try again
+        if (!busy && this.cache.get(key) == entry) {
+          this.cache.delete(key);
+        }
+      });
+    }
+
+    return this.cache.get(key).promise;
+  }
+
+  /**
+   * Queue a lookup to be sent together with other lookups for the same session and range.
+   *
+   * @param {calGoogleSession} session      The session to send the lookup with.
+   * @param {string} attendee               The email address of the attendee.
+   * @param {string} start                  The start of the range.
+   * @param {string} end                    The end of the range.
+   * @return {?Object[]}                    The busy intervals, or null if the lookup failed.
+   */
+  queueLookup(session, attendee, start, end) {
+    return new Promise(resolve => {
+      let queueKey = `${session.id} ${start} ${end}`;
+      let queued = this.queue.get(queueKey);
+      if (!queued) {
+        queued = { session, start, end, entries: [] };
+        this.queue.set(queueKey, queued);
+        setTimeout(() => this.flushQueue(queueKey), this.batchDelay);
+      }
+      queued.entries.push({ attendee, resolve });
+    });
+  }
+
+  async flushQueue(queueKey) {
+    let { session, start, end, entries } = this.queue.get(queueKey);
+    this.queue.delete(queueKey);
+
+    let rangeStart = parseDateTime(start);
+    let rangeEnd = parseDateTime(end);
+
+    let chunks = [];
+    for (let index = 0; index < entries.length; index += FREEBUSY_BATCH_SIZE) {
+      chunks.push(entries.slice(index, index + FREEBUSY_BATCH_SIZE));
+    }
+
+    console.log(`Looking up ${entries.length} attendees with ${session.id}`);
+    await Promise.all(
+      chunks.map(async chunk => {
+        let results = {};
+        try {
+          let attendees = chunk.map(entry => entry.attendee);
+          results = await session.requestFreeBusy(attendees, rangeStart, rangeEnd);
+        } catch (e) {
+          console.error("Failed freebusy request", e);
+        }
+
+        for (let { attendee, resolve } of chunk) {
+          resolve(results[attendee] || null);
+        }
+      })
+    );
+  }
+}
+
+function parseDateTime(value) {
+  return ICAL.Time.fromDateTimeString(ICAL.design.icalendar.value["date-time"].fromICAL(value));
+}
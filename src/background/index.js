@@ -6,6 +6,9 @@
 import { getMigratableCalendars } from "./migrate.js";
 import { isTesting } from "./utils.js";
 import calGoogleCalendar from "./calendar.js";
+import calGoogleFreeBusy from "./freebusy.js";
+import calGoogleOutbox from "./outbox.js";
+import { findTime } from "./scheduling.js";
 import sessions from "./session.js";
 
 export async function migrate() {
@@ -35,6 +38,29 @@ async function installDebugCalendar() {
   }
 }
 
+/**
+ * Get the changes that have not been sent to the server yet, for all calendars that have some.
+ *
+ * @return {Object[]}     The calendars with id, name and their changes, each with the operation,
+ *                          the item title and the error if sending failed.
+ */
+export async function getPendingChanges() {
+  let calendars = await messenger.calendar.calendars.query({ type: "ext-" + messenger.runtime.id });
+  let pending = await Promise.all(
+    calendars.map(async ({ id, name }) => {
+      let calendar = await calGoogleCalendar.get(id);
+      let entries = await calendar.outbox.getEntries();
+      let changes = entries.map(({ operation, item, error }) => ({
+        operation,
+        title: item.title,
+        error: error || null,
+      }));
+      return { id, name, changes };
+    })
+  );
+  return pending.filter(calendar => calendar.changes.length);
+}
+
 export async function initMessageListener() {
   messenger.runtime.onMessage.addListener(async (message, sender) => {
     if (message.action == "getSessions") {
@@ -60,6 +86,16 @@ export async function initMessageListener() {
           return messenger.calendar.calendars.create(calendar);
         })
       );
+    } else if (message.action == "getPendingChanges") {
+      return getPendingChanges();
+    } else if (message.action == "discardPendingChange") {
+      let calendar = await calGoogleCalendar.get(message.calendarId);
+      return calendar.outbox.discard(message.index);
+    } else if (message.action == "sendPendingChanges") {
+      let calendar = await calGoogleCalendar.get(message.calendarId);
+      return calendar.trackStatus(() => calendar.outbox.replay());
+    } else if (message.action == "findTime") {
+      return findTime(message);
     }
     return null;
   });
@@ -73,6 +109,8 @@ export async function initMessageListener() {
 
   initMessageListener();
   calGoogleCalendar.initListeners();
+  calGoogleFreeBusy.initListeners();
+  calGoogleOutbox.initListeners();
   await migrate();
   // installDebugCalendar();
 })();
@@ -8,9 +8,16 @@ import {
   arrayToCategoriesString,
   reverseObject,
   addVCalendar,
+  mapLimit,
+  getRecurrenceId,
+  findClosestColor,
+  getColorName,
 } from "./utils.js";
 import ICAL from "./libs/ical.js";
 
+// Maximum number of items converted or looked up at the same time while saving a stream
+const SAVER_CONCURRENCY = 20;
+
 const ATTENDEE_STATUS_MAP = {
   needsAction: "NEEDS-ACTION",
   declined: "DECLINED",
@@ -26,9 +33,9 @@ const ALARM_ACTION_MAP_REV = reverseObject(ALARM_ACTION_MAP);
 
 const FOUR_WEEKS_IN_MINUTES = 40320;
 
-export function itemToJson(item, calendar, isImport) {
+export function itemToJson(item, calendar, isImport, eventColors = {}) {
   if (item.type == "event") {
-    return eventToJson(item, calendar, isImport);
+    return eventToJson(item, calendar, isImport, eventColors);
   } else if (item.type == "task") {
     return taskToJson(item, calendar, isImport);
   } else {
@@ -36,14 +43,14 @@ export function itemToJson(item, calendar, isImport) {
   }
 }
 
-function eventToJson(item, calendar, isImport) {
+function eventToJson(item, calendar, isImport, eventColors) {
   let oldItem = {
     formats: {
       jcal: ["vcalendar", [], [["vevent", [], []]]],
     },
   };
 
-  let entry = patchEvent(item, oldItem);
+  let entry = patchEvent(item, oldItem, eventColors);
   if (item.id) {
     entry.icalUID = item.id;
   }
@@ -65,7 +72,7 @@ function taskToJson(item, calendar, isImport) {
   return entry;
 }
 
-export function jsonToItem(entry, calendar, defaultReminders, referenceItem) {
+export function jsonToItem(entry, calendar, defaultReminders, referenceItem, eventColors) {
   if (entry.kind == "tasks#task") {
     return jsonToTask(...arguments);
   } else if (entry.kind == "calendar#event") {
@@ -203,38 +210,14 @@ function convertReminders(vevent) {
 }
 
 function haveAttendeesChanged(event, oldEvent) {
-  let oldAttendees = new Map(
-    oldEvent.getAllProperties("attendee").map(attendee => [attendee.getFirstValue(), attendee])
-  );
-  let newAttendees = event.getAllProperties("attendee");
-  let needsAttendeeUpdate = newAttendees.length != oldAttendees.size;
-
-  if (!needsAttendeeUpdate) {
-    for (let attendee of newAttendees) {
-      let attendeeId = attendee.getFirstValue();
-      let oldAttendee = oldAttendees.get(attendeeId);
-      if (!oldAttendee) {
-        needsAttendeeUpdate = true;
-        break;
-      }
+  // Compare what would be sent to Google, independent of the order of the attendees
+  let oldAttendees = new Set(convertAttendees(oldEvent).map(attendee => JSON.stringify(attendee)));
+  let newAttendees = convertAttendees(event).map(attendee => JSON.stringify(attendee));
 
-      if (
-        attendee.getParameter("cn") != oldAttendee.getParameter("cn") ||
-        attendee.getParameter("role") != oldAttendee.getParameter("role") ||
-        attendee.getParameter("cutype") != oldAttendee.getParameter("cutype") ||
-        attendee.getParameter("partstat") != oldAttendee.getParameter("partstat")
-      ) {
-        needsAttendeeUpdate = true;
-        break;
-      }
-      oldAttendees.delete(attendeeId);
-    }
-    if (oldAttendees.size > 0) {
-      needsAttendeeUpdate = true;
-    }
-  }
-
-  return needsAttendeeUpdate;
+  return (
+    newAttendees.length != oldAttendees.size ||
+    newAttendees.some(attendee => !oldAttendees.has(attendee))
+  );
 }
 
 function convertAttendees(vevent) {
@@ -248,13 +231,17 @@ function convertAttendees(vevent) {
 
   for (let attendee of vevent.getAllProperties("attendee")) {
     let att = {};
-    let name = attendee.getFirstParameter("cn");
-    if (name) {
-      att.displayName = name;
-    }
-
     let value = attendee.getFirstValue();
-    att.email = value.startsWith("mailto:") ? value.substr(7) : attendee.getFirstParameter("email");
+
+    // Google requires an email for each attendee, those only known by their profile id can't be
+    // sent back and are left out.
+    let email = value.match(/^mailto:/i) ? value.substr(7) : attendee.getFirstParameter("email");
+    if (!email) {
+      continue;
+    }
+    setIf(att, "id", attendee.getFirstParameter("x-google-id"));
+    att.email = email;
+    setIf(att, "displayName", attendee.getFirstParameter("cn"));
 
     att.optional = attendee.getFirstParameter("role") == "OPT-PARTICIPANT";
     att.resource = attendee.getFirstParameter("cutype") == "RESOURCE";
@@ -262,14 +249,66 @@ function convertAttendees(vevent) {
       ATTENDEE_STATUS_MAP_REV[attendee.getFirstParameter("partstat")] || "needsAction";
 
     setIf(att, "comment", attendee.getFirstParameter("comment"));
-    setIf(att, "additionalGuests", attendee.getFirstParameter("x-num-guests"));
-    setIf(att, "displayName", attendee.getFirstParameter("cn"));
+    setIf(att, "additionalGuests", parseInt(attendee.getFirstParameter("x-num-guests"), 10));
 
     attendees.push(att);
   }
   return attendees;
 }
 
+/**
+ * Get the delegations of the attendees. Google does not know about delegation, they are kept in an
+ * extended property.
+ *
+ * @param {ICAL.Component} vevent     The event to get the delegations from.
+ * @return {?string}                  The JSON object that maps attendees to the attendees they
+ *                                      delegated to and from, or null if there are none.
+ */
+function convertDelegation(vevent) {
+  let delegation = {};
+  for (let attendee of vevent.getAllProperties("attendee")) {
+    let delegatedTo = attendee.getParameter("delegated-to");
+    let delegatedFrom = attendee.getParameter("delegated-from");
+    if (delegatedTo || delegatedFrom) {
+      delegation[attendee.getFirstValue()] = {
+        to: [].concat(delegatedTo || []),
+        from: [].concat(delegatedFrom || []),
+      };
+    }
+  }
+  return Object.keys(delegation).length ? JSON.stringify(delegation) : null;
+}
+
+function convertAttachments(vevent) {
+  function setIf(attachment, prop, value) {
+    if (value) {
+      attachment[prop] = value;
+    }
+  }
+
+  let attachments = [];
+
+  for (let attach of vevent.getAllProperties("attach")) {
+    // Binary attachments can't be stored, conference entry points are managed by Google
+    if (attach.type != "uri" || attach.getParameter("x-google-entry-point-type")) {
+      continue;
+    }
+    // Google can only link to web resources like Drive files, not to local files or message parts
+    if (!/^https?:\/\//i.test(attach.getFirstValue())) {
+      continue;
+    }
+
+    let attachment = { fileUrl: attach.getFirstValue() };
+    setIf(attachment, "title", attach.getParameter("filename"));
+    setIf(attachment, "mimeType", attach.getParameter("fmttype"));
+    setIf(attachment, "fileId", attach.getParameter("x-google-file-id"));
+    setIf(attachment, "iconLink", attach.getParameter("x-google-icon-link"));
+
+    attachments.push(attachment);
+  }
+  return attachments;
+}
+
 function convertRecurrence(vevent) {
   let recrules = new Set();
 
@@ -306,7 +345,7 @@ function convertRecurringSnoozeTime(vevent) {
   return Object.keys(snoozeObj).length ? JSON.stringify(snoozeObj) : null;
 }
 
-export function patchItem(item, oldItem) {
+export function patchItem(item, oldItem, eventColors = {}) {
   if (item.type == "event") {
     return patchEvent(...arguments);
   } else if (item.type == "task") {
@@ -316,6 +355,45 @@ export function patchItem(item, oldItem) {
   }
 }
 
+/**
+ * Three-way merge of a local change with the changes that were made on the server in the
+ * meanwhile. Both versions are compared against the item they were based on, the merge succeeds if
+ * they didn't change the same fields in different ways.
+ *
+ * @param {Object} item           The locally changed item.
+ * @param {Object} oldItem        The item the local change is based on.
+ * @param {Object} serverItem     The current server version of the item.
+ * @param {Object} eventColors    The event color palette, see patchEvent.
+ * @return {?Object}              The patch to apply to the server version, or null on conflict.
+ */
+export function mergePatch(item, oldItem, serverItem, eventColors = {}) {
+  function flatten(entry) {
+    let { extendedProperties = {}, ...fields } = entry;
+    for (let [scope, props] of Object.entries(extendedProperties)) {
+      for (let [key, value] of Object.entries(props)) {
+        fields[`extendedProperties.${scope}.${key}`] = value;
+      }
+    }
+    return fields;
+  }
+
+  let localPatch = patchItem(item, oldItem, eventColors);
+  let localFields = flatten(localPatch);
+  let serverFields = flatten(patchItem(serverItem, oldItem, eventColors));
+
+  for (let [field, value] of Object.entries(localFields)) {
+    if (field in serverFields && JSON.stringify(value) != JSON.stringify(serverFields[field])) {
+      if (field != "sequence") {
+        return null;
+      }
+      // The server takes care of the sequence, no need to bother the user with it.
+      delete localPatch.sequence;
+    }
+  }
+
+  return localPatch;
+}
+
 function patchTask(item, oldItem) {
   function setIfFirstProperty(obj, prop, jprop, transform = null) {
     let oldValue = oldTask.getFirstPropertyValue(jprop);
@@ -342,7 +420,20 @@ function patchTask(item, oldItem) {
   return entry;
 }
 
-function patchEvent(item, oldItem) {
+/**
+ * Find the event color id for a color. Google only supports the colors of its palette, so the
+ * palette entry closest to the color is used.
+ *
+ * @param {string} color          The CSS3 color keyword or hex color to look up.
+ * @param {Object} eventColors    The event palette, mapping color ids to background colors.
+ * @return {?string}              The color id, or null if the color or palette can't be used.
+ */
+export function findColorId(color, eventColors) {
+  let palette = Object.entries(eventColors).map(([id, { background }]) => [id, background]);
+  return findClosestColor(color, palette);
+}
+
+function patchEvent(item, oldItem, eventColors = {}) {
   function setIfFirstProperty(obj, prop, jprop = null, transform = null) {
     let oldValue = oldEvent.getFirstPropertyValue(jprop || prop);
     let newValue = event.getFirstPropertyValue(jprop || prop);
@@ -419,6 +510,35 @@ function patchEvent(item, oldItem) {
   // TODO
   //  setIf(entry, "recurringEventId", item.id.replace("@google.com", "")); // TODO parentMeta?.path || item.id.replace("@google.com", "");
 
+  // Google creates the conference, a request is only sent when it is added
+  let conferenceRequest = event.getFirstPropertyValue("x-google-conference-request");
+  if (
+    conferenceRequest &&
+    !event.hasProperty("x-google-conference") &&
+    !oldEvent.hasProperty("x-google-conference-request")
+  ) {
+    entry.conferenceData = {
+      createRequest: {
+        requestId:
+          Date.now().toString(36) +
+          Math.random()
+            .toString(36)
+            .slice(2),
+        conferenceSolutionKey: { type: conferenceRequest },
+      },
+    };
+  }
+
+  let oldColor = oldEvent.getFirstPropertyValue("color");
+  let newColor = event.getFirstPropertyValue("color");
+  if (oldColor != newColor) {
+    // Without a matching palette entry the color is kept as it is on the server
+    let colorId = newColor ? findColorId(newColor, eventColors) : null;
+    if (colorId || !newColor) {
+      entry.colorId = colorId;
+    }
+  }
+
   setIfFirstProperty(entry, "sequence");
   setIfFirstProperty(entry, "transparency", "transp", transparency => transparency?.toLowerCase());
   setIfFirstProperty(entry, "visibility", "class", visibility => visibility?.toLowerCase());
@@ -438,6 +558,18 @@ function patchEvent(item, oldItem) {
   }
   // }
 
+  let oldDelegation = convertDelegation(oldEvent);
+  let delegation = convertDelegation(event);
+  if (oldDelegation != delegation) {
+    entry.extendedProperties.shared["X-MOZ-DELEGATION"] = delegation;
+  }
+
+  let oldAttachments = convertAttachments(oldEvent);
+  let attachments = convertAttachments(event);
+  if (JSON.stringify(attachments) != JSON.stringify(oldAttachments)) {
+    entry.attachments = attachments;
+  }
+
   let oldReminders = convertReminders(oldEvent);
   let reminders = convertReminders(event);
   if (haveRemindersChanged(reminders, oldReminders)) {
@@ -479,6 +611,44 @@ function patchEvent(item, oldItem) {
   return entry;
 }
 
+/**
+ * Convert Google's conference data to jCal properties. The video entry point becomes
+ * X-GOOGLE-CONFERENCE like in Google's own iCalendar export, all entry points are added as ATTACH
+ * properties that keep their type, label and pin as parameters.
+ *
+ * @param {?Object} conferenceData     The conference data of the event.
+ * @return {Array[]}                   The jCal properties.
+ */
+function jsonToConference(conferenceData) {
+  let props = [];
+  let entryPoints = conferenceData?.entryPoints || [];
+
+  let video = entryPoints.find(entryPoint => entryPoint.entryPointType == "video");
+  if (video) {
+    let params = {};
+    if (conferenceData.conferenceId) {
+      params["x-google-conference-id"] = conferenceData.conferenceId;
+    }
+    if (conferenceData.conferenceSolution?.name) {
+      params["x-google-solution"] = conferenceData.conferenceSolution.name;
+    }
+    props.push(["x-google-conference", params, "uri", video.uri]);
+  }
+
+  for (let entryPoint of entryPoints) {
+    let params = { "x-google-entry-point-type": entryPoint.entryPointType };
+    if (entryPoint.label) {
+      params.label = entryPoint.label;
+    }
+    if (entryPoint.pin || entryPoint.passcode) {
+      params["x-google-pin"] = entryPoint.pin || entryPoint.passcode;
+    }
+    props.push(["attach", params, "uri", entryPoint.uri]);
+  }
+
+  return props;
+}
+
 function jsonToDate(propName, dateobj) {
   let params = {};
 
@@ -509,7 +679,7 @@ function dateToJson(property) {
   return dateobj;
 }
 
-async function jsonToEvent(entry, calendar, defaultReminders, referenceItem) {
+async function jsonToEvent(entry, calendar, defaultReminders, referenceItem, eventColors = {}) {
   function setIf(prop, type, value, params = {}) {
     if (value) {
       veventprops.push([prop, params, type, value]);
@@ -519,7 +689,7 @@ async function jsonToEvent(entry, calendar, defaultReminders, referenceItem) {
   let privateProps = entry.extendedProperties?.private || {};
   let sharedProps = entry.extendedProperties?.shared || {};
 
-  let prefs = await messenger.storage.local.get({ "settings.accessRole": null });
+  let accessRole = await calendar.getCalendarPref("settings.accessRole");
 
   let veventprops = [];
   let veventcomps = [];
@@ -551,8 +721,13 @@ async function jsonToEvent(entry, calendar, defaultReminders, referenceItem) {
   }
 
   // TODO do something about originalStartTime
-  // TODO entry.colorId
-  let isFreeBusy = prefs["settings.accessRole"] == "freeBusyReader";
+
+  // Google's events only refer to a color of the account's palette. RFC 7986 only allows CSS3
+  // color keywords for COLOR, so the closest one is used.
+  if (entry.colorId) {
+    setIf("color", "text", getColorName(eventColors[entry.colorId]?.background));
+  }
+  let isFreeBusy = accessRole == "freeBusyReader";
   let summary = isFreeBusy ? messenger.i18n.getMessage("busyTitle", calendar.name) : entry.summary;
   setIf("summary", "text", summary);
   setIf("class", "text", entry.visibility?.toUpperCase());
@@ -560,12 +735,24 @@ async function jsonToEvent(entry, calendar, defaultReminders, referenceItem) {
   setIf("url", "text", entry.htmlLink);
   setIf("transp", "text", entry.transparency?.toUpperCase());
 
-  /* Let's only support this when we can really do it in UI
-  for (let entryPoint of (entry.conferenceData?.entryPoints || [])) {
-    // TODO ignoring name, label, etc.
-    setIf("attach", "text", entryPoint.uri);
+  veventprops.push(...jsonToConference(entry.conferenceData));
+
+  for (let attachment of entry.attachments || []) {
+    let params = {};
+    if (attachment.mimeType) {
+      params.fmttype = attachment.mimeType;
+    }
+    if (attachment.title) {
+      params.filename = attachment.title;
+    }
+    if (attachment.fileId) {
+      params["x-google-file-id"] = attachment.fileId;
+    }
+    if (attachment.iconLink) {
+      params["x-google-icon-link"] = attachment.iconLink;
+    }
+    veventprops.push(["attach", params, "uri", attachment.fileUrl]);
   }
-  */
 
   veventprops.push(jsonToDate("dtstart", entry.start));
   if (!entry.endTimeUnspecified) {
@@ -591,8 +778,15 @@ async function jsonToEvent(entry, calendar, defaultReminders, referenceItem) {
     veventprops.push(prop.jCal);
   }
 
+  let delegation;
+  try {
+    delegation = JSON.parse(sharedProps["X-MOZ-DELEGATION"]);
+  } catch (e) {
+    // Ok to swallow
+  }
+
   for (let attendee of entry.attendees || []) {
-    let id = "mailto:" + attendee.email;
+    let id = attendee.email ? "mailto:" + attendee.email : "urn:id:" + attendee.id;
     let params = {
       role: attendee.optional ? "OPT-PARTICIPANT" : "REQ-PARTICIPANT",
       partstat: ATTENDEE_STATUS_MAP[attendee.responseStatus],
@@ -603,6 +797,30 @@ async function jsonToEvent(entry, calendar, defaultReminders, referenceItem) {
       // eslint-disable-next-line id-length
       params.cn = attendee.displayName;
     }
+    if (attendee.email && attendee.id) {
+      params["x-google-id"] = attendee.id;
+    }
+    if (attendee.comment) {
+      params.comment = attendee.comment;
+    }
+    if (attendee.additionalGuests) {
+      params["x-num-guests"] = String(attendee.additionalGuests);
+    }
+
+    // Set by Google, these are not sent back
+    if (attendee.self) {
+      params["x-google-self"] = "TRUE";
+    }
+    if (attendee.organizer) {
+      params["x-google-organizer"] = "TRUE";
+    }
+
+    if (delegation?.[id]?.to.length) {
+      params["delegated-to"] = delegation[id].to;
+    }
+    if (delegation?.[id]?.from.length) {
+      params["delegated-from"] = delegation[id].from;
+    }
 
     veventprops.push(["attendee", params, "uri", id]);
   }
@@ -682,23 +900,253 @@ export function jsonToAlarm(entry, isDefault = false) {
   return valarm;
 }
 
+export function isCancelled(item) {
+  let vcalendar = new ICAL.Component(item.formats.jcal);
+  let vcomp = vcalendar.getFirstSubcomponent("vevent") || vcalendar.getFirstSubcomponent("vtodo");
+  return vcomp.getFirstPropertyValue("status") == "CANCELLED";
+}
+
+/**
+ * Check if an occurrence applies to this and all following occurrences, which is expressed by
+ * RANGE=THISANDFUTURE on its RECURRENCE-ID.
+ *
+ * @param {Object} item     The occurrence, its jCal can be either the vevent or a vcalendar.
+ * @return {boolean}        True, if the series needs to be split at the occurrence.
+ */
+export function isThisAndFuture(item) {
+  let vcalendar = new ICAL.Component(addVCalendar(item.formats.jcal));
+  let recurrenceId = vcalendar.getFirstSubcomponent("vevent").getFirstProperty("recurrence-id");
+  return recurrenceId?.getParameter("range")?.toUpperCase() == "THISANDFUTURE";
+}
+
+/**
+ * Get a cancelled copy of an occurrence, which turns into an EXDATE when applied to its parent.
+ *
+ * @param {Object} item     The occurrence, its jCal can be either the vevent or a vcalendar.
+ * @return {Object}         The cancelled occurrence, with a vcalendar as its jCal.
+ */
+export function cancelOccurrence(item) {
+  let vcalendar = new ICAL.Component(addVCalendar(ICAL.helpers.clone(item.formats.jcal, true)));
+  vcalendar.getFirstSubcomponent("vevent").updatePropertyWithValue("status", "CANCELLED");
+  return { ...item, formats: { use: "jcal", jcal: vcalendar.toJSON() } };
+}
+
+/**
+ * Split a recurring event at an occurrence, to change this and all following occurrences. The
+ * original series ends before the occurrence and a new series starts with the changed occurrence.
+ * RDATEs, EXDATEs and exceptions after the split point move to the new series, shifted by the
+ * amount the occurrence was moved.
+ *
+ * @param {Object} item           The parent item, including its exceptions.
+ * @param {Object} occurrence     The changed occurrence the new series starts with.
+ * @return {Object}               The truncated parent as `item`, the new series without an id as
+ *                                  `newItem` and the exceptions for the new series as `exceptions`.
+ */
+export function splitRecurrence(item, occurrence) {
+  let itemCalendar = new ICAL.Component(ICAL.helpers.clone(item.formats.jcal, true));
+  let vevents = itemCalendar.getAllSubcomponents("vevent");
+  let itemEvent = vevents.find(vevent => !vevent.hasProperty("recurrence-id"));
+
+  let occurrenceCalendar = new ICAL.Component(addVCalendar(occurrence.formats.jcal));
+  let newEvent = new ICAL.Component(
+    ICAL.helpers.clone(occurrenceCalendar.getFirstSubcomponent("vevent").toJSON(), true)
+  );
+
+  let splitDate = newEvent.getFirstPropertyValue("recurrence-id");
+  let offset = newEvent.getFirstPropertyValue("dtstart").subtractDate(splitDate);
+  let shift = date => {
+    let shifted = date.clone();
+    shifted.addDuration(offset);
+    return shifted;
+  };
+
+  newEvent.removeAllProperties("recurrence-id");
+  newEvent.removeAllProperties("uid");
+
+  // The original series ends just before the split point. UNTIL must be in UTC for date-times.
+  let until = splitDate.clone();
+  if (until.isDate) {
+    until.adjust(-1, 0, 0, 0);
+  } else {
+    until.adjust(0, 0, 0, -1);
+    until = until.convertToZone(ICAL.Timezone.utcTimezone);
+  }
+
+  let dtstart = itemEvent.getFirstPropertyValue("dtstart");
+  for (let rrule of itemEvent.getAllProperties("rrule")) {
+    let recur = rrule.getFirstValue();
+    let newRecur = recur.clone();
+    if (recur.count) {
+      let iterator = recur.iterator(dtstart);
+      let before = 0;
+      for (
+        let next = iterator.next();
+        next && next.compare(splitDate) < 0;
+        next = iterator.next()
+      ) {
+        before++;
+      }
+      newRecur.count = recur.count - before;
+      recur.count = null;
+    }
+    recur.until = until;
+    rrule.setValue(recur);
+    newEvent.addPropertyWithValue("rrule", newRecur);
+  }
+
+  for (let name of ["rdate", "exdate"]) {
+    for (let prop of itemEvent.getAllProperties(name)) {
+      let date = prop.getFirstValue();
+      if (date.compare(splitDate) >= 0) {
+        let newProp = new ICAL.Property(ICAL.helpers.clone(prop.toJSON(), true));
+        newProp.setValue(shift(date));
+        newEvent.addProperty(newProp);
+        itemEvent.removeProperty(prop);
+      }
+    }
+  }
+
+  let exceptionEtags = { ...item.metadata?.exceptionEtags };
+  let exceptions = [];
+  for (let exceptionEvent of vevents) {
+    let recId = exceptionEvent.getFirstPropertyValue("recurrence-id");
+    if (!recId || recId.compare(splitDate) < 0) {
+      continue;
+    }
+
+    delete exceptionEtags[recId.convertToZone(ICAL.Timezone.utcTimezone).toICALString()];
+    itemCalendar.removeSubcomponent(exceptionEvent);
+    if (recId.compare(splitDate) > 0) {
+      exceptionEvent.updatePropertyWithValue("recurrence-id", shift(recId));
+      exceptionEvent.removeAllProperties("uid");
+      exceptions.push({
+        type: "event",
+        title: exceptionEvent.getFirstPropertyValue("summary"),
+        formats: { use: "jcal", jcal: addVCalendar(exceptionEvent.toJSON()) },
+      });
+    }
+  }
+
+  return {
+    item: {
+      ...item,
+      metadata: { ...item.metadata, exceptionEtags },
+      formats: { use: "jcal", jcal: itemCalendar.toJSON() },
+    },
+    newItem: {
+      type: "event",
+      title: newEvent.getFirstPropertyValue("summary"),
+      formats: { use: "jcal", jcal: addVCalendar(newEvent.toJSON()) },
+    },
+    exceptions,
+  };
+}
+
+/**
+ * Check if an event may have exceptions. Cancelled events are included, as they are sent without
+ * their recurrence info.
+ */
+function isSeriesParent(item) {
+  let vevent = new ICAL.Component(item.formats.jcal).getFirstSubcomponent("vevent");
+  return (
+    vevent.hasProperty("rrule") ||
+    vevent.hasProperty("rdate") ||
+    vevent.getFirstPropertyValue("status") == "CANCELLED"
+  );
+}
+
+/**
+ * Create a fake parent item for an exception whose real parent the user has no access to, e.g. when
+ * they are invited to a single instance of a recurring event. The parent is a copy of the exception
+ * on its original date with one RDATE, the exception still needs to be applied to it so that moved
+ * instances show up at the right time.
+ *
+ * @param {Object} exc      The exception item.
+ * @return {Object}         The fake parent item.
+ */
+function createMockParent(exc) {
+  let excEvent = new ICAL.Component(exc.formats.jcal).getFirstSubcomponent("vevent");
+  let parentEvent = new ICAL.Component(ICAL.helpers.clone(excEvent.toJSON(), true));
+
+  let recId = parentEvent.getFirstPropertyValue("recurrence-id");
+  let dtstart = parentEvent.getFirstPropertyValue("dtstart");
+  let dtend = parentEvent.getFirstPropertyValue("dtend");
+  if (dtend) {
+    let end = recId.clone();
+    end.addDuration(dtend.subtractDate(dtstart));
+    parentEvent.updatePropertyWithValue("dtend", end);
+  }
+
+  parentEvent.updatePropertyWithValue("dtstart", recId.clone());
+  parentEvent.removeAllProperties("recurrence-id");
+  parentEvent.updatePropertyWithValue("x-moz-faked-master", "1");
+  parentEvent.updatePropertyWithValue("rdate", recId.clone());
+
+  return { ...exc, formats: { use: "jcal", jcal: addVCalendar(parentEvent.toJSON()) } };
+}
+
 export class ItemSaver {
   missingParents = [];
   parentItems = Object.create(null);
+  recurringEventIds = Object.create(null);
+  pendingCreates = [];
+  pendingRemoves = [];
+  progress = {
+    type: "event",
+    pages: 0,
+    synced: 0,
+    complete: false,
+    exceptions: 0,
+    missingParents: 0,
+  };
 
-  constructor(calendar) {
+  /**
+   * @param {calGoogleCalendar} calendar      The calendar to save the items to.
+   * @param {?Function} onProgress            Called with the progress after each page and when
+   *                                            the remaining exceptions have been processed.
+   */
+  constructor(calendar, onProgress = null) {
     this.calendar = calendar;
     this.console = calendar.console;
+    this.onProgress = onProgress;
+  }
+
+  /**
+   * Get the event color palette, retrieved once for all items of this saver. If it can't be
+   * retrieved, the items are saved without their color instead of asking for it again.
+   *
+   * @return {Object}     The palette, mapping color ids to background and foreground colors.
+   */
+  getEventColors() {
+    if (!this.eventColors) {
+      this.eventColors = this.calendar.getEventColors();
+    }
+    return this.eventColors;
   }
 
   async parseItemStream(data) {
     if (data.kind == "calendar#events") {
-      return this.parseEventStream(data);
+      this.progress.type = "event";
+      await this.parseEventStream(data);
     } else if (data.kind == "tasks#tasks") {
-      return this.parseTaskStream(data);
+      this.progress.type = "task";
+      await this.parseTaskStream(data);
     } else {
       throw new Error("Invalid stream type: " + (data?.kind || data?.status));
     }
+
+    // The API does not tell how many items there are, only whether more pages follow
+    this.progress.pages++;
+    this.progress.synced += data.items?.length || 0;
+    this.progress.complete = !data.nextPageToken;
+    await this.reportProgress();
+  }
+
+  async reportProgress() {
+    this.progress.missingParents = this.missingParents.length;
+    if (this.onProgress) {
+      await this.onProgress({ ...this.progress });
+    }
   }
 
   async parseEventStream(data) {
@@ -714,41 +1162,50 @@ export class ItemSaver {
       return;
     }
 
-    let exceptionItems = [];
-
     // TODO default reminders from stream
     // let defaultReminders = (aData.defaultReminders || []).map(reminder =>
     //   JSONToAlarm(reminder, true)
     // );
 
-    // In the first pass, we go through the data and sort into parent items and exception items, as
-    // the parent item might be after the exception in the stream.
-    // TODO figure out if it is ok to throw here
-    await Promise.all(
-      data.items.map(async entry => {
-        let item = await jsonToEvent(entry, this.calendar); // TODO pass in default reminders
-        item.formats.jcal = addVCalendar(item.formats.jcal);
-
-        if (entry.originalStartTime) {
-          exceptionItems.push(item);
-        } else {
-          this.parentItems[item.id] = item;
-          await this.commitItem(item);
+    // Items are converted as they come in and saved together at the end of the page. Recurring
+    // items are kept back until their exceptions from the same page have been applied, so each
+    // series is only committed once. The parent item might be after the exception in the stream.
+    let exceptionItems = [];
+    let changedSeries = new Set();
+    let eventColors = await this.getEventColors();
+    await mapLimit(data.items, SAVER_CONCURRENCY, async entry => {
+      // TODO pass in default reminders
+      let item = await jsonToEvent(entry, this.calendar, null, null, eventColors);
+      item.formats.jcal = addVCalendar(item.formats.jcal);
+
+      if (entry.originalStartTime) {
+        exceptionItems.push(item);
+        if (entry.recurringEventId) {
+          this.recurringEventIds[item.id] = entry.recurringEventId;
         }
-      })
-    );
+      } else if (isSeriesParent(item)) {
+        this.parentItems[item.id] = item;
+        changedSeries.add(item.id);
+      } else {
+        this.commitItem(item);
+      }
+    });
 
-    // Not doing this in parallel in case multiple exceptions for a parent item confuse things.
     for (let exc of exceptionItems) {
       let item = this.parentItems[exc.id];
 
-      if (item) {
-        await this.processException(exc, item);
-      } else {
+      if (!item) {
         this.missingParents.push(exc);
+      } else if (this.applyException(exc, item)) {
+        changedSeries.add(item.id);
       }
       // TODO are we saving the etag of the exception events for future use?
     }
+
+    for (let id of changedSeries) {
+      this.commitItem(this.parentItems[id]);
+    }
+    await this.flush();
   }
 
   async parseTaskStream(data) {
@@ -763,12 +1220,20 @@ export class ItemSaver {
       data.items.map(async entry => {
         let item = await jsonToTask(entry, this.calendar);
         item.formats.jcal = addVCalendar(item.formats.jcal);
-        await this.commitItem(item);
+        this.commitItem(item);
       })
     );
+    await this.flush();
   }
 
-  async processException(exc, item) {
+  /**
+   * Apply an exception to its parent item, without committing the parent.
+   *
+   * @param {Object} exc        The exception item.
+   * @param {Object} item       The parent item, which is changed in place.
+   * @return {boolean}          True, if the parent item was changed.
+   */
+  applyException(exc, item) {
     let itemCalendar = new ICAL.Component(item.formats.jcal);
     let itemEvent = itemCalendar.getFirstSubcomponent("vevent");
 
@@ -779,69 +1244,132 @@ export class ItemSaver {
       // Cancelled parent items don't have the full amount of information, specifically no
       // recurrence info. Since they are cancelled anyway, we can just ignore processing this
       // exception.
-      return;
+      return false;
+    }
+
+    // The exception replaces an earlier version of itself
+    let recId = exceptionEvent.getFirstPropertyValue("recurrence-id");
+    for (let vevent of itemCalendar.getAllSubcomponents("vevent")) {
+      if (vevent.getFirstPropertyValue("recurrence-id")?.compare(recId) === 0) {
+        itemCalendar.removeSubcomponent(vevent);
+      }
     }
 
+    // Google keeps a separate etag for each modified instance, which is needed to change it later
+    let exceptionEtags = { ...item.metadata?.exceptionEtags };
+    let recurrenceId = getRecurrenceId(exc);
     if (exceptionEvent.getFirstPropertyValue("status") == "CANCELLED") {
-      itemEvent.addPropertyWithValue(
-        "exdate",
-        exceptionEvent.getFirstPropertyValue("recurrence-id").clone()
-      );
+      itemEvent.addPropertyWithValue("exdate", recId.clone());
+      delete exceptionEtags[recurrenceId];
     } else {
       itemCalendar.addSubcomponent(exceptionEvent);
+      exceptionEtags[recurrenceId] = exc.metadata?.etag;
     }
+    item.metadata = { ...item.metadata, exceptionEtags };
 
-    this.parentItems[item.id] = item;
-    await this.commitItem(item);
+    this.progress.exceptions++;
+    return true;
   }
 
-  async commitItem(item) {
+  commitItem(item) {
     // This is a normal item. If it was canceled, then it should be deleted, otherwise it should be
     // either added or modified. The relaxed mode of the cache calendar takes care of the latter two
-    // cases.
-    let vcalendar = new ICAL.Component(item.formats.jcal);
-    let vcomp = vcalendar.getFirstSubcomponent("vevent") || vcalendar.getFirstSubcomponent("vtodo");
-
-    if (vcomp.getFirstPropertyValue("status") == "CANCELLED") {
-      await messenger.calendar.items.remove(this.calendar.cacheId, item.id);
+    // cases. Nothing is saved until the next flush.
+    if (isCancelled(item)) {
+      this.pendingRemoves.push(item.id);
     } else {
-      await messenger.calendar.items.create(this.calendar.cacheId, item);
+      this.pendingCreates.push(item);
     }
   }
 
+  /**
+   * Save all items committed since the last flush to the cache, using one call for all removed and
+   * one for all created items instead of one call per item.
+   */
+  async flush() {
+    let removes = this.pendingRemoves;
+    let creates = this.pendingCreates;
+    this.pendingRemoves = [];
+    this.pendingCreates = [];
+
+    if (removes.length) {
+      await messenger.calendar.items.removeMany(this.calendar.cacheId, removes);
+    }
+    if (creates.length) {
+      await messenger.calendar.items.createMany(this.calendar.cacheId, creates);
+    }
+  }
+
+  /**
+   * Retrieve the parent of exceptions from the server.
+   *
+   * @param {string} recurringEventId     The Google id of the parent event.
+   * @return {?Object}                    The parent item, or null if the user has no access to it.
+   */
+  async fetchParent(recurringEventId) {
+    let entry = await this.calendar.fetchEvent(recurringEventId);
+    if (!entry) {
+      return null;
+    }
+
+    let eventColors = await this.getEventColors();
+    let item = await jsonToEvent(entry, this.calendar, null, null, eventColors);
+    item.formats.jcal = addVCalendar(item.formats.jcal);
+    return item;
+  }
+
   /**
    * Handle all remaining exceptions in the item saver. Ensures that any missing parent items are
    * searched for or created.
    */
   async complete() {
-    await Promise.all(
-      this.missingParents.map(async exc => {
-        let excCalendar = new ICAL.Component(exc.formats.jcal);
-        let excEvent = excCalendar.getFirstSubcomponent("vevent");
-
-        let item = await messenger.calendar.items.get(this.calendar.cacheId, exc.id, {
-          returnFormat: "jcal",
-        });
-        if (item) {
-          await this.processException(exc, item);
-        } else if (excEvent.getFirstPropertyValue("status") != "CANCELLED") {
-          // If the item could not be found, it could be that the user is invited to an instance of
-          // a recurring event. Unless this is a cancelled exception, create a mock parent item with
-          // one positive RDATE.
-          let recId = excEvent.getFirstPropertyValue("recurrence-id");
-          // TODO this was also in the old code, but what happens if someone is invited to an
-          // exception of a recurring event that doesn't fall on the date of the recurrence-id?
-          excEvent.updatePropertyWithValue("dtstart", recId.clone());
-          excEvent.removeAllProperties("recurrence-id");
-          excEvent.updatePropertyWithValue("x-moz-faked-master", "1");
-          excEvent.updatePropertyWithValue("rdate", recId.clone());
-
-          // By now, exc is the parent event
-          await this.commitItem(exc);
+    let series = new Map();
+    for (let exc of this.missingParents) {
+      series.set(exc.id, [...(series.get(exc.id) || []), exc]);
+    }
+
+    await mapLimit([...series.values()], SAVER_CONCURRENCY, async exceptions => {
+      let item = await messenger.calendar.items.get(this.calendar.cacheId, exceptions[0].id, {
+        returnFormat: "jcal",
+      });
+
+      let changed = false;
+      let recurringEventId = this.recurringEventIds[exceptions[0].id];
+      if (!item && recurringEventId) {
+        // The parent might not have changed since the last sync, or be outside of the sync window
+        item = await this.fetchParent(recurringEventId);
+        changed = !!item;
+      }
+
+      if (!item) {
+        // If the parent can't be retrieved either, the user is likely invited to instances of a
+        // recurring event. Unless they are cancelled, create a mock parent item with one positive
+        // RDATE for each instance.
+        exceptions = exceptions.filter(exc => !isCancelled(exc));
+        if (!exceptions.length) {
+          return;
         }
-      })
-    );
+        item = createMockParent(exceptions[0]);
+        changed = true;
+
+        let itemEvent = new ICAL.Component(item.formats.jcal).getFirstSubcomponent("vevent");
+        for (let exc of exceptions.slice(1)) {
+          let excEvent = new ICAL.Component(exc.formats.jcal).getFirstSubcomponent("vevent");
+          itemEvent.addPropertyWithValue("rdate", excEvent.getFirstPropertyValue("recurrence-id"));
+        }
+      }
+
+      for (let exc of exceptions) {
+        changed = this.applyException(exc, item) || changed;
+      }
+      if (changed) {
+        this.commitItem(item);
+      }
+    });
 
+    await this.flush();
     this.missingParents = [];
+    this.recurringEventIds = Object.create(null);
+    await this.reportProgress();
   }
 }
@@ -158,16 +158,24 @@ export default class OAuth2 {
       return;
     }
 
-    let response = await fetch(this.TOKEN_URL, {
-      method: "POST",
-      headers: { "Content-Type": "application/x-www-form-urlencoded;charset=utf-8" },
-      body: new URLSearchParams({
-        client_id: this.clientId,
-        client_secret: this.clientSecret,
-        grant_type: "refresh_token",
-        refresh_token: this.refreshToken,
-      }),
-    });
+    let response;
+    try {
+      response = await fetch(this.TOKEN_URL, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded;charset=utf-8" },
+        body: new URLSearchParams({
+          client_id: this.clientId,
+          client_secret: this.clientSecret,
+          grant_type: "refresh_token",
+          refresh_token: this.refreshToken,
+        }),
+      });
+    } catch (e) {
+      // Report a token refresh without network like a request without network, so that changes
+      // are queued instead of lost.
+      console.error("Network error while refreshing the token", e);
+      throw new Error("NS_ERROR_OFFLINE");
+    }
 
     let details;
 
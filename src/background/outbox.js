@@ -0,0 +1,322 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ * Portions Copyright (C) Philipp Kewisch */
+
+import { addVCalendar, getRecurrenceId } from "./utils.js";
+import { BATCH_SIZE } from "./batch.js";
+
+/**
+ * Operations that could not be sent because the network was not available are kept in the outbox
+ * and replayed in order on the next sync. The outbox is saved in the calendar's outbox pref, each
+ * entry records the operation, the item and the etag the change is based on. Operations that were
+ * rejected by the server also record the error, they stay until they are sent or discarded.
+ */
+export default class calGoogleOutbox {
+  _lock = Promise.resolve();
+
+  constructor(calendar) {
+    this.calendar = calendar;
+  }
+
+  async getEntries() {
+    return (await this.calendar.getCalendarPref("outbox")) || [];
+  }
+
+  async setEntries(entries) {
+    await this.calendar.setCalendarPref("outbox", entries.length ? entries : null);
+  }
+
+  /**
+   * Make sure only one function modifies the outbox at a time, as reading and writing the pref
+   * would otherwise race.
+   */
+  serialize(func) {
+    let result = this._lock.then(func);
+    this._lock = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Send an operation to the server, or queue it if the network is not available. If there are
+   * already queued operations waiting for the network, or a failed operation on the same item, the
+   * new operation is queued as well to keep the order intact.
+   *
+   * @param {string} operation      The operation, one of create, modify or delete.
+   * @param {Object} item           The item to create, modify or delete.
+   * @param {?Object} oldItem       For modifications, the item the change is based on.
+   * @return {?Object}              The item as returned by the server, or the local item if queued.
+   */
+  async send(operation, item, oldItem = null) {
+    return this.serialize(async () => {
+      let entries = await this.getEntries();
+      let failedIds = this.failedIds(entries);
+      let waiting = entries.filter(entry => !failedIds.has(entry.id));
+      if (!waiting.length && !failedIds.has(item.id)) {
+        try {
+          return await this.commit(operation, item, oldItem);
+        } catch (e) {
+          if (e.message != "NS_ERROR_OFFLINE") {
+            throw e;
+          }
+          this.calendar.console.log(
+            `Network not available, queueing ${operation} of ${item.title}`
+          );
+        }
+      }
+
+      entries = this.coalesce(entries, operation, item, oldItem);
+      await this.setEntries(entries);
+
+      waiting = entries.filter(entry => !failedIds.has(entry.id));
+      if (failedIds.has(item.id) && entries.some(entry => entry.id == item.id)) {
+        this.calendar.console.log(`Earlier change failed, queueing ${operation} of ${item.title}`);
+        this.notifyBlocked(item);
+      } else if (waiting.length) {
+        this.notify(waiting.length);
+      }
+      return operation == "delete" ? null : item;
+    });
+  }
+
+  /**
+   * Get the ids of the items with a failed operation. Further operations on these items depend on
+   * the failed one, they can't be sent until it is sent or discarded.
+   *
+   * @param {Object[]} entries      The outbox entries.
+   * @return {Set<string>}          The ids of the items with a failed operation.
+   */
+  failedIds(entries) {
+    return new Set(entries.filter(entry => entry.error).map(entry => entry.id));
+  }
+
+  commit(operation, item, oldItem) {
+    switch (operation) {
+      case "create":
+        return this.calendar.onItemCreated(item);
+      case "modify":
+        return this.calendar.onItemUpdated(item, oldItem);
+      case "delete":
+        return this.calendar.onItemRemoved(item);
+      default:
+        throw new Error("Unknown outbox operation: " + operation);
+    }
+  }
+
+  /**
+   * Add an operation to the outbox entries. Multiple changes to the same item are combined into
+   * one entry, based on the version of the item the server knows about.
+   */
+  coalesce(entries, operation, item, oldItem) {
+    // Occurrences share the id of their parent item, but are separate items on the server
+    let recurrenceId = getRecurrenceId(item);
+    let index = entries.findIndex(
+      entry => entry.id == item.id && getRecurrenceId(entry.item) == recurrenceId
+    );
+    let existing = entries[index];
+
+    if (!existing) {
+      let etag = (oldItem || item).metadata?.etag || null;
+      return [...entries, { operation, id: item.id, item, oldItem, etag }];
+    }
+
+    entries = [...entries];
+    if (existing.operation == "create" && operation == "delete") {
+      // The item never made it to the server, nothing to do
+      entries.splice(index, 1);
+    } else if (existing.operation == "create") {
+      entries[index] = { ...existing, item };
+    } else if (existing.operation == "modify") {
+      entries[index] = { ...existing, operation, item };
+    } else {
+      // The item was deleted and is now back, which makes it a modification of the server version
+      let serverItem = existing.oldItem || existing.item;
+      entries[index] = {
+        operation: "modify",
+        id: item.id,
+        item,
+        oldItem: serverItem,
+        etag: existing.etag,
+      };
+    }
+    return entries;
+  }
+
+  /**
+   * Replay all queued operations in order. Operations on different items don't depend on each
+   * other, consecutive ones are sent at the same time so their requests can be batched. If the
+   * network is still not available, the remaining operations stay in the outbox. If an operation
+   * fails for another reason, it is kept with its error and the following operations on the same
+   * item are kept as well, as they may depend on it. Operations on other items are still sent. Only
+   * operations whose conflict was resolved in favor of the server version are dropped.
+   */
+  async replay() {
+    return this.serialize(async () => {
+      let entries = await this.getEntries();
+      if (!entries.length) {
+        return;
+      }
+
+      this.calendar.console.log(`Replaying ${entries.length} queued changes`);
+
+      let kept = [];
+      let failedIds = new Set();
+      let error = null;
+      while (entries.length) {
+        let chunk = this.independentEntries(entries);
+        let sendable = chunk.filter(entry => !failedIds.has(entry.id));
+        let results = await Promise.allSettled(sendable.map(entry => this.replayEntry(entry)));
+
+        let offline = false;
+        for (let entry of chunk) {
+          let index = sendable.indexOf(entry);
+          if (index < 0) {
+            // An earlier change to the same item failed
+            kept.push(entry);
+            continue;
+          }
+
+          let { status, reason } = results[index];
+          if (status == "fulfilled") {
+            // Sent, nothing left to do
+          } else if (reason.message == "OPERATION_CANCELLED") {
+            this.calendar.console.log(`Dropping ${entry.operation} of ${entry.item.title}`);
+          } else if (reason.message == "NS_ERROR_OFFLINE") {
+            offline = true;
+            kept.push(entry);
+          } else {
+            this.calendar.console.error(
+              `Could not replay ${entry.operation} of ${entry.item.title}`,
+              reason
+            );
+            failedIds.add(entry.id);
+            kept.push({ ...entry, error: reason.message });
+
+            // Only report failures once, they are retried on each sync until they are discarded
+            if (entry.error != reason.message) {
+              this.notifyFailure(entry.item, reason.message);
+              error = error || reason;
+            }
+          }
+        }
+
+        entries = entries.slice(chunk.length);
+        await this.setEntries([...kept, ...entries]);
+
+        if (offline) {
+          this.calendar.console.log(
+            `Network still not available, ${kept.length + entries.length} changes remain`
+          );
+          break;
+        }
+      }
+
+      if (error) {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Get the operations at the start of the outbox that can be sent at the same time, up to the
+   * next operation on an item that is already part of them.
+   *
+   * @param {Object[]} entries      The outbox entries.
+   * @return {Object[]}             The independent entries from the start of the outbox.
+   */
+  independentEntries(entries) {
+    let ids = new Set();
+    let chunk = [];
+    for (let entry of entries.slice(0, BATCH_SIZE)) {
+      if (ids.has(entry.id)) {
+        break;
+      }
+      ids.add(entry.id);
+      chunk.push(entry);
+    }
+    return chunk;
+  }
+
+  /**
+   * Discard a queued operation. The item in the cache is restored to the version the operation
+   * was based on.
+   *
+   * @param {number} index      The index of the operation in the outbox.
+   */
+  async discard(index) {
+    return this.serialize(async () => {
+      let entries = await this.getEntries();
+      let entry = entries[index];
+      if (!entry) {
+        return;
+      }
+
+      await this.setEntries(entries.filter((other, otherIndex) => otherIndex != index));
+      this.calendar.console.log(`Discarding ${entry.operation} of ${entry.item.title}`);
+
+      let serverItem = entry.oldItem || entry.item;
+      if (entry.operation == "create") {
+        await messenger.calendar.items.remove(this.calendar.cacheId, entry.item.id);
+      } else if (getRecurrenceId(serverItem)) {
+        await this.calendar.saveOccurrence(serverItem);
+      } else {
+        let jcal = addVCalendar(serverItem.formats.jcal);
+        await messenger.calendar.items.create(this.calendar.cacheId, {
+          ...serverItem,
+          formats: { use: "jcal", jcal },
+        });
+      }
+    });
+  }
+
+  async replayEntry({ operation, item, oldItem, etag }) {
+    // The change must be sent based on the etag it was queued with
+    let baseItem = operation == "modify" ? oldItem : item;
+    baseItem.metadata = { ...baseItem.metadata, etag };
+
+    let newItem = await this.commit(operation, item, oldItem);
+    if (operation == "delete" || getRecurrenceId(item)) {
+      // Occurrences are saved to their parent item when they are sent
+      return;
+    }
+
+    if (newItem.id != item.id) {
+      // Tasks receive their id from the server
+      await messenger.calendar.items.remove(this.calendar.cacheId, item.id);
+    }
+    newItem.formats.jcal = addVCalendar(newItem.formats.jcal);
+    await messenger.calendar.items.create(this.calendar.cacheId, newItem);
+  }
+
+  notify(count) {
+    messenger.notifications.create("outbox-" + this.calendar.id, {
+      title: messenger.i18n.getMessage("extensionName"),
+      message: messenger.i18n.getMessage("changesQueued", String(count)),
+    });
+  }
+
+  notifyBlocked(item) {
+    messenger.notifications.create("outbox-" + this.calendar.id, {
+      title: messenger.i18n.getMessage("extensionName"),
+      message: messenger.i18n.getMessage("changesBlocked", item.title),
+    });
+  }
+
+  notifyFailure(item, error) {
+    messenger.notifications.create("outbox-" + this.calendar.id, {
+      title: messenger.i18n.getMessage("extensionName"),
+      message: messenger.i18n.getMessage("changesFailed", [item.title, error]),
+    });
+  }
+
+  /**
+   * Show the pending changes when one of the outbox notifications is clicked.
+   */
+  static initListeners() {
+    messenger.notifications.onClicked.addListener(notificationId => {
+      if (notificationId.startsWith("outbox-")) {
+        messenger.windows.create({ url: "/content/pending-changes.html", type: "popup" });
+      }
+    });
+  }
+}
@@ -6,7 +6,24 @@
 export default class calGoogleRequest {
   // static clockSkew = 0
 
+  // Transient errors are retried with an exponential backoff. The delay doubles with each attempt
+  // starting at baseDelay, is capped at maxDelay and has up to jitter milliseconds added to it. A
+  // Retry-After header sent by the server takes precedence over the backoff. Rate limited requests
+  // were not processed and are always retried, server errors only for idempotent requests.
+  static retryPolicy = {
+    maxRetries: 5,
+    baseDelay: 1000,
+    maxDelay: 64000,
+    jitter: 1000,
+    retryStatus: [500, 502, 503, 504],
+    retryReasons: ["backendError"],
+    rateLimitStatus: [429],
+    rateLimitReasons: ["rateLimitExceeded"],
+  };
+
   reauthenticate = true;
+  retryCount = 0;
+  retryPolicy = calGoogleRequest.retryPolicy;
 
   constructor(options) {
     this.options = options;
@@ -16,11 +33,72 @@ export default class calGoogleRequest {
     return this.json?.error?.errors?.[0];
   }
 
+  get retryAfter() {
+    let header = this.response?.headers.get("Retry-After");
+    if (!header) {
+      return null;
+    }
+
+    // Retry-After is either a number of seconds or a HTTP date
+    let delay = Number(header) * 1000;
+    if (Number.isNaN(delay)) {
+      delay = new Date(header).getTime() - Date.now();
+    }
+    return Number.isNaN(delay) ? null : Math.max(0, delay);
+  }
+
+  get retryDelay() {
+    let retryAfter = this.retryAfter;
+    if (retryAfter !== null) {
+      return retryAfter;
+    }
+
+    let { baseDelay, maxDelay, jitter } = this.retryPolicy;
+    let backoff = Math.min(maxDelay, baseDelay * 2 ** this.retryCount);
+    return backoff + Math.floor(Math.random() * jitter);
+  }
+
+  /**
+   * If sending the request again has the same effect as sending it once. Server errors don't tell
+   * if the request was applied, e.g. retrying an insert could create the event twice.
+   */
+  get isIdempotent() {
+    let method = this.options.method || "GET";
+    return (
+      ["GET", "PUT", "DELETE"].includes(method) ||
+      (method == "PATCH" && !!this.options.headers?.["If-Match"])
+    );
+  }
+
+  get isRetryable() {
+    let { maxRetries, maxDelay } = this.retryPolicy;
+    if (this.retryCount >= maxRetries || this.retryAfter > maxDelay) {
+      return false;
+    }
+
+    let { retryStatus, retryReasons, rateLimitStatus, rateLimitReasons } = this.retryPolicy;
+    let status = this.response.status;
+    let reason = this.firstError?.reason;
+    if (rateLimitStatus.includes(status) || rateLimitReasons.includes(reason)) {
+      return true;
+    }
+    return this.isIdempotent && (retryStatus.includes(status) || retryReasons.includes(reason));
+  }
+
+  async retry(session) {
+    let delay = this.retryDelay;
+    this.retryCount++;
+    console.log(
+      `Request failed with status ${this.response.status}, retrying in ${delay}ms (attempt ${this.retryCount} of ${this.retryPolicy.maxRetries})`
+    );
+    await new Promise(resolve => setTimeout(resolve, delay));
+    return this.commit(session);
+  }
+
   async handleAuthError(session) {
     switch (this.firstError?.reason) {
       case "invalid_client":
         session.notifyOutdated();
-        // TODO disable calendar and set currentStatus to TOKEN_FAILURE
         throw new Error("TOKEN_FAILURE");
       case "unauthorized_client":
       case "invalid_grant":
@@ -34,18 +112,16 @@ export default class calGoogleRequest {
             "Even the refreshed token is not authorized, looks like the client is outdated"
           );
           session.notifyOutdated();
-          // TODO disable calendar and set currentStatus to TOKEN_FAILURE
           throw new Error("TOKEN_FAILURE");
         }
       case "variableTermLimitExceeded":
+      case "rateLimitExceeded":
       case "userRateLimitExceeded":
       case "dailyLimitExceeded":
       case "quotaExceeded":
         session.notifyQuotaExceeded();
-        // TODO disable calendar and set currentStatus to QUOTA_FAILURE
         throw new Error("QUOTA_FAILURE");
       case "insufficientPermissions":
-        // TODO proppagate this to the calendar
         if (this.options.method == "GET") {
           throw new Error("READ_FAILED");
         } else {
@@ -65,9 +141,13 @@ export default class calGoogleRequest {
     }
   }
 
-  async commit(session) {
-    await session.ensureLogin();
-
+  /**
+   * Prepare the request options for sending.
+   *
+   * @param {calGoogleSession} session    The session to authorize the request with.
+   * @return {URL}                        The URL to send the request to.
+   */
+  prepare(session) {
     this.options.headers = this.options.headers || {};
     this.options.headers.Authorization = "Bearer " + session.accessToken;
 
@@ -88,23 +168,57 @@ export default class calGoogleRequest {
     if (Object.keys(this.options.params).length) {
       uri.search = new URLSearchParams(this.options.params);
     }
+    return uri;
+  }
+
+  async commit(session) {
+    await session.ensureLogin();
+    let uri = this.prepare(session);
 
-    this.response = await fetch(uri, this.options);
     try {
-      if (this.response.headers.get("Content-Type")?.startsWith("application/json")) {
-        this.json = await this.response.json();
-      } else if (this.response.headers.get("Content-Length") == "0") {
-        this.json = { status: "No Content" };
-      } else {
-        throw new Error(
-          `Received plain response: ${(await this.response.text()).substr(0, 20)}...`
-        );
-      }
+      this.response = await fetch(uri, this.options);
     } catch (e) {
+      // fetch only rejects if the request could not be sent at all
+      console.error("Network error while sending request", e);
+      throw new Error("NS_ERROR_OFFLINE");
+    }
+
+    return this.handleResponse(session);
+  }
+
+  async parseResponse() {
+    if (this.response.headers.get("Content-Type")?.startsWith("application/json")) {
+      this.json = await this.response.json();
+    } else if (this.response.status == 304 || this.response.headers.get("Content-Length") == "0") {
+      this.json = { status: "No Content" };
+    } else {
+      throw new Error(`Received plain response: ${(await this.response.text()).substr(0, 20)}...`);
+    }
+  }
+
+  /**
+   * Process the response, retrying transient failures and mapping errors to their error codes.
+   * This is also used for the individual parts of a batch response.
+   *
+   * @param {calGoogleSession} session    The session the request was sent with.
+   * @return {Object}                     The parsed JSON response.
+   */
+  async handleResponse(session) {
+    this.json = null;
+    try {
+      await this.parseResponse();
+    } catch (e) {
+      if (this.isRetryable) {
+        return this.retry(session);
+      }
       console.error("Could not parse API response as JSON", e);
       throw e;
     }
 
+    if (this.isRetryable) {
+      return this.retry(session);
+    }
+
     this.responseDate = new Date(this.response.headers.get("Date")).toISOString();
 
     switch (this.response.status) {
@@ -114,7 +228,7 @@ export default class calGoogleRequest {
         // TODO set currentStatus on calendar
         return this.json;
       case 304:
-        // TODO throw not modified?
+        // Only happens for conditional requests, the caller decides what unchanged means.
         throw new Error("NOT_MODIFIED");
       case 401:
       case 403:
@@ -132,8 +246,16 @@ export default class calGoogleRequest {
       case 409:
       case 412:
         throw new Error("CONFLICT_MODIFY");
+      case 429:
+        // Too many requests, and retrying didn't help either.
+        session.notifyQuotaExceeded();
+        throw new Error("QUOTA_FAILURE");
       case 400:
-        if (this.firstError?.message == "Invalid sync token value.") {
+        // Sync and page tokens expire, the caller needs to start over
+        if (
+          this.firstError?.message == "Invalid sync token value." ||
+          this.firstError?.location == "pageToken"
+        ) {
           throw new Error("RESOURCE_GONE");
         }
       // Fall through intended
@@ -0,0 +1,275 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ * Portions Copyright (C) Philipp Kewisch */
+
+import ICAL from "./libs/ical.js";
+import calGoogleFreeBusy from "./freebusy.js";
+
+export const DEFAULT_WORKING_HOURS = {
+  start: "09:00",
+  end: "17:00",
+  days: [1, 2, 3, 4, 5],
+  timeZone: "UTC",
+};
+
+// Time in minutes between two candidate slots.
+export const SLOT_STEP = 30;
+
+export const MAX_SLOTS = 10;
+
+const MINUTE = 60 * 1000;
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+/**
+ * Converts times to the wall clock of a timezone. The background page has no timezone definitions
+ * of its own, so this uses the ones Intl knows about.
+ */
+class ZonedClock {
+  constructor(timeZone) {
+    this.formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      weekday: "short",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric",
+    });
+  }
+
+  /**
+   * Get the wall clock time at a point in time.
+   *
+   * @param {number} time       The time in milliseconds since the epoch.
+   * @return {Object}           The year, month, day, hour, minute, second and weekday.
+   */
+  partsAt(time) {
+    let parts = {};
+    for (let { type, value } of this.formatter.formatToParts(new Date(time))) {
+      parts[type] = type == "weekday" ? WEEKDAYS.indexOf(value) : parseInt(value, 10);
+    }
+    return parts;
+  }
+
+  offsetAt(time) {
+    let { year, month, day, hour, minute, second } = this.partsAt(time);
+    let wallTime = Date.UTC(year, month - 1, day, hour, minute, second);
+    return wallTime - Math.floor(time / 1000) * 1000;
+  }
+
+  /**
+   * Get the point in time for a wall clock time.
+   *
+   * @param {ICAL.Time} wallTime    The wall clock time, its timezone is ignored.
+   * @return {number}               The time in milliseconds since the epoch.
+   */
+  timeOf(wallTime) {
+    let local = Date.UTC(
+      wallTime.year,
+      wallTime.month - 1,
+      wallTime.day,
+      wallTime.hour,
+      wallTime.minute,
+      wallTime.second
+    );
+    return local - this.offsetAt(local - this.offsetAt(local));
+  }
+}
+
+function parseHours(value) {
+  let [hours, minutes] = value.split(":");
+  return parseInt(hours, 10) * 60 + parseInt(minutes || 0, 10);
+}
+
+function overlaps(busy, start, end) {
+  return busy.some(([busyStart, busyEnd]) => busyStart < end && busyEnd > start);
+}
+
+/**
+ * Find the slots in which the attendees can meet. Only slots in which all required attendees are
+ * free are returned. They are ranked by the number of optional attendees that are free, then by
+ * how early they are.
+ *
+ * @param {Object} options                  The slot options.
+ * @param {number} options.rangeStart       The start of the range to search, in milliseconds.
+ * @param {number} options.rangeEnd         The end of the range to search, in milliseconds.
+ * @param {number} options.duration         The duration of the meeting, in minutes.
+ * @param {Object} options.workingHours     The start and end as "HH:MM", the weekdays with
+ *                                            Sunday being 0, and the timezone of the hours.
+ * @param {Object[]} options.attendees      The attendees with their email, if they are optional
+ *                                            and their busy times as [start, end] pairs.
+ * @param {number} options.step             The minutes between two candidate slots.
+ * @param {number} options.limit            The maximum number of slots to return.
+ * @return {Object[]}                       The slots with start, end and the emails of the
+ *                                            optional attendees that are busy.
+ */
+export function findSlots({
+  rangeStart,
+  rangeEnd,
+  duration,
+  workingHours = DEFAULT_WORKING_HOURS,
+  attendees,
+  step = SLOT_STEP,
+  limit = MAX_SLOTS,
+}) {
+  let clock = new ZonedClock(workingHours.timeZone);
+  let dayStart = parseHours(workingHours.start);
+  let dayEnd = parseHours(workingHours.end);
+
+  let required = attendees.filter(attendee => !attendee.optional);
+  let optional = attendees.filter(attendee => attendee.optional);
+
+  let slots = [];
+  let first = Math.ceil(rangeStart / (step * MINUTE)) * step * MINUTE;
+  for (let start = first; start + duration * MINUTE <= rangeEnd; start += step * MINUTE) {
+    let end = start + duration * MINUTE;
+    let startParts = clock.partsAt(start);
+    let endParts = clock.partsAt(end);
+    let startMinutes = startParts.hour * 60 + startParts.minute;
+    let endMinutes = endParts.hour * 60 + endParts.minute;
+
+    if (
+      !workingHours.days.includes(startParts.weekday) ||
+      startParts.day != endParts.day ||
+      startMinutes < dayStart ||
+      endMinutes > dayEnd
+    ) {
+      continue;
+    }
+
+    if (required.some(attendee => overlaps(attendee.busy, start, end))) {
+      continue;
+    }
+
+    let unavailable = optional
+      .filter(attendee => overlaps(attendee.busy, start, end))
+      .map(attendee => attendee.email);
+    slots.push({ start, end, unavailable });
+  }
+
+  slots.sort((a, b) => a.unavailable.length - b.unavailable.length || a.start - b.start);
+  return slots.slice(0, limit);
+}
+
+/**
+ * Get the busy times from the events in the user's own calendars.
+ *
+ * @param {number} rangeStart     The start of the range, in milliseconds.
+ * @param {number} rangeEnd       The end of the range, in milliseconds.
+ * @param {string} timeZone       The timezone to use for all day and floating events.
+ * @return {Array[]}              The busy times as [start, end] pairs.
+ */
+export async function getOwnBusyTimes(rangeStart, rangeEnd, timeZone) {
+  let clock = new ZonedClock(timeZone);
+  let items = await messenger.calendar.items.query({
+    type: "event",
+    rangeStart: ICAL.Time.fromJSDate(new Date(rangeStart), true).toICALString(),
+    rangeEnd: ICAL.Time.fromJSDate(new Date(rangeEnd), true).toICALString(),
+    expand: true,
+    returnFormat: "jcal",
+  });
+
+  function toTime(prop) {
+    let value = prop.getFirstValue();
+    if (value.zone == ICAL.Timezone.utcTimezone) {
+      return value.toUnixTime() * 1000;
+    }
+
+    let tzid = prop.getParameter("tzid");
+    try {
+      return (tzid ? new ZonedClock(tzid) : clock).timeOf(value);
+    } catch (e) {
+      // Intl does not know all zones, e.g. custom ones from other clients
+      return clock.timeOf(value);
+    }
+  }
+
+  let busy = [];
+  for (let item of items) {
+    let vcomponent = new ICAL.Component(item.formats.jcal);
+    let vevent =
+      vcomponent.name == "vevent" ? vcomponent : vcomponent.getFirstSubcomponent("vevent");
+    if (
+      vevent.getFirstPropertyValue("transp") == "TRANSPARENT" ||
+      vevent.getFirstPropertyValue("status") == "CANCELLED"
+    ) {
+      continue;
+    }
+
+    let start = toTime(vevent.getFirstProperty("dtstart"));
+    let end = start;
+    if (vevent.hasProperty("dtend")) {
+      end = toTime(vevent.getFirstProperty("dtend"));
+    } else if (vevent.hasProperty("duration")) {
+      end = start + vevent.getFirstPropertyValue("duration").toSeconds() * 1000;
+    }
+    busy.push([start, end]);
+  }
+  return busy;
+}
+
+/**
+ * Find a time for a meeting, based on the free/busy information of the attendees and the events in
+ * the user's own calendars.
+ *
+ * @param {Object} options                  The options from the scheduling popup.
+ * @param {Object[]} options.attendees      The attendees, with email and optional flag.
+ * @param {string} options.rangeStart       The first day to search, as YYYY-MM-DD.
+ * @param {string} options.rangeEnd         The last day to search, as YYYY-MM-DD.
+ * @param {number} options.duration         The duration of the meeting, in minutes.
+ * @param {Object} options.workingHours     The working hours, see findSlots. The range is in
+ *                                            their timezone.
+ * @return {Object}                         The slots with ISO start and end strings, and the
+ *                                            attendees whose availability is unknown.
+ */
+export async function findTime({ attendees, rangeStart, rangeEnd, duration, workingHours }) {
+  workingHours = { ...DEFAULT_WORKING_HOURS, ...workingHours };
+
+  // The days are in the timezone of the working hours, the range ends after the last day
+  let clock = new ZonedClock(workingHours.timeZone);
+  let lastDay = ICAL.Time.fromDateString(rangeEnd);
+  lastDay.adjust(1, 0, 0, 0);
+  let start = clock.timeOf(ICAL.Time.fromDateString(rangeStart));
+  let end = clock.timeOf(lastDay);
+  let icalStart = ICAL.Time.fromJSDate(new Date(start), true).toICALString();
+  let icalEnd = ICAL.Time.fromJSDate(new Date(end), true).toICALString();
+
+  let [ownBusy, ...attendeeBusy] = await Promise.all([
+    getOwnBusyTimes(start, end, workingHours.timeZone),
+    ...attendees.map(attendee =>
+      calGoogleFreeBusy.instance.getBusyTimes(attendee.email, icalStart, icalEnd)
+    ),
+  ]);
+
+  // Attendees whose availability could not be looked up are treated as free
+  let unknown = attendees.filter((attendee, index) => !attendeeBusy[index]);
+  let busyTimes = attendeeBusy.map(busy =>
+    (busy || []).map(interval => [
+      interval.start.toUnixTime() * 1000,
+      interval.end.toUnixTime() * 1000,
+    ])
+  );
+
+  let slots = findSlots({
+    rangeStart: start,
+    rangeEnd: end,
+    duration,
+    workingHours,
+    attendees: [
+      { email: null, optional: false, busy: ownBusy },
+      ...attendees.map((attendee, index) => ({ ...attendee, busy: busyTimes[index] })),
+    ],
+  });
+
+  return {
+    slots: slots.map(slot => ({
+      start: new Date(slot.start).toISOString(),
+      end: new Date(slot.end).toISOString(),
+      unavailable: slot.unavailable,
+    })),
+    unknown: unknown.map(attendee => attendee.email),
+  };
+}
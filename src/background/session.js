@@ -6,9 +6,9 @@
 import Console from "./log.js";
 import OAuth2 from "./oauth.js";
 import calGoogleRequest from "./request.js";
+import calGoogleBatchRequest, { BATCH_SIZE } from "./batch.js";
 
 import {
-  isEmail,
   fromRFC3339,
   toRFC3339,
   sessionIdFromUrl,
@@ -67,6 +67,17 @@ var sessions = {
 export default sessions;
 
 class calGoogleSession {
+  // Requests queued while others are being sent, they are sent together when those are done.
+  batchQueue = [];
+  batchSending = false;
+
+  // Time in milliseconds the calendar list is shared between all calendars of the account.
+  calendarListTTL = 300 * 1000;
+  calendarListCache = null;
+
+  // The color palettes don't change, they are requested once per session.
+  colorsCache = null;
+
   constructor(id) {
     this.id = id;
 
@@ -98,58 +109,56 @@ class calGoogleSession {
       [Ⲷ[+!+[]+[+[]]-!+[]-!+[]-!+[]-!+[]]](Ⲽ))[Ⲷ[+!+[]+[+[]]-!+[]-!+[]-!+[]]]([]+[]));
     this.oauth = new OAuth2(Ⲟ);
     /* eslint-enable */
-
-    messenger.calendar.provider.onFreeBusy.addListener(this.onFreeBusy.bind(this));
   }
 
   get accessToken() {
     return this.oauth.accessToken;
   }
 
-  async onFreeBusy(user, rangeStart, rangeEnd, busyTypes) {
-    // TODO what is busyTypes
-    let mailtoUser = user.substr(7);
-    if (!user.startsWith("mailto:") || !isEmail(mailtoUser)) {
-      return [];
-    }
-
+  /**
+   * Retrieve the busy times of multiple attendees in one freeBusy request.
+   *
+   * @param {string[]} attendees    The email addresses to look up, at most FREEBUSY_BATCH_SIZE.
+   * @param {ICAL.Time} start       The start of the range.
+   * @param {ICAL.Time} end         The end of the range.
+   * @return {Object}               The busy intervals for each attendee, as objects with UTC
+   *                                  ICAL.Time start and end. Attendees that could not be looked
+   *                                  up, e.g. because their calendar is not shared, are missing.
+   */
+  async requestFreeBusy(attendees, start, end) {
     let request = new calGoogleRequest({
       uri: API_BASE.EVENTS + "freeBusy",
       method: "POST",
       reauthenticate: false,
-      body: JSON.stringify({
-        timeMin: toRFC3339(rangeStart),
-        timeMax: toRFC3339(rangeEnd),
-        items: [{ id: mailtoUser }],
-      }),
+      json: {
+        timeMin: toRFC3339(start),
+        timeMax: toRFC3339(end),
+        items: attendees.map(id => ({ id })),
+      },
     });
 
-    try {
-      await request.commit(this);
-    } catch (e) {
-      console.error("Failed freebusy request", e);
-      return [];
-    }
-
+    let data = await request.commit(this);
     if (request.firstError?.reason) {
-      console.error(`Could not request freebusy for ${mailtoUser}: ${request.firstError?.reason}`);
-      return [];
+      throw new Error(`Could not request freebusy: ${request.firstError.reason}`);
     }
 
-    let caldata = request.json?.calendars?.[mailtoUser];
-    if (!caldata) {
-      console.error("Invalid freebusy response", request.json);
-      return [];
+    let results = {};
+    for (let attendee of attendees) {
+      // Errors for the attendee, e.g. if their calendar is not shared, are part of the response
+      let caldata = data?.calendars?.[attendee];
+      let reason = caldata?.errors?.[0]?.reason;
+      if (reason) {
+        console.error(`Could not request freebusy for ${attendee}: ${reason}`);
+      } else if (caldata?.busy) {
+        results[attendee] = caldata.busy.map(entry => ({
+          start: fromRFC3339(entry.start, UTC),
+          end: fromRFC3339(entry.end, UTC),
+        }));
+      } else {
+        console.error(`Invalid freebusy response for ${attendee}`, data);
+      }
     }
-
-    return caldata.busy.map(entry => {
-      return {
-        id: mailtoUser,
-        start: fromRFC3339(entry.start, UTC),
-        end: fromRFC3339(entry.end, UTC),
-        type: "BUSY",
-      };
-    });
+    return results;
   }
 
   notifyQuotaExceeded() {
@@ -174,7 +183,68 @@ class calGoogleSession {
     }
   }
 
-  async getCalendarList() {
+  /**
+   * Get the calendar list of the account. The list is cached for all calendars of the session, and
+   * only requested again once it is older than calendarListTTL.
+   *
+   * @return {Object[]}         The calendar list entries.
+   */
+  getCalendarList() {
+    let cache = this.calendarListCache;
+    if (cache && Date.now() - cache.time < this.calendarListTTL) {
+      return cache.promise;
+    }
+
+    let promise = this.requestCalendarList();
+    this.calendarListCache = { time: Date.now(), promise };
+    promise.catch(() => {
+      // Don't keep failures around, the next caller should try again
+      if (this.calendarListCache?.promise == promise) {
+        this.calendarListCache = null;
+      }
+    });
+    return promise;
+  }
+
+  /**
+   * Get a single entry of the (cached) calendar list.
+   *
+   * @param {string} calendarId     The id of the Google calendar.
+   * @return {?Object}              The calendar list entry, or null if it is not in the list.
+   */
+  async getCalendarListEntry(calendarId) {
+    let items = await this.getCalendarList();
+    return items.find(entry => entry.id == calendarId) || null;
+  }
+
+  invalidateCalendarList() {
+    this.calendarListCache = null;
+  }
+
+  /**
+   * Get the color palettes of the account.
+   *
+   * @return {Object}       The colors resource, with the `calendar` and `event` palettes mapping
+   *                          color ids to their background and foreground colors.
+   */
+  getColors() {
+    if (!this.colorsCache) {
+      let request = new calGoogleRequest({
+        method: "GET",
+        uri: API_BASE.EVENTS + "colors",
+      });
+      let promise = request.commit(this);
+      this.colorsCache = promise;
+      promise.catch(() => {
+        if (this.colorsCache == promise) {
+          this.colorsCache = null;
+        }
+      });
+    }
+    return this.colorsCache;
+  }
+
+  async requestCalendarList() {
     let request = new calGoogleRequest({
       method: "GET",
       uri: API_BASE.EVENTS + "users/me/calendarList",
@@ -273,4 +343,84 @@ class calGoogleSession {
 
     return null;
   }
+
+  /**
+   * Send multiple requests using the batch endpoint, with at most BATCH_SIZE calls per batch.
+   *
+   * @param {calGoogleRequest[]} requests     The requests to send, all to the same API.
+   * @return {Object[]}                       The settled results of each request, in the same
+   *                                            format as Promise.allSettled.
+   */
+  async batchRequest(requests) {
+    let results = [];
+    for (let start = 0; start < requests.length; start += BATCH_SIZE) {
+      let chunk = requests.slice(start, start + BATCH_SIZE);
+      let batch = new calGoogleBatchRequest(calGoogleBatchRequest.endpointFor(chunk[0]), chunk);
+      try {
+        await batch.commit(this);
+        results.push(...(await batch.handleParts(this)));
+      } catch (e) {
+        results.push(...chunk.map(() => ({ status: "rejected", reason: e })));
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Queue a request to be sent together with other requests. If no requests are being sent, it is
+   * sent right away, together with those queued at the same time. Otherwise it is sent in a batch
+   * with all requests queued in the meanwhile, once the requests being sent are done.
+   *
+   * @param {calGoogleRequest} request        The request to send.
+   * @return {Object}                         The parsed JSON response.
+   */
+  queueRequest(request) {
+    return new Promise((resolve, reject) => {
+      this.batchQueue.push({ request, resolve, reject });
+      if (!this.batchSending) {
+        this.batchSending = true;
+        Promise.resolve().then(() => this.flushBatchQueue());
+      }
+    });
+  }
+
+  async flushBatchQueue() {
+    try {
+      while (this.batchQueue.length) {
+        let queue = this.batchQueue;
+        this.batchQueue = [];
+        await this.sendQueuedRequests(queue);
+      }
+    } finally {
+      this.batchSending = false;
+    }
+  }
+
+  async sendQueuedRequests(queue) {
+    let groups = new Map();
+    for (let entry of queue) {
+      let endpoint = calGoogleBatchRequest.endpointFor(entry.request);
+      groups.set(endpoint, [...(groups.get(endpoint) || []), entry]);
+    }
+
+    await Promise.all(
+      [...groups.values()].map(async entries => {
+        if (entries.length == 1) {
+          let [{ request, resolve, reject }] = entries;
+          await request.commit(this).then(resolve, reject);
+          return;
+        }
+
+        console.log(`Sending ${entries.length} queued requests in batches`);
+        let results = await this.batchRequest(entries.map(entry => entry.request));
+        results.forEach(({ status, value, reason }, index) => {
+          if (status == "fulfilled") {
+            entries[index].resolve(value);
+          } else {
+            entries[index].reject(reason);
+          }
+        });
+      })
+    );
+  }
 }
@@ -0,0 +1,144 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ * Portions Copyright (C) Philipp Kewisch */
+
+export const SYNC_STATE_VERSION = 1;
+
+// All keys kept per calendar, with the type of their value. Values can always be null as well.
+export const SYNC_STATE_SCHEMA = {
+  eventSyncToken: "string",
+  eventBackfill: "object",
+  tasksLastUpdated: "string",
+  calendarListEtag: "string",
+  timeZone: "string",
+  outbox: "array",
+  "syncWindow.past": "number",
+  "syncWindow.future": "number",
+
+  "throttle.calendarList": "string",
+  "throttle.events": "string",
+  "throttle.tasks": "string",
+
+  "settings.accessRole": "string",
+  "settings.backgroundColor": "string",
+  "settings.defaultReminders": "string",
+  "settings.description": "string",
+  "settings.foregroundColor": "string",
+  "settings.location": "string",
+  "settings.primary": "boolean",
+  "settings.summary": "string",
+  "settings.summaryOverride": "string",
+  "settings.timeZone": "string",
+};
+
+// The keys cleared when the calendar is reset, causing the next sync to start over.
+const RESET_KEYS = [
+  "eventSyncToken",
+  "eventBackfill",
+  "tasksLastUpdated",
+  "calendarListEtag",
+  "throttle.calendarList",
+  "throttle.events",
+  "throttle.tasks",
+];
+
+// Migrations from each version to the next, MIGRATIONS[0] migrates from version 0 to 1.
+const MIGRATIONS = [
+  async state => {
+    // Resetting the calendar used to set eventsSyncToken instead of eventSyncToken
+    await messenger.storage.local.remove(state.prefName("eventsSyncToken"));
+  },
+];
+
+/**
+ * The sync state of a calendar, saved in the calendars.<id>.<key> prefs. Only keys from the schema
+ * can be used, which makes sure readers and writers agree on the name and type of each key.
+ */
+export default class calGoogleSyncState {
+  /**
+   * Get the Google user that was associated with a calendar before the googleapi:// url format.
+   * This is migrated from the calendar.google.calPrefs.<calendarName>.googleUser legacy pref.
+   *
+   * @param {string} calendarName     The Google calendar id.
+   * @return {?string}                The Google user, or null if none was set.
+   */
+  static async getLegacyGoogleUser(calendarName) {
+    let legacyPref = `googleUser.${calendarName}.googleUser`;
+    let pref = "googleUser." + calendarName;
+    let prefs = await messenger.storage.local.get({ [legacyPref]: null, [pref]: null });
+    return prefs[legacyPref] || prefs[pref];
+  }
+
+  constructor(id) {
+    this.id = id;
+  }
+
+  prefName(key) {
+    return `calendars.${this.id}.${key}`;
+  }
+
+  checkKey(key, value) {
+    if (!(key in SYNC_STATE_SCHEMA)) {
+      throw new Error("Unknown sync state key: " + key);
+    }
+
+    let type = SYNC_STATE_SCHEMA[key];
+    let valid = type == "array" ? Array.isArray(value) : typeof value == type;
+    if (value !== null && value !== undefined && !valid) {
+      throw new Error(`Invalid value for sync state key ${key}, expected ${type}`);
+    }
+  }
+
+  async get(key, defaultValue = null) {
+    this.checkKey(key);
+    let prefName = this.prefName(key);
+    let prefs = await messenger.storage.local.get({ [prefName]: defaultValue });
+    return prefs[prefName];
+  }
+
+  async set(key, value) {
+    await this.update({ [key]: value });
+  }
+
+  /**
+   * Set multiple keys at once. Either all keys are valid and saved, or none of them are.
+   *
+   * @param {Object} values     The keys and values to set.
+   */
+  async update(values) {
+    let prefs = {};
+    for (let [key, value] of Object.entries(values)) {
+      this.checkKey(key, value);
+      prefs[this.prefName(key)] = value ?? null;
+    }
+    await messenger.storage.local.set(prefs);
+  }
+
+  async reset() {
+    await this.update(Object.fromEntries(RESET_KEYS.map(key => [key, null])));
+  }
+
+  /**
+   * Remove all state for the calendar, e.g. when it is deleted.
+   */
+  async remove() {
+    let keys = Object.keys(SYNC_STATE_SCHEMA).concat("syncStateVersion");
+    await messenger.storage.local.remove(keys.map(key => this.prefName(key)));
+  }
+
+  async migrate() {
+    let versionPref = this.prefName("syncStateVersion");
+    let prefs = await messenger.storage.local.get({ [versionPref]: 0 });
+    let version = prefs[versionPref];
+
+    if (version >= SYNC_STATE_VERSION) {
+      return;
+    }
+
+    for (; version < SYNC_STATE_VERSION; version++) {
+      await MIGRATIONS[version](this);
+    }
+    await messenger.storage.local.set({ [versionPref]: SYNC_STATE_VERSION });
+  }
+}
@@ -0,0 +1,73 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ * Portions Copyright (C) Philipp Kewisch */
+
+// Minimum time in seconds between two requests for the same resource. These can be overridden
+// using the settings.throttle.<resource> prefs.
+export const THROTTLE_INTERVALS = {
+  calendarList: 900,
+  events: 60,
+  tasks: 60,
+};
+
+export default class calGoogleThrottle {
+  constructor(calendar) {
+    this.calendar = calendar;
+  }
+
+  get resources() {
+    return Object.keys(THROTTLE_INTERVALS);
+  }
+
+  async getInterval(resource) {
+    let prefName = "settings.throttle." + resource;
+    let prefs = await messenger.storage.local.get({ [prefName]: THROTTLE_INTERVALS[resource] });
+    return prefs[prefName] * 1000;
+  }
+
+  async getLastSync(resource) {
+    let lastSync = await this.calendar.getCalendarPref("throttle." + resource);
+    return lastSync ? new Date(lastSync) : null;
+  }
+
+  /**
+   * Check if a request for the resource may be sent, or if the last sync was too recent.
+   *
+   * @param {string} resource   The resource to check, one of events, tasks or calendarList.
+   * @return {boolean}          True, if the request may be sent.
+   */
+  async check(resource) {
+    if (!(resource in THROTTLE_INTERVALS)) {
+      throw new Error("Unknown throttle resource: " + resource);
+    }
+
+    let lastSync = await this.getLastSync(resource);
+    if (!lastSync) {
+      return true;
+    }
+
+    let elapsed = Date.now() - lastSync.getTime();
+    let interval = await this.getInterval(resource);
+
+    // A negative value means the clock has been turned back, don't get stuck in that case.
+    if (elapsed >= 0 && elapsed < interval) {
+      this.calendar.console.log(
+        `Throttling ${resource} request, last sync was ${Math.round(elapsed / 1000)}s ago`
+      );
+      return false;
+    }
+
+    return true;
+  }
+
+  async update(resource, date = new Date()) {
+    await this.calendar.setCalendarPref("throttle." + resource, date.toISOString());
+  }
+
+  async reset() {
+    await Promise.all(
+      this.resources.map(resource => this.calendar.setCalendarPref("throttle." + resource, null))
+    );
+  }
+}
@@ -17,18 +17,80 @@ export const API_BASE = {
   TASKS: "https://www.googleapis.com/tasks/v1/",
 };
 
-export const UTC = "UTC"; // TODO
+export const UTC = ICAL.Timezone.utcTimezone;
+
+const RFC3339_RE = /^(\d{4})-(\d{2})-(\d{2})(?:[Tt](\d{2}):(\d{2}):(\d{2})(?:\.\d+)?([Zz]|([+-])(\d{2}):(\d{2}))?)?$/;
 
 export function isEmail(email) {
   return !!email.match(EMAIL_REGEX);
 }
 
+/**
+ * Parse an RFC 3339 date or date-time as used by the Google APIs. Fractional seconds are dropped.
+ * Date-times with an offset are converted to the passed zone, those without are assumed to be in it.
+ *
+ * @param {string} entry            The RFC 3339 string.
+ * @param {?ICAL.Timezone} zone     The timezone of the result, floating if not passed.
+ * @return {?ICAL.Time}             The parsed time, or null if the string is not valid.
+ */
 export function fromRFC3339(entry, zone) {
-  // TODO
+  let match = entry?.match(RFC3339_RE);
+  if (!match) {
+    return null;
+  }
+
+  let [, year, month, day, hour, minute, second, offset, sign, offsetHour, offsetMinute] = match;
+  let time = new ICAL.Time({
+    year: parseInt(year, 10),
+    month: parseInt(month, 10),
+    day: parseInt(day, 10),
+    hour: parseInt(hour || 0, 10),
+    minute: parseInt(minute || 0, 10),
+    second: parseInt(second || 0, 10),
+    isDate: !hour,
+  });
+
+  if (offset) {
+    time.zone = UTC;
+    if (sign) {
+      let offsetSeconds = parseInt(offsetHour, 10) * 3600 + parseInt(offsetMinute, 10) * 60;
+      time.adjust(0, 0, 0, sign == "-" ? offsetSeconds : -offsetSeconds);
+    }
+    if (zone && zone != UTC) {
+      time = time.convertToZone(zone);
+    }
+  } else if (zone) {
+    time.zone = zone;
+  }
+  return time;
 }
 
+/**
+ * Format a time as RFC 3339 for the Google APIs. Date-times include milliseconds, which Google
+ * requires for timestamps, and the offset of their timezone unless they are floating.
+ *
+ * @param {ICAL.Time} entry     The time to format.
+ * @return {?string}            The RFC 3339 string, or null if no time was passed.
+ */
 export function toRFC3339(entry) {
-  // TODO
+  if (!entry) {
+    return null;
+  }
+  if (entry.isDate) {
+    return entry.toString();
+  }
+
+  let str = entry.toString().replace(/Z$/, "") + ".000";
+  if (entry.zone == UTC) {
+    str += "Z";
+  } else if (entry.zone && entry.zone != ICAL.Timezone.localTimezone) {
+    let offset = entry.utcOffset();
+    let absOffset = Math.abs(offset);
+    let hours = String(Math.floor(absOffset / 3600)).padStart(2, "0");
+    let minutes = String(Math.floor((absOffset % 3600) / 60)).padStart(2, "0");
+    str += `${offset < 0 ? "-" : "+"}${hours}:${minutes}`;
+  }
+  return str;
 }
 
 export function addVCalendar(vcomponent) {
@@ -52,17 +114,33 @@ export function addVCalendar(vcomponent) {
 export function getGoogleId(item) {
   let baseId = item.metadata?.path || item.id.replace(/@google.com$/, "");
 
-  let vevent = new ICAL.Component(item.formats.jcal);
-  let recId = vevent.getFirstPropertyValue("recurrence-id");
-  if (recId) {
-    let recSuffix = "_" + recId.convertToZone(ICAL.Timezone.utcTimezone).toICALString();
-    if (!baseId.endsWith(recSuffix)) {
-      baseId += recSuffix;
-    }
+  let recId = getRecurrenceId(item);
+  if (recId && !baseId.endsWith("_" + recId)) {
+    baseId += "_" + recId;
   }
   return baseId;
 }
 
+/**
+ * Get the recurrence id of an occurrence in UTC, in the format Google uses for instance ids.
+ *
+ * @param {Object} item     The item, its jCal can be either the vevent or a vcalendar.
+ * @return {?string}        The recurrence id, or null if the item is not an occurrence.
+ */
+export function getRecurrenceId(item) {
+  if (!item.formats?.jcal) {
+    return null;
+  }
+
+  let comp = new ICAL.Component(item.formats.jcal);
+  if (comp.name == "vcalendar") {
+    comp = comp.getFirstSubcomponent("vevent");
+  }
+
+  let recId = comp?.getFirstPropertyValue("recurrence-id");
+  return recId ? recId.convertToZone(ICAL.Timezone.utcTimezone).toICALString() : null;
+}
+
 export function categoriesStringToArray(aCategories) {
   if (!aCategories) {
     return [];
@@ -85,6 +163,234 @@ export function reverseObject(obj) {
   return Object.fromEntries(Object.entries(obj).map(entry => entry.reverse()));
 }
 
+/**
+ * Map the items using an async function, running at most limit calls at the same time.
+ *
+ * @param {Array} items           The items to map.
+ * @param {number} limit          The maximum number of concurrent calls.
+ * @param {Function} func         The async function to call with each item and its index.
+ * @return {Array}                The results, in the same order as the items.
+ */
+export async function mapLimit(items, limit, func) {
+  let results = new Array(items.length);
+  let next = 0;
+  let worker = async () => {
+    while (next < items.length) {
+      let index = next++;
+      results[index] = await func(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// The CSS3 color keywords, the only values RFC 7986 allows for the COLOR property
+const CSS_COLORS = {
+  aliceblue: "#f0f8ff",
+  antiquewhite: "#faebd7",
+  aqua: "#00ffff",
+  aquamarine: "#7fffd4",
+  azure: "#f0ffff",
+  beige: "#f5f5dc",
+  bisque: "#ffe4c4",
+  black: "#000000",
+  blanchedalmond: "#ffebcd",
+  blue: "#0000ff",
+  blueviolet: "#8a2be2",
+  brown: "#a52a2a",
+  burlywood: "#deb887",
+  cadetblue: "#5f9ea0",
+  chartreuse: "#7fff00",
+  chocolate: "#d2691e",
+  coral: "#ff7f50",
+  cornflowerblue: "#6495ed",
+  cornsilk: "#fff8dc",
+  crimson: "#dc143c",
+  cyan: "#00ffff",
+  darkblue: "#00008b",
+  darkcyan: "#008b8b",
+  darkgoldenrod: "#b8860b",
+  darkgray: "#a9a9a9",
+  darkgreen: "#006400",
+  darkgrey: "#a9a9a9",
+  darkkhaki: "#bdb76b",
+  darkmagenta: "#8b008b",
+  darkolivegreen: "#556b2f",
+  darkorange: "#ff8c00",
+  darkorchid: "#9932cc",
+  darkred: "#8b0000",
+  darksalmon: "#e9967a",
+  darkseagreen: "#8fbc8f",
+  darkslateblue: "#483d8b",
+  darkslategray: "#2f4f4f",
+  darkslategrey: "#2f4f4f",
+  darkturquoise: "#00ced1",
+  darkviolet: "#9400d3",
+  deeppink: "#ff1493",
+  deepskyblue: "#00bfff",
+  dimgray: "#696969",
+  dimgrey: "#696969",
+  dodgerblue: "#1e90ff",
+  firebrick: "#b22222",
+  floralwhite: "#fffaf0",
+  forestgreen: "#228b22",
+  fuchsia: "#ff00ff",
+  gainsboro: "#dcdcdc",
+  ghostwhite: "#f8f8ff",
+  gold: "#ffd700",
+  goldenrod: "#daa520",
+  gray: "#808080",
+  green: "#008000",
+  greenyellow: "#adff2f",
+  grey: "#808080",
+  honeydew: "#f0fff0",
+  hotpink: "#ff69b4",
+  indianred: "#cd5c5c",
+  indigo: "#4b0082",
+  ivory: "#fffff0",
+  khaki: "#f0e68c",
+  lavender: "#e6e6fa",
+  lavenderblush: "#fff0f5",
+  lawngreen: "#7cfc00",
+  lemonchiffon: "#fffacd",
+  lightblue: "#add8e6",
+  lightcoral: "#f08080",
+  lightcyan: "#e0ffff",
+  lightgoldenrodyellow: "#fafad2",
+  lightgray: "#d3d3d3",
+  lightgreen: "#90ee90",
+  lightgrey: "#d3d3d3",
+  lightpink: "#ffb6c1",
+  lightsalmon: "#ffa07a",
+  lightseagreen: "#20b2aa",
+  lightskyblue: "#87cefa",
+  lightslategray: "#778899",
+  lightslategrey: "#778899",
+  lightsteelblue: "#b0c4de",
+  lightyellow: "#ffffe0",
+  lime: "#00ff00",
+  limegreen: "#32cd32",
+  linen: "#faf0e6",
+  magenta: "#ff00ff",
+  maroon: "#800000",
+  mediumaquamarine: "#66cdaa",
+  mediumblue: "#0000cd",
+  mediumorchid: "#ba55d3",
+  mediumpurple: "#9370db",
+  mediumseagreen: "#3cb371",
+  mediumslateblue: "#7b68ee",
+  mediumspringgreen: "#00fa9a",
+  mediumturquoise: "#48d1cc",
+  mediumvioletred: "#c71585",
+  midnightblue: "#191970",
+  mintcream: "#f5fffa",
+  mistyrose: "#ffe4e1",
+  moccasin: "#ffe4b5",
+  navajowhite: "#ffdead",
+  navy: "#000080",
+  oldlace: "#fdf5e6",
+  olive: "#808000",
+  olivedrab: "#6b8e23",
+  orange: "#ffa500",
+  orangered: "#ff4500",
+  orchid: "#da70d6",
+  palegoldenrod: "#eee8aa",
+  palegreen: "#98fb98",
+  paleturquoise: "#afeeee",
+  palevioletred: "#db7093",
+  papayawhip: "#ffefd5",
+  peachpuff: "#ffdab9",
+  peru: "#cd853f",
+  pink: "#ffc0cb",
+  plum: "#dda0dd",
+  powderblue: "#b0e0e6",
+  purple: "#800080",
+  red: "#ff0000",
+  rosybrown: "#bc8f8f",
+  royalblue: "#4169e1",
+  saddlebrown: "#8b4513",
+  salmon: "#fa8072",
+  sandybrown: "#f4a460",
+  seagreen: "#2e8b57",
+  seashell: "#fff5ee",
+  sienna: "#a0522d",
+  silver: "#c0c0c0",
+  skyblue: "#87ceeb",
+  slateblue: "#6a5acd",
+  slategray: "#708090",
+  slategrey: "#708090",
+  snow: "#fffafa",
+  springgreen: "#00ff7f",
+  steelblue: "#4682b4",
+  tan: "#d2b48c",
+  teal: "#008080",
+  thistle: "#d8bfd8",
+  tomato: "#ff6347",
+  turquoise: "#40e0d0",
+  violet: "#ee82ee",
+  wheat: "#f5deb3",
+  white: "#ffffff",
+  whitesmoke: "#f5f5f5",
+  yellow: "#ffff00",
+  yellowgreen: "#9acd32",
+};
+
+/**
+ * Parse a CSS3 color keyword or a hex color.
+ *
+ * @param {?string} color     The color to parse.
+ * @return {?number[]}        The red, green and blue components, or null if the color is invalid.
+ */
+export function parseColor(color) {
+  let hexColor = CSS_COLORS[color?.toLowerCase()] || color;
+  let match = hexColor?.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (!match) {
+    return null;
+  }
+  let hex = match[1].length == 3 ? match[1].replace(/./g, "$&$&") : match[1];
+  return [0, 2, 4].map(index => parseInt(hex.substr(index, 2), 16));
+}
+
+/**
+ * Find the entry closest to a color, comparing the colors by their components.
+ *
+ * @param {?string} color         The CSS3 color keyword or hex color to look up.
+ * @param {Array[]} candidates    Pairs of a key and the color it stands for.
+ * @return {?string}              The key of the closest color, or null if there is none.
+ */
+export function findClosestColor(color, candidates) {
+  let rgb = parseColor(color);
+  if (!rgb) {
+    return null;
+  }
+
+  let closest = null;
+  let minDistance = Infinity;
+  for (let [key, candidate] of candidates) {
+    let candidateRGB = parseColor(candidate);
+    if (!candidateRGB) {
+      continue;
+    }
+    let distance = candidateRGB.reduce((sum, value, index) => sum + (value - rgb[index]) ** 2, 0);
+    if (distance < minDistance) {
+      minDistance = distance;
+      closest = key;
+    }
+  }
+  return closest;
+}
+
+/**
+ * Get the CSS3 color keyword closest to a color.
+ *
+ * @param {?string} color     The hex color to look up.
+ * @return {?string}          The color keyword, or null if the color is invalid.
+ */
+export function getColorName(color) {
+  return findClosestColor(color, Object.entries(CSS_COLORS));
+}
+
 export function sessionIdFromUrl(url) {
   // The first two cases are for the jest tests, node's URL constructor works differently.
   if (url.username) {
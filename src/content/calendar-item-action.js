@@ -0,0 +1,228 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ * Portions Copyright (C) Philipp Kewisch */
+
+import { isEmail, isTesting } from "../background/utils.js";
+
+const DEFAULT_DAYS = [1, 2, 3, 4, 5];
+
+// The slots of the last search, the selected radio button's value is the index
+var foundSlots = [];
+
+function toDateString(date) {
+  let month = String(date.getMonth() + 1).padStart(2, "0");
+  let day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function setStatus(key, ...args) {
+  document.getElementById("gdata-findtime-status").textContent = key
+    ? messenger.i18n.getMessage(key, ...args)
+    : "";
+}
+
+function isTimezone(timeZone) {
+  try {
+    return !!new Intl.DateTimeFormat("en-US", { timeZone });
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Parse the attendees entered in one of the attendee fields.
+ *
+ * @param {string} value        The field value, with addresses separated by commas or spaces.
+ * @param {boolean} optional    If the attendees are optional.
+ * @return {Object[]}           The attendees with their email and optional flag.
+ */
+export function parseAttendees(value, optional) {
+  return value
+    .split(/[\s,;]+/)
+    .filter(Boolean)
+    .map(email => ({ email: email.replace(/^mailto:/i, ""), optional }));
+}
+
+export async function main() {
+  for (let node of document.querySelectorAll("*[data-l10n-id]")) {
+    node.textContent = messenger.i18n.getMessage(node.getAttribute("data-l10n-id"));
+  }
+
+  let today = new Date();
+  let nextWeek = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 6);
+  document.getElementById("gdata-findtime-from").value = toDateString(today);
+  document.getElementById("gdata-findtime-to").value = toDateString(nextWeek);
+  document.getElementById(
+    "gdata-findtime-timezone"
+  ).value = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+  // January 4th 2021 is a Monday, the week starts with it
+  let weekdayFormatter = new Intl.DateTimeFormat(messenger.i18n.getUILanguage(), {
+    weekday: "short",
+    timeZone: "UTC",
+  });
+  let days = document.getElementById("gdata-findtime-days");
+  for (let index = 0; index < 7; index++) {
+    let weekday = (index + 1) % 7;
+    let label = days.appendChild(document.createElement("label"));
+    let check = label.appendChild(document.createElement("input"));
+    check.type = "checkbox";
+    check.value = weekday;
+    check.checked = DEFAULT_DAYS.includes(weekday);
+    label.appendChild(
+      document.createTextNode(weekdayFormatter.format(new Date(Date.UTC(2021, 0, 4 + index))))
+    );
+  }
+
+  let calendars = await messenger.calendar.calendars.query({ type: "ext-" + messenger.runtime.id });
+  let calendarList = document.getElementById("gdata-findtime-calendar");
+  for (let calendar of calendars.filter(entry => !entry.readOnly)) {
+    let option = calendarList.appendChild(document.createElement("option"));
+    option.value = calendar.id;
+    option.textContent = calendar.name;
+  }
+
+  document.getElementById("gdata-findtime-find").addEventListener("click", clickFind);
+  document.getElementById("gdata-findtime-create").addEventListener("click", clickCreate);
+  document.getElementById("gdata-findtime-slots").addEventListener("change", () => {
+    document.getElementById("gdata-findtime-create").disabled = false;
+  });
+}
+
+export async function clickFind(event) {
+  let attendees = [
+    ...parseAttendees(document.getElementById("gdata-findtime-required").value, false),
+    ...parseAttendees(document.getElementById("gdata-findtime-optional").value, true),
+  ];
+  let invalid = attendees.find(attendee => !isEmail(attendee.email));
+  if (invalid) {
+    setStatus("gdata.findtime.invalidAttendee", invalid.email);
+    return;
+  }
+
+  let timeZone = document.getElementById("gdata-findtime-timezone").value;
+  if (!isTimezone(timeZone)) {
+    setStatus("gdata.findtime.invalidTimezone", timeZone);
+    return;
+  }
+
+  let workingHours = {
+    start: document.getElementById("gdata-findtime-day-start").value,
+    end: document.getElementById("gdata-findtime-day-end").value,
+    days: [...document.querySelectorAll("#gdata-findtime-days input:checked")].map(check =>
+      parseInt(check.value, 10)
+    ),
+    timeZone,
+  };
+
+  let findButton = document.getElementById("gdata-findtime-find");
+  let results = document.getElementById("gdata-findtime-results");
+  findButton.disabled = true;
+  setStatus("gdata.findtime.searching");
+
+  let slots, unknown;
+  try {
+    ({ slots, unknown } = await messenger.runtime.sendMessage({
+      action: "findTime",
+      attendees,
+      rangeStart: document.getElementById("gdata-findtime-from").value,
+      rangeEnd: document.getElementById("gdata-findtime-to").value,
+      duration: parseInt(document.getElementById("gdata-findtime-duration").value, 10),
+      workingHours,
+    }));
+  } catch (e) {
+    // Slots from an earlier search may no longer match the input
+    foundSlots = [];
+    results.setAttribute("hidden", "true");
+    document.getElementById("gdata-findtime-create").disabled = true;
+    setStatus("gdata.findtime.failed", e.message);
+    return;
+  } finally {
+    findButton.disabled = false;
+  }
+
+  foundSlots = slots;
+  let formatter = new Intl.DateTimeFormat(messenger.i18n.getUILanguage(), {
+    dateStyle: "medium",
+    timeStyle: "short",
+    timeZone,
+  });
+  let list = document.getElementById("gdata-findtime-slots");
+  let template = document.getElementById("gdata-findtime-slot");
+  list.replaceChildren();
+  slots.forEach((slot, index) => {
+    let item = template.content.cloneNode(true);
+    item.querySelector("input").value = index;
+    item.querySelector(".gdata-findtime-time").textContent = formatter.formatRange(
+      new Date(slot.start),
+      new Date(slot.end)
+    );
+    if (slot.unavailable.length) {
+      item.querySelector(".gdata-findtime-unavailable").textContent = messenger.i18n.getMessage(
+        "gdata.findtime.unavailable",
+        slot.unavailable.join(", ")
+      );
+    }
+    list.appendChild(item);
+  });
+
+  results.removeAttribute("hidden");
+  document.getElementById("gdata-findtime-create").disabled = true;
+
+  if (!slots.length) {
+    setStatus("gdata.findtime.noSlots");
+  } else if (unknown.length) {
+    setStatus("gdata.findtime.unknown", unknown.join(", "));
+  } else {
+    setStatus(null);
+  }
+}
+
+export async function clickCreate(event) {
+  let selected = document.querySelector("#gdata-findtime-slots input:checked");
+  let calendarId = document.getElementById("gdata-findtime-calendar").value;
+  if (!selected || !calendarId) {
+    return;
+  }
+
+  let slot = foundSlots[selected.value];
+  let attendees = [
+    ...parseAttendees(document.getElementById("gdata-findtime-required").value, false),
+    ...parseAttendees(document.getElementById("gdata-findtime-optional").value, true),
+  ];
+
+  let jcal = [
+    "vevent",
+    [
+      ["summary", {}, "text", document.getElementById("gdata-findtime-title").value],
+      ["dtstart", {}, "date-time", slot.start.replace(/\.\d+Z$/, "Z")],
+      ["dtend", {}, "date-time", slot.end.replace(/\.\d+Z$/, "Z")],
+      ...attendees.map(attendee => [
+        "attendee",
+        {
+          role: attendee.optional ? "OPT-PARTICIPANT" : "REQ-PARTICIPANT",
+          partstat: "NEEDS-ACTION",
+        },
+        "cal-address",
+        "mailto:" + attendee.email,
+      ]),
+    ],
+    [],
+  ];
+
+  await messenger.calendar.items.create(calendarId, {
+    type: "event",
+    formats: { use: "jcal", jcal },
+  });
+  window.close();
+}
+
+/* istanbul ignore next */
+(async function() {
+  if (await isTesting()) {
+    return;
+  }
+
+  await main();
+})();
@@ -0,0 +1,115 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ * Portions Copyright (C) Philipp Kewisch */
+
+import ICAL from "../background/libs/ical.js";
+import { isTesting } from "../background/utils.js";
+
+/**
+ * Get the conference of an item, as mapped from Google's conference data.
+ *
+ * @param {Object} item     The item with its jCal format.
+ * @return {?Object}        The conference with the video uri, the solution name and the entry
+ *                            points with type, uri, label and pin. Null if there is none.
+ */
+export function getConference(item) {
+  let vcomponent = new ICAL.Component(item.formats.jcal);
+  let vevent = vcomponent.name == "vevent" ? vcomponent : vcomponent.getFirstSubcomponent("vevent");
+  let conference = vevent?.getFirstProperty("x-google-conference");
+  if (!conference) {
+    return null;
+  }
+
+  return {
+    uri: conference.getFirstValue(),
+    name: conference.getParameter("x-google-solution"),
+    entryPoints: vevent
+      .getAllProperties("attach")
+      .filter(attach => attach.getParameter("x-google-entry-point-type"))
+      .map(attach => ({
+        type: attach.getParameter("x-google-entry-point-type"),
+        uri: attach.getFirstValue(),
+        label: attach.getParameter("label"),
+        pin: attach.getParameter("x-google-pin"),
+      })),
+  };
+}
+
+/**
+ * Offer to add a Google Meet conference to events of Google calendars that don't have one yet. The
+ * request is sent along with the event when it is saved.
+ *
+ * @param {Object} item     The item with its jCal format.
+ */
+async function showConferenceRequest(item) {
+  let calendar = await messenger.calendar.calendars.get(item.calendarId);
+  if (calendar?.type != "ext-" + messenger.runtime.id) {
+    return;
+  }
+
+  let vcomponent = new ICAL.Component(item.formats.jcal);
+  let vevent = vcomponent.name == "vevent" ? vcomponent : vcomponent.getFirstSubcomponent("vevent");
+  let checkbox = document.getElementById("gdata-conference-request-meet");
+  checkbox.checked = vevent.hasProperty("x-google-conference-request");
+  checkbox.addEventListener("change", () => {
+    messenger.calendarItemDetails.setProperty(
+      "x-google-conference-request",
+      checkbox.checked ? "hangoutsMeet" : null
+    );
+  });
+
+  document.getElementById("gdata-conference-request").removeAttribute("hidden");
+}
+
+export async function main() {
+  for (let node of document.querySelectorAll("*[data-l10n-id]")) {
+    node.textContent = messenger.i18n.getMessage(node.getAttribute("data-l10n-id"));
+  }
+
+  let item = await messenger.calendarItemDetails.getItem({ returnFormat: "jcal" });
+  if (item?.type != "event") {
+    return;
+  }
+
+  let conference = getConference(item);
+  if (!conference) {
+    await showConferenceRequest(item);
+    return;
+  }
+
+  document.getElementById("gdata-conference-name").textContent = conference.name || "";
+  document.getElementById("gdata-conference-join").addEventListener("click", () => {
+    messenger.windows.openDefaultBrowser(conference.uri);
+  });
+
+  // The video entry point is the join button, list the other ways to dial in
+  let list = document.getElementById("gdata-conference-entry-points");
+  for (let entryPoint of conference.entryPoints.filter(entry => entry.type != "video")) {
+    let link = list
+      .appendChild(document.createElement("li"))
+      .appendChild(document.createElement("a"));
+    link.href = entryPoint.uri;
+    link.textContent = entryPoint.pin
+      ? messenger.i18n.getMessage("gdata.conference.pin", [
+          entryPoint.label || entryPoint.uri,
+          entryPoint.pin,
+        ])
+      : entryPoint.label || entryPoint.uri;
+    link.addEventListener("click", event => {
+      event.preventDefault();
+      messenger.windows.openDefaultBrowser(entryPoint.uri);
+    });
+  }
+
+  document.getElementById("gdata-conference").removeAttribute("hidden");
+}
+
+/* istanbul ignore next */
+(async function() {
+  if (await isTesting()) {
+    return;
+  }
+
+  await main();
+})();
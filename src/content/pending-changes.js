@@ -0,0 +1,85 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ * Portions Copyright (C) Philipp Kewisch */
+
+import { isTesting } from "../background/utils.js";
+
+function localize(root) {
+  for (let node of root.querySelectorAll("*[data-l10n-id]")) {
+    node.textContent = messenger.i18n.getMessage(node.getAttribute("data-l10n-id"));
+  }
+}
+
+/**
+ * Show the changes that have not been sent to Google yet, grouped by calendar.
+ */
+export async function showPendingChanges() {
+  let calendars = await messenger.runtime.sendMessage({ action: "getPendingChanges" });
+
+  let container = document.getElementById("gdata-pending-calendars");
+  let calendarTemplate = document.getElementById("gdata-pending-calendar");
+  let changeTemplate = document.getElementById("gdata-pending-change");
+  container.replaceChildren();
+
+  for (let calendar of calendars) {
+    let section = calendarTemplate.content.cloneNode(true);
+    localize(section);
+    section.querySelector(".gdata-pending-name").textContent = calendar.name;
+    section.querySelector(".gdata-pending-send").addEventListener("click", () => {
+      return sendChanges(calendar.id);
+    });
+
+    let list = section.querySelector(".gdata-pending-changes");
+    calendar.changes.forEach((change, index) => {
+      let row = changeTemplate.content.cloneNode(true);
+      localize(row);
+      row.querySelector(".gdata-pending-title").textContent = messenger.i18n.getMessage(
+        "gdata.pending." + change.operation,
+        change.title
+      );
+      if (change.error) {
+        row.querySelector(".gdata-pending-error").textContent = messenger.i18n.getMessage(
+          "gdata.pending.error",
+          change.error
+        );
+      }
+      row.querySelector(".gdata-pending-discard").addEventListener("click", () => {
+        return discardChange(calendar.id, index);
+      });
+      list.appendChild(row);
+    });
+
+    container.appendChild(section);
+  }
+
+  document.getElementById("gdata-pending-empty").hidden = !!calendars.length;
+}
+
+export async function sendChanges(calendarId) {
+  try {
+    await messenger.runtime.sendMessage({ action: "sendPendingChanges", calendarId });
+  } catch (e) {
+    // The change that failed is shown with its error
+  }
+  await showPendingChanges();
+}
+
+export async function discardChange(calendarId, index) {
+  await messenger.runtime.sendMessage({ action: "discardPendingChange", calendarId, index });
+  await showPendingChanges();
+}
+
+export async function main() {
+  localize(document);
+  await showPendingChanges();
+}
+
+/* istanbul ignore next */
+(async function() {
+  if (await isTesting()) {
+    return;
+  }
+
+  await main();
+})();
@@ -9,8 +9,12 @@ var { ExtensionAPI, EventManager } = ExtensionCommon;
 var { ExtensionError } = ExtensionUtils;
 
 var { Services } = ChromeUtils.import("resource://gre/modules/Services.jsm");
+var { EventEmitter } = ChromeUtils.import("resource://gre/modules/EventEmitter.jsm");
 var { cal } = ChromeUtils.import("resource:///modules/calendar/calUtils.jsm");
 
+// Shared by all contexts, so that progress reported by the background page reaches other pages
+var syncProgress = new EventEmitter();
+
 this.calendar_calendars = class extends ExtensionAPI {
   getAPI(context) {
     const calmgr = cal.getCalendarManager();
@@ -111,6 +115,9 @@ this.calendar_calendars = class extends ExtensionAPI {
             if (updateProperties.url && !isOwnCalendar(calendar, context.extension)) {
               throw new ExtensionError("Cannot update url for foreign calendars");
             }
+            if (updateProperties.lastError != null && !isOwnCalendar(calendar, context.extension)) {
+              throw new ExtensionError("Cannot update status for foreign calendars");
+            }
 
             if (updateProperties.url) {
               calendar.uri = Services.io.newURI(updateProperties.url);
@@ -130,6 +137,14 @@ this.calendar_calendars = class extends ExtensionAPI {
               // TODO validate capability names
               calendar.capabilities = Object.assign({}, calendar.capabilities, updateProperties.capabilities);
             }
+
+            if (updateProperties.lastError) {
+              // Notifying the error shows it to the user and marks the calendar with the error badge
+              unwrapCalendar(calendar).notifyError(Cr.NS_ERROR_FAILURE, updateProperties.lastError);
+              calendar.setProperty("currentStatus", Cr.NS_ERROR_FAILURE);
+            } else if (updateProperties.lastError === "") {
+              calendar.setProperty("currentStatus", Cr.NS_OK);
+            }
           },
           remove: async function(id) {
             let calendar = calmgr.getCalendarById(id);
@@ -169,6 +184,41 @@ this.calendar_calendars = class extends ExtensionAPI {
             calendar.wrappedJSObject.mObservers.notify("onLoad", [calendar]);
           },
 
+          reportSyncProgress: async function(id, progress) {
+            let calendar = calmgr.getCalendarById(id);
+            if (!calendar) {
+              throw new ExtensionError(`Invalid calendar id: ${id}`);
+            }
+            if (!isOwnCalendar(calendar, context.extension)) {
+              throw new ExtensionError("Cannot report progress for foreign calendars");
+            }
+
+            // The total is not known in advance, so only the items and pages so far are shown
+            let status = context.extension.localizeMessage(
+              progress.type == "task" ? "syncProgressTaskPages" : "syncProgressEventPages",
+              [calendar.name, progress.synced, progress.pages]
+            );
+            for (let win of Services.wm.getEnumerator("mail:3pane")) {
+              win.gCalendarStatusFeedback?.showStatusString(status);
+            }
+
+            syncProgress.emit("progress", convertCalendar(context.extension, calendar), progress);
+          },
+
+          clearSyncProgress: async function(id) {
+            let calendar = calmgr.getCalendarById(id);
+            if (!calendar) {
+              throw new ExtensionError(`Invalid calendar id: ${id}`);
+            }
+            if (!isOwnCalendar(calendar, context.extension)) {
+              throw new ExtensionError("Cannot clear progress for foreign calendars");
+            }
+
+            for (let win of Services.wm.getEnumerator("mail:3pane")) {
+              win.gCalendarStatusFeedback?.showStatusString("");
+            }
+          },
+
           synchronize: function(ids) {
             let calendars = [];
             if (ids) {
@@ -265,6 +315,21 @@ this.calendar_calendars = class extends ExtensionAPI {
               };
             },
           }).api(),
+
+          onSyncProgress: new EventManager({
+            context,
+            name: "calendar.calendars.onSyncProgress",
+            register: fire => {
+              let listener = (event, calendar, progress) => {
+                fire.sync(calendar, progress);
+              };
+
+              syncProgress.on("progress", listener);
+              return () => {
+                syncProgress.off("progress", listener);
+              };
+            },
+          }).api(),
         },
       },
     };
@@ -22,6 +22,33 @@ this.calendar_items = class extends ExtensionAPI {
       convertAlarm,
     } = ChromeUtils.import(this.extension.rootURI.resolve("experiments/calendar/ext-calendar-utils.jsm"));
 
+    async function createItem(calendarId, calendar, createProperties) {
+      let pcal = cal.async.promisifyCalendar(calendar);
+      let item = propsToItem(createProperties);
+      item.calendar = calendar.superCalendar;
+
+      if (createProperties.metadata && isOwnCalendar(calendar, context.extension)) {
+        let cache = getCachedCalendar(calendar);
+        cache.setMetaData(item.id, JSON.stringify(createProperties.metadata));
+      }
+
+      if (isCachedCalendar(calendarId)) {
+        return pcal.modifyItem(item, null);
+      } else {
+        return pcal.adoptItem(item);
+      }
+    }
+
+    async function inBatch(calendar, func) {
+      // Observers are notified once for the whole batch instead of once per item
+      calendar.startBatch();
+      try {
+        return await func();
+      } finally {
+        calendar.endBatch();
+      }
+    }
+
     return {
       calendar: {
         items: {
@@ -92,24 +119,21 @@ this.calendar_items = class extends ExtensionAPI {
           },
           create: async function(calendarId, createProperties) {
             let calendar = getResolvedCalendarById(context.extension, calendarId);
-            let pcal = cal.async.promisifyCalendar(calendar);
-            let item = propsToItem(createProperties);
-            item.calendar = calendar.superCalendar;
-
-            if (createProperties.metadata && isOwnCalendar(calendar, context.extension)) {
-              let cache = getCachedCalendar(calendar);
-              cache.setMetaData(item.id, JSON.stringify(createProperties.metadata));
-            }
-
-            let createdItem;
-            if (isCachedCalendar(calendarId)) {
-              createdItem = await pcal.modifyItem(item, null);
-            } else {
-              createdItem = await pcal.adoptItem(item);
-            }
-
+            let createdItem = await createItem(calendarId, calendar, createProperties);
             return convertItem(createdItem, createProperties, context.extension);
           },
+          createMany: async function(calendarId, createPropertiesList) {
+            let calendar = getResolvedCalendarById(context.extension, calendarId);
+            let createdItems = await inBatch(calendar, async () => {
+              let items = [];
+              for (let createProperties of createPropertiesList) {
+                items.push(await createItem(calendarId, calendar, createProperties));
+              }
+              return items;
+            });
+
+            return createdItems.map((item, index) => convertItem(item, createPropertiesList[index], context.extension));
+          },
           update: async function(calendarId, id, updateProperties) {
             let calendar = getResolvedCalendarById(context.extension, calendarId);
             let pcal = cal.async.promisifyCalendar(calendar);
@@ -150,10 +174,26 @@ this.calendar_items = class extends ExtensionAPI {
             }
 
             if (isOwnCalendar(toCalendar, context.extension) && isOwnCalendar(fromCalendar, context.extension)) {
-              // TODO doing this first, the item may not be in the db and it will fail. Doing this
-              // after addItem, the metadata will not be available for the onCreated listener
               let fromCache = getCachedCalendar(fromCalendar);
               let toCache = getCachedCalendar(toCalendar);
+
+              // The provider may be able to move the item on the server, which keeps its id. In
+              // that case only the caches need to be updated.
+              let results = await context.extension.emit("calendar.provider.onItemMoved", fromCalendar, item, toCalendar);
+              let moved = results.find(result => result?.item);
+              if (moved) {
+                moved.item.calendar = toCalendar.superCalendar;
+
+                await cal.async.promisifyCalendar(fromCache).deleteItem(item);
+                await cal.async.promisifyCalendar(toCache).adoptItem(moved.item);
+                if (moved.metadata) {
+                  toCache.setMetaData(moved.item.id, JSON.stringify(moved.metadata));
+                }
+                return;
+              }
+
+              // TODO doing this first, the item may not be in the db and it will fail. Doing this
+              // after addItem, the metadata will not be available for the onCreated listener
               toCache.setMetaData(item.id, fromCache.getMetaData(item.id));
             }
             await toCalendar.addItem(item);
@@ -169,6 +209,24 @@ this.calendar_items = class extends ExtensionAPI {
             }
             await pcal.deleteItem(item);
           },
+          removeMany: async function(calendarId, ids) {
+            let calendar = getResolvedCalendarById(context.extension, calendarId);
+            let pcal = cal.async.promisifyCalendar(calendar);
+
+            // Unlike remove, items that don't exist are skipped. When syncing, the server may report
+            // deleted items that were never in the cache.
+            return inBatch(calendar, async () => {
+              let removed = [];
+              for (let id of ids) {
+                let [item] = await pcal.getItem(id);
+                if (item) {
+                  await pcal.deleteItem(item);
+                  removed.push(id);
+                }
+              }
+              return removed;
+            });
+          },
 
           onCreated: new EventManager({
             context,
@@ -369,9 +369,9 @@ class ExtFreeBusyProvider {
         unavailable: Ci.calIFreeBusyInterval.BUSY_UNAVAILABLE,
         tentative: Ci.calIFreeBusyInterval.BUSY_TENTATIVE,
       };
-      let attendee = aCalId.replace(/^mailto:/, "");
-      let start = aRangeStart.icalString;
-      let end = aRangeEnd.icalString;
+      let attendee = aCalId.replace(/^mailto:/i, "");
+      let start = aRangeStart.getInTimezone(cal.dtz.UTC).icalString;
+      let end = aRangeEnd.getInTimezone(cal.dtz.UTC).icalString;
       let types = ["free", "busy", "unavailable", "tentative"].filter((type, index) => aBusyTypes & (1 << index));
       let results = await this.fire.async({ attendee, start, end, types });
       aListener.onResult({ status: Cr.NS_OK }, results.map(interval =>
@@ -550,6 +550,29 @@ this.calendar_provider = class extends ExtensionAPI {
             },
           }).api(),
 
+          onItemMoved: new EventManager({
+            context,
+            name: "calendar.provider.onItemMoved",
+            register: (fire, options) => {
+              let listener = async (event, fromCalendar, item, toCalendar) => {
+                let props = await fire.async(
+                  convertCalendar(context.extension, fromCalendar),
+                  convertItem(item, options, context.extension),
+                  convertCalendar(context.extension, toCalendar)
+                );
+                if (!props?.type) {
+                  return null;
+                }
+                return { item: propsToItem(props, item.clone()), metadata: props.metadata };
+              };
+
+              context.extension.on("calendar.provider.onItemMoved", listener);
+              return () => {
+                context.extension.off("calendar.provider.onItemMoved", listener);
+              };
+            },
+          }).api(),
+
           onInit: new EventManager({
             context,
             name: "calendar.provider.onInit",
@@ -12,7 +12,7 @@ var { XPCOMUtils } = ChromeUtils.import("resource://gre/modules/XPCOMUtils.jsm")
 var { ExtensionCommon } = ChromeUtils.import("resource://gre/modules/ExtensionCommon.jsm");
 var { ExtensionUtils } = ChromeUtils.import("resource://gre/modules/ExtensionUtils.jsm");
 
-var { promiseEvent } = ExtensionUtils;
+var { promiseEvent, ExtensionError } = ExtensionUtils;
 var { makeWidgetId, ExtensionAPI } = ExtensionCommon;
 
 
@@ -167,6 +167,33 @@ this.calendarItemDetails = class extends ExtensionAPI {
     ExtensionSupport.unregisterWindowListener("ext-calendarItemDetails-" + this.extension.id);
   }
   getAPI(context) {
-    return { calendar: { itemDetails: {} } };
+    let { convertItem } = ChromeUtils.import(this.extension.rootURI.resolve("experiments/calendar/ext-calendar-utils.jsm"));
+
+    return {
+      calendarItemDetails: {
+        async getItem(options) {
+          // The panel browser lives in the item iframe, which keeps the item being edited
+          let item = context.xulBrowser?.ownerGlobal?.calendarItem;
+          return convertItem(item, options, context.extension);
+        },
+
+        async setProperty(name, value) {
+          let window = context.xulBrowser?.ownerGlobal;
+          if (!window?.calendarItem) {
+            throw new ExtensionError("No item is being edited");
+          }
+
+          // The dialog clones this item when saving, so the property is saved with the other changes
+          if (!window.calendarItem.isMutable) {
+            window.calendarItem = window.calendarItem.clone();
+          }
+          if (value === null) {
+            window.calendarItem.deleteProperty(name);
+          } else {
+            window.calendarItem.setProperty(name, value);
+          }
+        }
+      }
+    };
   }
 };
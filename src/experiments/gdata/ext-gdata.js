@@ -121,6 +121,36 @@ this.gdata = class extends ExtensionAPI {
           Services.prefs.deleteBranch("calendar.google.");
         },
 
+        async promptConflict(method, title) {
+          let win = Services.wm.getMostRecentWindow("mail:3pane");
+          let localize = (name, ...args) => context.extension.localizeMessage(name, args);
+
+          let flags =
+            Services.prompt.BUTTON_POS_0 * Services.prompt.BUTTON_TITLE_IS_STRING +
+            Services.prompt.BUTTON_POS_1 * Services.prompt.BUTTON_TITLE_IS_STRING +
+            Services.prompt.BUTTON_POS_2 * Services.prompt.BUTTON_TITLE_IS_STRING +
+            Services.prompt.BUTTON_POS_1_DEFAULT;
+
+          // Closing the dialog returns the second button, which is the one that doesn't lose data on
+          // the server.
+          let choice = Services.prompt.confirmEx(
+            win,
+            localize("conflictTitle"),
+            localize(
+              method == "delete" ? "conflictDeleteDescription" : "conflictModifyDescription",
+              title
+            ),
+            flags,
+            localize(method == "delete" ? "conflictDeleteOverwrite" : "conflictModifyOverwrite"),
+            localize("conflictReload"),
+            localize("conflictRetry"),
+            null,
+            {}
+          );
+
+          return ["overwrite", "reload", "retry"][choice];
+        },
+
         getOAuthToken(sessionId) {
           let pass = { value: null };
           try {
@@ -0,0 +1,164 @@
+import jestFetchMock from "jest-fetch-mock";
+jestFetchMock.enableFetchMocks();
+
+import { jest } from "@jest/globals";
+
+import calGoogleBatchRequest, { BATCH_SIZE } from "../../src/background/batch";
+import calGoogleRequest from "../../src/background/request";
+
+let session = {
+  id: "tests@example.com",
+  accessToken: "accessToken",
+  ensureLogin: jest.fn(async () => {}),
+  notifyOutdated: jest.fn(),
+  notifyQuotaExceeded: jest.fn(),
+  invalidate: jest.fn(async () => {}),
+};
+
+const EVENTS_URI = "https://www.googleapis.com/calendar/v3/calendars/id1/events";
+const TASKS_URI = "https://www.googleapis.com/tasks/v1/lists/id1/tasks";
+
+function mockBatchResponse(parts, boundary = "batch_response") {
+  let body = parts
+    .map(
+      ([id, statusLine, headers, partBody = ""]) =>
+        `--${boundary}\r\n` +
+        "Content-Type: application/http\r\n" +
+        `Content-ID: <response-${id}>\r\n\r\n` +
+        `HTTP/1.1 ${statusLine}\r\n` +
+        Object.entries(headers)
+          .map(([name, value]) => `${name}: ${value}\r\n`)
+          .join("") +
+        "\r\n" +
+        partBody +
+        "\r\n"
+    )
+    .join("");
+
+  fetch.mockResponseOnce(body + `--${boundary}--\r\n`, {
+    headers: {
+      "Content-Type": `multipart/mixed; boundary=${boundary}`,
+      Date: "Tue, 01 Jan 2030 00:00:00 GMT",
+    },
+  });
+}
+
+beforeEach(() => {
+  jestFetchMock.doMock();
+  jest.spyOn(global.console, "log").mockImplementation(() => {});
+});
+
+test("endpointFor", () => {
+  let events = new calGoogleRequest({ method: "GET", uri: EVENTS_URI });
+  let tasks = new calGoogleRequest({ method: "GET", uri: TASKS_URI });
+
+  expect(calGoogleBatchRequest.endpointFor(events)).toBe(
+    "https://www.googleapis.com/batch/calendar/v3"
+  );
+  expect(calGoogleBatchRequest.endpointFor(tasks)).toBe(
+    "https://www.googleapis.com/batch/tasks/v1"
+  );
+});
+
+test("too many requests", () => {
+  let requests = new Array(BATCH_SIZE + 1).fill(
+    new calGoogleRequest({ method: "GET", uri: EVENTS_URI })
+  );
+  expect(() => new calGoogleBatchRequest(EVENTS_URI, requests)).toThrow(
+    `Batch contains ${BATCH_SIZE + 1} requests, at most ${BATCH_SIZE} allowed`
+  );
+});
+
+test("request body", async () => {
+  let requests = [
+    new calGoogleRequest({ method: "POST", uri: EVENTS_URI, json: { summary: "new" } }),
+    new calGoogleRequest({
+      method: "DELETE",
+      uri: EVENTS_URI + "/event1",
+      headers: { "If-Match": '"etag"' },
+      params: { sendUpdates: "all" },
+    }),
+  ];
+  let batch = new calGoogleBatchRequest("https://www.googleapis.com/batch/calendar/v3", requests);
+  mockBatchResponse([]);
+  await batch.commit(session);
+
+  let [uri, options] = fetch.mock.calls[0];
+  expect(uri).toEqual(new URL("https://www.googleapis.com/batch/calendar/v3"));
+  expect(options.method).toBe("POST");
+  expect(options.headers["Content-Type"]).toBe(`multipart/mixed; boundary=${batch.boundary}`);
+  expect(options.headers.Authorization).toBe("Bearer accessToken");
+
+  let parts = options.body.split("--" + batch.boundary);
+  expect(parts.length).toBe(4);
+  expect(parts[3]).toBe("--");
+
+  expect(parts[1]).toBe(
+    "\r\nContent-Type: application/http\r\n" +
+      "Content-ID: <item0>\r\n\r\n" +
+      "POST /calendar/v3/calendars/id1/events HTTP/1.1\r\n" +
+      "Content-Type: application/json; charset=UTF-8\r\n\r\n" +
+      '{"summary":"new"}\r\n'
+  );
+  expect(parts[2]).toMatch(/^\r\nContent-Type: application\/http\r\nContent-ID: <item1>\r\n\r\n/);
+  expect(parts[2]).toMatch(
+    "DELETE /calendar/v3/calendars/id1/events/event1?sendUpdates=all HTTP/1.1\r\n"
+  );
+  expect(parts[2]).toMatch('If-Match: "etag"\r\n');
+  expect(parts[2]).not.toMatch("Authorization");
+});
+
+test("response parts", async () => {
+  let requests = [
+    new calGoogleRequest({ method: "POST", uri: EVENTS_URI, json: {} }),
+    new calGoogleRequest({ method: "DELETE", uri: EVENTS_URI + "/event1" }),
+    new calGoogleRequest({ method: "PUT", uri: EVENTS_URI + "/event2", json: {} }),
+    new calGoogleRequest({ method: "DELETE", uri: EVENTS_URI + "/event3" }),
+  ];
+  let batch = new calGoogleBatchRequest("https://www.googleapis.com/batch/calendar/v3", requests);
+
+  // Parts may be returned in any order
+  mockBatchResponse([
+    ["item1", "204 No Content", {}],
+    [
+      "item0",
+      "200 OK",
+      { "Content-Type": "application/json; charset=UTF-8" },
+      '{"id":"event0","etag":"\\"1\\""}',
+    ],
+    [
+      "item2",
+      "412 Precondition Failed",
+      { "Content-Type": "application/json; charset=UTF-8" },
+      JSON.stringify({ error: { errors: [{ reason: "conditionNotMet" }] } }),
+    ],
+  ]);
+
+  expect(await batch.commit(session)).toEqual({ status: "Batch" });
+  let results = await batch.handleParts(session);
+
+  expect(results[0]).toEqual({ status: "fulfilled", value: { id: "event0", etag: '"1"' } });
+  expect(results[1]).toEqual({ status: "fulfilled", value: { status: "No Content" } });
+  expect(results[2].status).toBe("rejected");
+  expect(results[2].reason.message).toBe("CONFLICT_MODIFY");
+  expect(results[3].status).toBe("rejected");
+  expect(results[3].reason.message).toBe("NS_ERROR_NOT_AVAILABLE");
+
+  // The date of the batch response is used for parts without their own date
+  expect(requests[0].responseDate).toBe("2030-01-01T00:00:00.000Z");
+});
+
+test("plain response", async () => {
+  let requests = [new calGoogleRequest({ method: "DELETE", uri: EVENTS_URI + "/event1" })];
+  let batch = new calGoogleBatchRequest("https://www.googleapis.com/batch/calendar/v3", requests);
+
+  fetch.mockResponseOnce(JSON.stringify({ error: { errors: [{ reason: "invalid" }] } }), {
+    status: 400,
+    headers: { "Content-Type": "application/json" },
+  });
+  await expect(batch.commit(session)).rejects.toThrow("NS_ERROR_NOT_AVAILABLE");
+
+  let results = await batch.handleParts(session);
+  expect(results[0].status).toBe("rejected");
+  expect(results[0].reason.message).toBe("NS_ERROR_NOT_AVAILABLE");
+});
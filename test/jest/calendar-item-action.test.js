@@ -0,0 +1,195 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import fs from "fs";
+import { jest } from "@jest/globals";
+import createMessenger from "./webext-api";
+import {
+  main as actionMain,
+  parseAttendees,
+  clickFind,
+  clickCreate,
+} from "../../src/content/calendar-item-action.js";
+import { initMessageListener } from "../../src/background/index.js";
+import calGoogleFreeBusy from "../../src/background/freebusy.js";
+import { fromRFC3339, UTC } from "../../src/background/utils.js";
+
+const html = fs.readFileSync(
+  new URL("../../src/content/calendar-item-action.html", import.meta.url),
+  "utf-8"
+);
+
+function qs(id) {
+  return document.querySelector(id);
+}
+
+beforeEach(async () => {
+  document.documentElement.innerHTML = html;
+  jest.spyOn(window, "close").mockImplementation(() => {});
+
+  global.messenger = createMessenger();
+  messenger.calendar.calendars._calendars = [
+    { id: "id1", name: "Work", type: "ext-" + messenger.runtime.id },
+    { id: "id2", name: "Holidays", type: "ext-" + messenger.runtime.id, readOnly: true },
+  ];
+  messenger.calendar.items.query = jest.fn(async () => []);
+  await initMessageListener();
+
+  calGoogleFreeBusy.instance = {
+    getBusyTimes: jest.fn(async attendee => {
+      if (attendee == "unknown@example.com") {
+        return null;
+      }
+      return [
+        {
+          start: fromRFC3339("2021-01-04T09:00:00Z", UTC),
+          end: fromRFC3339("2021-01-04T10:00:00Z", UTC),
+        },
+      ];
+    }),
+  };
+});
+
+test("parseAttendees", () => {
+  expect(parseAttendees("a@example.com, mailto:b@example.com\nc@example.com;", true)).toEqual([
+    { email: "a@example.com", optional: true },
+    { email: "b@example.com", optional: true },
+    { email: "c@example.com", optional: true },
+  ]);
+  expect(parseAttendees("  ", false)).toEqual([]);
+});
+
+test("init", async () => {
+  await actionMain();
+
+  expect(qs("#gdata-findtime-find").textContent).toBe("gdata.findtime.find.label[]");
+  expect(qs("#gdata-findtime-from").value).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+  expect(qs("#gdata-findtime-timezone").value).toBeTruthy();
+
+  let days = [...document.querySelectorAll("#gdata-findtime-days input")];
+  expect(days.map(day => day.value)).toEqual(["1", "2", "3", "4", "5", "6", "0"]);
+  expect(days.map(day => day.checked)).toEqual([true, true, true, true, true, false, false]);
+
+  let options = [...qs("#gdata-findtime-calendar").options];
+  expect(options.map(option => [option.value, option.textContent])).toEqual([["id1", "Work"]]);
+});
+
+describe("find and create", () => {
+  beforeEach(async () => {
+    await actionMain();
+    qs("#gdata-findtime-title").value = "Planning";
+    qs("#gdata-findtime-required").value = "busy@example.com";
+    qs("#gdata-findtime-optional").value = "unknown@example.com";
+    qs("#gdata-findtime-duration").value = "60";
+    qs("#gdata-findtime-from").value = "2021-01-04";
+    qs("#gdata-findtime-to").value = "2021-01-04";
+    qs("#gdata-findtime-day-start").value = "09:00";
+    qs("#gdata-findtime-day-end").value = "12:00";
+    qs("#gdata-findtime-timezone").value = "UTC";
+  });
+
+  test("find", async () => {
+    await clickFind();
+
+    expect(calGoogleFreeBusy.instance.getBusyTimes).toHaveBeenCalledWith(
+      "busy@example.com",
+      "20210104T000000Z",
+      "20210105T000000Z"
+    );
+    expect(qs("#gdata-findtime-results").hasAttribute("hidden")).toBe(false);
+
+    let slots = [...document.querySelectorAll("#gdata-findtime-slots li")];
+    expect(slots.length).toBe(3);
+    expect(slots[0].querySelector("input").value).toBe("0");
+    expect(slots[0].querySelector(".gdata-findtime-time").textContent).toMatch(/10:00/);
+    expect(qs("#gdata-findtime-status").textContent).toBe(
+      "gdata.findtime.unknown[unknown@example.com]"
+    );
+    expect(qs("#gdata-findtime-create").disabled).toBe(true);
+  });
+
+  test("no slots", async () => {
+    qs("#gdata-findtime-duration").value = "240";
+    await clickFind();
+    expect(document.querySelectorAll("#gdata-findtime-slots li").length).toBe(0);
+    expect(qs("#gdata-findtime-status").textContent).toBe("gdata.findtime.noSlots[]");
+  });
+
+  test("find failed", async () => {
+    await clickFind();
+    expect(qs("#gdata-findtime-results").hasAttribute("hidden")).toBe(false);
+
+    calGoogleFreeBusy.instance.getBusyTimes.mockRejectedValue(new Error("NS_ERROR_OFFLINE"));
+    let finding = clickFind();
+    expect(qs("#gdata-findtime-find").disabled).toBe(true);
+    await finding;
+
+    // The earlier results are hidden and the search can be tried again
+    expect(qs("#gdata-findtime-find").disabled).toBe(false);
+    expect(qs("#gdata-findtime-results").hasAttribute("hidden")).toBe(true);
+    expect(qs("#gdata-findtime-create").disabled).toBe(true);
+    expect(qs("#gdata-findtime-status").textContent).toBe(
+      "gdata.findtime.failed[NS_ERROR_OFFLINE]"
+    );
+  });
+
+  test("invalid input", async () => {
+    qs("#gdata-findtime-required").value = "busy@example";
+    await clickFind();
+    expect(qs("#gdata-findtime-status").textContent).toBe(
+      "gdata.findtime.invalidAttendee[busy@example]"
+    );
+
+    qs("#gdata-findtime-required").value = "busy@example.com";
+    qs("#gdata-findtime-timezone").value = "Middle/Earth";
+    await clickFind();
+    expect(qs("#gdata-findtime-status").textContent).toBe(
+      "gdata.findtime.invalidTimezone[Middle/Earth]"
+    );
+    expect(calGoogleFreeBusy.instance.getBusyTimes).not.toHaveBeenCalled();
+  });
+
+  test("create", async () => {
+    await clickFind();
+
+    // Nothing happens without a selected slot
+    await clickCreate();
+    expect(messenger.calendar.items.create).not.toHaveBeenCalled();
+
+    let radio = document.querySelectorAll("#gdata-findtime-slots input")[1];
+    radio.checked = true;
+    radio.dispatchEvent(new Event("change", { bubbles: true }));
+    expect(qs("#gdata-findtime-create").disabled).toBe(false);
+
+    await clickCreate();
+    expect(messenger.calendar.items.create).toHaveBeenCalledWith("id1", {
+      type: "event",
+      formats: {
+        use: "jcal",
+        jcal: [
+          "vevent",
+          [
+            ["summary", {}, "text", "Planning"],
+            ["dtstart", {}, "date-time", "2021-01-04T10:30:00Z"],
+            ["dtend", {}, "date-time", "2021-01-04T11:30:00Z"],
+            [
+              "attendee",
+              { role: "REQ-PARTICIPANT", partstat: "NEEDS-ACTION" },
+              "cal-address",
+              "mailto:busy@example.com",
+            ],
+            [
+              "attendee",
+              { role: "OPT-PARTICIPANT", partstat: "NEEDS-ACTION" },
+              "cal-address",
+              "mailto:unknown@example.com",
+            ],
+          ],
+          [],
+        ],
+      },
+    });
+    expect(window.close).toHaveBeenCalled();
+  });
+});
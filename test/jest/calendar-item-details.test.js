@@ -0,0 +1,179 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import fs from "fs";
+import createMessenger from "./webext-api";
+import { main as detailsMain, getConference } from "../../src/content/calendar-item-details.js";
+
+const html = fs.readFileSync(
+  new URL("../../src/content/calendar-item-details.html", import.meta.url),
+  "utf-8"
+);
+
+function conferenceItem(props = []) {
+  return {
+    type: "event",
+    formats: {
+      use: "jcal",
+      jcal: [
+        "vcalendar",
+        [],
+        [
+          [
+            "vevent",
+            [
+              [
+                "x-google-conference",
+                { "x-google-solution": "Google Meet" },
+                "uri",
+                "https://meet.google.com/aaa-bbbb-ccc",
+              ],
+              [
+                "attach",
+                { "x-google-entry-point-type": "video", label: "meet.google.com/aaa-bbbb-ccc" },
+                "uri",
+                "https://meet.google.com/aaa-bbbb-ccc",
+              ],
+              [
+                "attach",
+                {
+                  "x-google-entry-point-type": "phone",
+                  label: "+1 555-0100",
+                  "x-google-pin": "1234",
+                },
+                "uri",
+                "tel:+1-555-0100",
+              ],
+              ["attach", {}, "uri", "https://example.com/agenda.pdf"],
+              ...props,
+            ],
+            [],
+          ],
+        ],
+      ],
+    },
+  };
+}
+
+beforeEach(() => {
+  document.documentElement.innerHTML = html;
+  global.messenger = createMessenger();
+});
+
+test("getConference", () => {
+  expect(getConference(conferenceItem())).toEqual({
+    uri: "https://meet.google.com/aaa-bbbb-ccc",
+    name: "Google Meet",
+    entryPoints: [
+      {
+        type: "video",
+        uri: "https://meet.google.com/aaa-bbbb-ccc",
+        label: "meet.google.com/aaa-bbbb-ccc",
+        pin: undefined,
+      },
+      { type: "phone", uri: "tel:+1-555-0100", label: "+1 555-0100", pin: "1234" },
+    ],
+  });
+
+  let item = conferenceItem();
+  item.formats.jcal = item.formats.jcal[2][0];
+  item.formats.jcal[1].shift();
+  expect(getConference(item)).toBe(null);
+});
+
+test("no conference", async () => {
+  messenger.calendarItemDetails.getItem.mockResolvedValue({
+    type: "event",
+    formats: { use: "jcal", jcal: ["vevent", [], []] },
+  });
+  await detailsMain();
+
+  expect(messenger.calendarItemDetails.getItem).toHaveBeenCalledWith({ returnFormat: "jcal" });
+  expect(document.getElementById("gdata-conference").hasAttribute("hidden")).toBe(true);
+});
+
+test("join", async () => {
+  messenger.calendarItemDetails.getItem.mockResolvedValue(conferenceItem());
+  await detailsMain();
+
+  expect(document.getElementById("gdata-conference").hasAttribute("hidden")).toBe(false);
+  expect(document.getElementById("gdata-conference-name").textContent).toBe("Google Meet");
+
+  document.getElementById("gdata-conference-join").click();
+  expect(messenger.windows.openDefaultBrowser).toHaveBeenCalledWith(
+    "https://meet.google.com/aaa-bbbb-ccc"
+  );
+
+  let links = [...document.querySelectorAll("#gdata-conference-entry-points a")];
+  expect(links.map(link => link.textContent)).toEqual(["gdata.conference.pin[+1 555-0100,1234]"]);
+  links[0].click();
+  expect(messenger.windows.openDefaultBrowser).toHaveBeenLastCalledWith("tel:+1-555-0100");
+});
+
+describe("conference request", () => {
+  function requestItem(props = []) {
+    return {
+      type: "event",
+      calendarId: "id1",
+      formats: { use: "jcal", jcal: ["vcalendar", [], [["vevent", props, []]]] },
+    };
+  }
+
+  beforeEach(() => {
+    messenger.calendar.calendars._calendars = [
+      { id: "id1", type: "ext-" + messenger.runtime.id },
+      { id: "id2", type: "ics" },
+    ];
+  });
+
+  test("request", async () => {
+    messenger.calendarItemDetails.getItem.mockResolvedValue(requestItem());
+    await detailsMain();
+
+    expect(document.getElementById("gdata-conference").hasAttribute("hidden")).toBe(true);
+    expect(document.getElementById("gdata-conference-request").hasAttribute("hidden")).toBe(false);
+
+    let checkbox = document.getElementById("gdata-conference-request-meet");
+    expect(checkbox.checked).toBe(false);
+    checkbox.click();
+    expect(messenger.calendarItemDetails.setProperty).toHaveBeenCalledWith(
+      "x-google-conference-request",
+      "hangoutsMeet"
+    );
+    checkbox.click();
+    expect(messenger.calendarItemDetails.setProperty).toHaveBeenLastCalledWith(
+      "x-google-conference-request",
+      null
+    );
+  });
+
+  test("already requested", async () => {
+    messenger.calendarItemDetails.getItem.mockResolvedValue(
+      requestItem([["x-google-conference-request", {}, "text", "hangoutsMeet"]])
+    );
+    await detailsMain();
+
+    expect(document.getElementById("gdata-conference-request-meet").checked).toBe(true);
+  });
+
+  test("other calendars", async () => {
+    messenger.calendarItemDetails.getItem.mockResolvedValue({
+      ...requestItem(),
+      calendarId: "id2",
+    });
+    await detailsMain();
+
+    expect(document.getElementById("gdata-conference-request").hasAttribute("hidden")).toBe(true);
+  });
+
+  test("existing conference", async () => {
+    messenger.calendarItemDetails.getItem.mockResolvedValue({
+      ...conferenceItem(),
+      calendarId: "id1",
+    });
+    await detailsMain();
+
+    expect(document.getElementById("gdata-conference-request").hasAttribute("hidden")).toBe(true);
+  });
+});
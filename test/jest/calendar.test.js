@@ -5,10 +5,11 @@ import { jest } from "@jest/globals";
 
 import createMessenger from "./webext-api";
 
-import calGoogleCalendar from "../../src/background/calendar";
+import calGoogleCalendar, { DEFAULT_SYNC_WINDOW } from "../../src/background/calendar";
 import sessions from "../../src/background/session";
 import gcalItems from "./fixtures/gcalItems.json";
 import jcalItems from "./fixtures/jcalItems.json";
+import { addVCalendar } from "../../src/background/utils";
 import v8 from "v8";
 import ICAL from "ical.js";
 
@@ -47,6 +48,20 @@ function mockCalendarRequest(req, props) {
   return null;
 }
 function mockCalendarListRequest(req, props) {
+  if (new URL(req.url).pathname == "/calendar/v3/users/me/calendarList") {
+    let entry = JSON.parse(mockCalendarListRequest({ url: req.url + "/gid1" }).body);
+    return {
+      headers: {
+        Date: new Date(),
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        kind: "calendar#calendarList",
+        etag: '"list"',
+        items: [Object.assign(entry, { id: "id1@calendar.google.com" }, props)],
+      }),
+    };
+  }
   if (req.url.startsWith("https://www.googleapis.com/calendar/v3/users/me/calendarList")) {
     return {
       headers: {
@@ -152,6 +167,8 @@ beforeEach(() => {
 
   jest.spyOn(global.console, "log").mockImplementation(() => {});
   jest.spyOn(global.console, "error").mockImplementation(() => {});
+
+  sessions.byId("sessionId")?.invalidateCalendarList();
 });
 
 test("static init", async () => {
@@ -175,6 +192,7 @@ test("initListeners", async () => {
   jest.spyOn(calendar, "onItemCreated").mockImplementation(() => {});
   jest.spyOn(calendar, "onItemUpdated").mockImplementation(() => {});
   jest.spyOn(calendar, "onItemRemoved").mockImplementation(() => {});
+  jest.spyOn(calendar, "onItemMoved").mockImplementation(() => {});
   jest.spyOn(calendar, "onInit").mockImplementation(() => {});
   jest.spyOn(calendar, "onSync").mockImplementation(() => {});
   jest.spyOn(calendar, "onResetSync").mockImplementation(() => {});
@@ -184,11 +202,16 @@ test("initListeners", async () => {
 
   expect(messenger.calendar.provider.onItemCreated.addListener).toHaveBeenCalled();
   expect(messenger.calendar.provider.onItemUpdated.addListener).toHaveBeenCalled();
-  expect(messenger.calendar.provider.onItemRemoved.addListener).toHaveBeenCalled();
+  expect(messenger.calendar.provider.onItemRemoved.addListener).toHaveBeenCalledWith(
+    expect.any(Function),
+    { returnFormat: "jcal" }
+  );
+  expect(messenger.calendar.provider.onItemMoved.addListener).toHaveBeenCalled();
   expect(messenger.calendar.provider.onInit.addListener).toHaveBeenCalled();
   expect(messenger.calendar.provider.onSync.addListener).toHaveBeenCalled();
   expect(messenger.calendar.provider.onResetSync.addListener).toHaveBeenCalled();
   expect(messenger.calendar.provider.onDetectCalendars.addListener).toHaveBeenCalled();
+  expect(messenger.calendar.calendars.onRemoved.addListener).toHaveBeenCalled();
 
   await messenger.calendar.provider.onItemCreated.mockResponse(rawId1, { id: "item" });
   expect(calendar.onItemCreated).toHaveBeenCalledWith({ id: "item" });
@@ -206,6 +229,13 @@ test("initListeners", async () => {
   await messenger.calendar.provider.onItemRemoved.mockResponse(rawId1, { id: "item" });
   expect(calendar.onItemRemoved).toHaveBeenCalledWith({ id: "item" });
 
+  let rawId2 = await messenger.calendar.calendars.get("id2");
+  await messenger.calendar.provider.onItemMoved.mockResponse(rawId1, { id: "item" }, rawId2);
+  expect(calendar.onItemMoved).toHaveBeenCalledWith(
+    { id: "item" },
+    await calGoogleCalendar.get("id2")
+  );
+
   await messenger.calendar.provider.onInit.mockResponse(rawId1);
   expect(calendar.onInit).toHaveBeenCalledWith();
 
@@ -217,6 +247,76 @@ test("initListeners", async () => {
 
   await messenger.calendar.provider.onDetectCalendars.mockResponse("user", "pass", "loc", true, {});
   expect(calGoogleCalendar.onDetectCalendars).toHaveBeenCalledWith("user", "pass", "loc", true, {});
+
+  await calendar.setCalendarPref("eventSyncToken", "token");
+  await messenger.calendar.calendars.onRemoved.mockResponse("id1");
+  expect(await calendar.getCalendarPref("eventSyncToken")).toBe(null);
+  expect(await calGoogleCalendar.get("id1")).not.toBe(calendar);
+});
+
+describe("trackStatus", () => {
+  let calendar;
+
+  beforeEach(async () => {
+    calendar = await calGoogleCalendar.get("id1");
+    calendar.lastError = "";
+  });
+
+  function fail(code) {
+    return async () => {
+      throw new Error(code);
+    };
+  }
+
+  test("success", async () => {
+    expect(await calendar.trackStatus(async () => "result")).toBe("result");
+    expect(messenger.calendar.calendars.update).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ["TOKEN_FAILURE", "providerOutdated[sessionId]"],
+    ["QUOTA_FAILURE", "quotaExceeded[sessionId]"],
+    ["LOGIN_FAILED", "loginFailed[sessionId]"],
+    ["READ_FAILED", "readFailed[sessionId]"],
+    ["MODIFICATION_FAILED", "modificationFailed[sessionId]"],
+  ])("%s", async (code, lastError) => {
+    await expect(calendar.trackStatus(fail(code))).rejects.toThrow(code);
+    expect(messenger.calendar.calendars.update).toHaveBeenCalledWith("id1", { lastError });
+
+    // The same error is only reported once
+    await expect(calendar.trackStatus(fail(code))).rejects.toThrow(code);
+    expect(messenger.calendar.calendars.update).toHaveBeenCalledTimes(1);
+
+    // Other errors don't change the status
+    await expect(calendar.trackStatus(fail("NS_ERROR_OFFLINE"))).rejects.toThrow(
+      "NS_ERROR_OFFLINE"
+    );
+    expect(messenger.calendar.calendars.update).toHaveBeenCalledTimes(1);
+
+    // Success clears the error
+    await calendar.trackStatus(async () => {});
+    expect(messenger.calendar.calendars.update).toHaveBeenLastCalledWith("id1", { lastError: "" });
+    expect(calendar.lastError).toBe("");
+  });
+
+  test("sync error", async () => {
+    await calendar.onInit();
+    authenticate(calendar.session);
+    messenger.calendar.calendars.update.mockClear();
+
+    fetch.mockResponse(
+      JSON.stringify({ error: { errors: [{ reason: "insufficientPermissions" }] } }),
+      { status: 403, headers: { "Content-Type": "application/json" } }
+    );
+
+    calGoogleCalendar.initListeners();
+    await expect(
+      messenger.calendar.provider.onSync.mockResponse(await messenger.calendar.calendars.get("id1"))
+    ).rejects.toThrow("READ_FAILED");
+    expect(messenger.calendar.calendars.update).toHaveBeenCalledWith("id1", {
+      lastError: "readFailed[sessionId]",
+    });
+  });
 });
 
 test("onInit", async () => {
@@ -247,7 +347,9 @@ test("onInit", async () => {
   expect(calendar.calendarName).toBe("sessionId");
   expect(calendar.tasklistName).toBeFalsy();
 
-  await messenger.storage.local.set({ "googleUser.user@example.com": "user@example.com" });
+  await messenger.storage.local.set({
+    "googleUser.user@example.com.googleUser": "user@example.com",
+  });
   calendar = await calGoogleCalendar.get("id5");
   await calendar.onInit();
   expect(calendar.calendarName).toBe("user@example.com");
@@ -280,16 +382,21 @@ test("create uris", async () => {
 test("calendar prefs", async () => {
   let calendar = await calGoogleCalendar.get("id1");
 
-  let pref = await calendar.getCalendarPref("foo", "default");
+  let pref = await calendar.getCalendarPref("timeZone", "default");
   expect(pref).toBe("default");
-  pref = await calendar.getCalendarPref("foo");
+  pref = await calendar.getCalendarPref("timeZone");
   expect(pref).toBe(null);
 
-  await calendar.setCalendarPref("foo", "bar");
-  expect(await messenger.storage.local.get({ "calendars.id1.foo": null })).toEqual({
-    "calendars.id1.foo": "bar",
+  await calendar.setCalendarPref("timeZone", "Europe/Berlin");
+  expect(await messenger.storage.local.get({ "calendars.id1.timeZone": null })).toEqual({
+    "calendars.id1.timeZone": "Europe/Berlin",
   });
-  expect(await calendar.getCalendarPref("foo", "default")).toBe("bar");
+  expect(await calendar.getCalendarPref("timeZone", "default")).toBe("Europe/Berlin");
+
+  await expect(calendar.getCalendarPref("foo")).rejects.toThrow("Unknown sync state key: foo");
+  await expect(calendar.setCalendarPref("foo", "bar")).rejects.toThrow(
+    "Unknown sync state key: foo"
+  );
 });
 
 test("updated min", async () => {
@@ -307,6 +414,17 @@ test("updated min", async () => {
   expect(messenger.calendar.calendars.clear).toHaveBeenCalledWith("cached-id1");
 });
 
+test("getEventColors", async () => {
+  let calendar = await calGoogleCalendar.get("id1");
+  let palette = { 1: { background: "#a4bdfc", foreground: "#1d1d1d" } };
+  jest.spyOn(calendar.session, "getColors").mockResolvedValueOnce({ calendar: {}, event: palette });
+  expect(await calendar.getEventColors()).toEqual(palette);
+
+  // Events are still converted if the palette is not available
+  calendar.session.getColors.mockRejectedValueOnce(new Error("NS_ERROR_NOT_AVAILABLE"));
+  expect(await calendar.getEventColors()).toEqual({});
+});
+
 describe("item functions", () => {
   let calendar;
 
@@ -372,6 +490,38 @@ describe("item functions", () => {
       });
     });
 
+    test("onItemCreated conference request", async () => {
+      fetch.mockResponse(req => {
+        return {
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(gcalItems.valarm_default),
+        };
+      });
+
+      let newItem = v8.deserialize(v8.serialize(jcalItems.valarm_default));
+      newItem.formats.jcal[2][0][1].push([
+        "x-google-conference-request",
+        {},
+        "text",
+        "hangoutsMeet",
+      ]);
+
+      let item = await calendar.onItemCreated(newItem);
+
+      expect(fetch).toHaveBeenCalledWith(
+        new URL(
+          "https://www.googleapis.com/calendar/v3/calendars/id1%40calendar.google.com/events?conferenceDataVersion=1"
+        ),
+        expect.objectContaining({
+          method: "POST",
+          body: expect.stringContaining('"conferenceSolutionKey":{"type":"hangoutsMeet"}'),
+        })
+      );
+      expect(
+        new ICAL.Component(item.formats.jcal).getFirstPropertyValue("x-google-conference")
+      ).toBe("https://meet.google.com/aaa-bbbb-ccc");
+    });
+
     test.each([false, true])("onItemUpdated success sendUpdates=%s", async sendUpdates => {
       await messenger.storage.local.set({ "settings.sendEventNotifications": sendUpdates });
 
@@ -422,6 +572,121 @@ describe("item functions", () => {
       );
     });
 
+    test("onItemUpdated attachments", async () => {
+      fetch.mockResponse(req => {
+        return {
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(gcalItems.simple_event),
+        };
+      });
+
+      let oldItem = v8.deserialize(v8.serialize(jcalItems.simple_event));
+      let newItem = v8.deserialize(v8.serialize(jcalItems.simple_event));
+      new ICAL.Component(newItem.formats.jcal)
+        .getFirstSubcomponent("vevent")
+        .addPropertyWithValue("attach", "https://example.com/agenda");
+
+      await calendar.onItemUpdated(newItem, oldItem);
+
+      expect(fetch).toHaveBeenCalledWith(
+        new URL(
+          "https://www.googleapis.com/calendar/v3/calendars/id1%40calendar.google.com/events/go6ijb0b46hlpbu4eeu92njevo?supportsAttachments=true"
+        ),
+        expect.objectContaining({
+          method: "PATCH",
+          body: '{"attachments":[{"fileUrl":"https://example.com/agenda"}]}',
+        })
+      );
+    });
+
+    describe("onItemMoved", () => {
+      let target;
+
+      beforeEach(async () => {
+        messenger.calendar.calendars._calendars.push(
+          {
+            id: "id7",
+            cacheId: "cached-id7",
+            type: "ext-{a62ef8ec-5fdc-40c2-873c-223b8a6925cc}",
+            url: "googleapi://sessionId/?calendar=id7%40group.calendar.google.com",
+          },
+          {
+            id: "id8",
+            cacheId: "cached-id8",
+            type: "ext-{a62ef8ec-5fdc-40c2-873c-223b8a6925cc}",
+            url: "googleapi://otherSession/?calendar=id8%40group.calendar.google.com",
+          }
+        );
+        target = await calGoogleCalendar.get("id7");
+      });
+
+      test.each([false, true])("success sendUpdates=%s", async sendUpdates => {
+        await messenger.storage.local.set({ "settings.sendEventNotifications": sendUpdates });
+        fetch.mockResponse(req => {
+          if (
+            req.url.startsWith(
+              "https://www.googleapis.com/calendar/v3/calendars/id1%40calendar.google.com/events/go6ijb0b46hlpbu4eeu92njevo/move"
+            )
+          ) {
+            return {
+              headers: { "Content-Type": "application/json" },
+              body: JSON.stringify({ ...gcalItems.simple_event, etag: '"moved"' }),
+            };
+          }
+          throw new Error("Unhandled request " + req.url);
+        });
+
+        let item = await calendar.onItemMoved(jcalItems.simple_event, target);
+
+        expect(fetch).toHaveBeenCalledWith(
+          new URL(
+            "https://www.googleapis.com/calendar/v3/calendars/id1%40calendar.google.com/events/go6ijb0b46hlpbu4eeu92njevo/move?destination=id7%40group.calendar.google.com" +
+              (sendUpdates ? "&sendUpdates=all" : "")
+          ),
+          expect.objectContaining({ method: "POST" })
+        );
+        expect(item.id).toBe(jcalItems.simple_event.id);
+        expect(item.metadata).toEqual({ etag: '"moved"', path: "go6ijb0b46hlpbu4eeu92njevo" });
+        expect(item.formats.jcal[0]).toBe("vcalendar");
+      });
+
+      test("fallback", async () => {
+        // Other accounts, tasks and occurrences are copied instead
+        let otherAccount = await calGoogleCalendar.get("id8");
+        expect(await calendar.onItemMoved(jcalItems.simple_event, otherAccount)).toBe(null);
+        expect(await calendar.onItemMoved(jcalItems.simple_task, target)).toBe(null);
+
+        let occurrence = v8.deserialize(v8.serialize(jcalItems.simple_event));
+        new ICAL.Component(occurrence.formats.jcal)
+          .getFirstSubcomponent("vevent")
+          .addPropertyWithValue(
+            "recurrence-id",
+            ICAL.Time.fromDateTimeString("2006-06-11T10:00:00Z")
+          );
+        expect(await calendar.onItemMoved(occurrence, target)).toBe(null);
+
+        // Queued changes are based on the event in the old calendar
+        await target.outbox.setEntries([{ operation: "create", id: "queued" }]);
+        expect(await calendar.onItemMoved(jcalItems.simple_event, target)).toBe(null);
+        await target.outbox.setEntries([]);
+
+        // Offline, the copy and deletion are queued
+        fetch.mockReject(new Error("NS_ERROR_OFFLINE"));
+        expect(await calendar.onItemMoved(jcalItems.simple_event, target)).toBe(null);
+        expect(fetch).toHaveBeenCalledTimes(1);
+      });
+
+      test("failure", async () => {
+        fetch.mockResponse(
+          JSON.stringify({ error: { errors: [{ reason: "insufficientPermissions" }] } }),
+          { status: 403, headers: { "Content-Type": "application/json" } }
+        );
+        await expect(calendar.onItemMoved(jcalItems.simple_event, target)).rejects.toThrow(
+          "MODIFICATION_FAILED"
+        );
+      });
+    });
+
     test.each([false, true])("onItemRemoved success sendUpdates=%s", async sendUpdates => {
       await messenger.storage.local.set({ "settings.sendEventNotifications": sendUpdates });
 
@@ -464,6 +729,337 @@ describe("item functions", () => {
         })
       );
     });
+
+    test("fetchEvent", async () => {
+      let mockJsonOnce = (body, status = 200) => {
+        fetch.mockResponseOnce(JSON.stringify(body), {
+          status,
+          headers: { "Content-Type": "application/json" },
+        });
+      };
+
+      mockJsonOnce(gcalItems.recur_rrule);
+      expect(await calendar.fetchEvent("osndfnwejrgnejnsdjfwegjdfr")).toEqual(
+        gcalItems.recur_rrule
+      );
+      expect(fetch).toHaveBeenLastCalledWith(
+        new URL(
+          "https://www.googleapis.com/calendar/v3/calendars/id1%40calendar.google.com/events/osndfnwejrgnejnsdjfwegjdfr"
+        ),
+        expect.objectContaining({ method: "GET" })
+      );
+
+      // Events that are gone or not visible to the user are not an error
+      mockJsonOnce({ error: { code: 404, errors: [{ reason: "notFound" }] } }, 404);
+      expect(await calendar.fetchEvent("event1")).toBe(null);
+      mockJsonOnce({ error: { code: 410, errors: [{ reason: "deleted" }] } }, 410);
+      expect(await calendar.fetchEvent("event1")).toBe(null);
+      mockJsonOnce({ error: { code: 403, errors: [{ reason: "insufficientPermissions" }] } }, 403);
+      expect(await calendar.fetchEvent("event1")).toBe(null);
+
+      // Other errors are passed on
+      mockJsonOnce({ error: { code: 403, errors: [{ reason: "forbidden" }] } }, 403);
+      await expect(calendar.fetchEvent("event1")).rejects.toThrow("NS_ERROR_FAILURE");
+      mockJsonOnce({ error: { code: 403, errors: [{ reason: "quotaExceeded" }] } }, 403);
+      await expect(calendar.fetchEvent("event1")).rejects.toThrow("QUOTA_FAILURE");
+    });
+
+    describe("occurrences", () => {
+      const INSTANCE_URI =
+        "https://www.googleapis.com/calendar/v3/calendars/id1%40calendar.google.com/events/osndfnwejrgnejnsdjfwegjdfr_20060625";
+
+      let metadata;
+      beforeEach(async () => {
+        metadata = {
+          etag: '"parent"',
+          path: "osndfnwejrgnejnsdjfwegjdfr",
+          exceptionEtags: { "20060625": '"instance"' },
+        };
+        let parent = v8.deserialize(v8.serialize(jcalItems.recur_rrule));
+        parent.metadata = metadata;
+        await messenger.calendar.items._create("cached-id1", parent);
+      });
+
+      function occurrence(props = {}) {
+        let item = v8.deserialize(v8.serialize(jcalItems.recur_instance));
+        item.metadata = metadata;
+        let vevent = new ICAL.Component(item.formats.jcal).getFirstSubcomponent("vevent");
+        for (let [name, value] of Object.entries(props)) {
+          vevent.updatePropertyWithValue(name, value);
+        }
+        return item;
+      }
+
+      function savedParent() {
+        let [[, [parent]]] = messenger.calendar.items.createMany.mock.calls.slice(-1);
+        return [parent, new ICAL.Component(parent.formats.jcal).getAllSubcomponents("vevent")];
+      }
+
+      test("modify", async () => {
+        let etags = ['"instance2"', '"instance3"'];
+        fetch.mockResponse(() => ({
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            ...gcalItems.recur_instance,
+            id: "osndfnwejrgnejnsdjfwegjdfr_20060625",
+            recurringEventId: "osndfnwejrgnejnsdjfwegjdfr",
+            etag: etags.shift(),
+            summary: "changed",
+          }),
+        }));
+
+        let result = await calendar.onItemUpdated(occurrence({ summary: "changed" }), occurrence());
+
+        expect(fetch).toHaveBeenCalledWith(
+          new URL(INSTANCE_URI),
+          expect.objectContaining({
+            method: "PATCH",
+            body: '{"summary":"changed"}',
+            headers: expect.objectContaining({ "If-Match": '"instance"' }),
+          })
+        );
+
+        // The parent keeps its etag, the etag of the instance is saved separately
+        let [parent, vevents] = savedParent();
+        expect(parent.metadata).toEqual({
+          etag: '"parent"',
+          path: "osndfnwejrgnejnsdjfwegjdfr",
+          exceptionEtags: { "20060625": '"instance2"' },
+        });
+        expect(result.metadata).toEqual(parent.metadata);
+        expect(vevents.length).toBe(2);
+        expect(vevents[1].getFirstPropertyValue("summary")).toBe("changed");
+
+        // Changing the occurrence again replaces the exception
+        metadata = parent.metadata;
+        await calendar.onItemUpdated(occurrence({ summary: "again" }), occurrence());
+        expect(fetch).toHaveBeenLastCalledWith(
+          new URL(INSTANCE_URI),
+          expect.objectContaining({
+            headers: expect.objectContaining({ "If-Match": '"instance2"' }),
+          })
+        );
+        [parent, vevents] = savedParent();
+        expect(parent.metadata.exceptionEtags).toEqual({ "20060625": '"instance3"' });
+        expect(vevents.length).toBe(2);
+      });
+
+      test("cancel", async () => {
+        fetch.mockResponse(() => ({ status: 204, headers: { "Content-Length": 0 } }));
+
+        let result = await calendar.onItemUpdated(
+          occurrence({ status: "CANCELLED" }),
+          occurrence()
+        );
+
+        expect(fetch).toHaveBeenCalledWith(
+          new URL(INSTANCE_URI),
+          expect.objectContaining({
+            method: "DELETE",
+            headers: expect.objectContaining({ "If-Match": '"instance"' }),
+          })
+        );
+
+        let [parent, vevents] = savedParent();
+        expect(vevents.length).toBe(1);
+        expect(
+          vevents[0].getAllProperties("exdate").map(prop => prop.getFirstValue().toICALString())
+        ).toEqual(["20070609", "20060625"]);
+        expect(parent.metadata.exceptionEtags).toEqual({});
+        expect(result.metadata).toEqual(parent.metadata);
+      });
+
+      test("parent not in cache", async () => {
+        await messenger.calendar.items._remove(
+          "cached-id1",
+          "osndfnwejrgnejnsdjfwegjdfr@google.com"
+        );
+        fetch.mockResponse(() => ({ status: 204, headers: { "Content-Length": 0 } }));
+
+        let result = await calendar.onItemRemoved(occurrence());
+        expect(result.id).toBe("osndfnwejrgnejnsdjfwegjdfr@google.com");
+        expect(messenger.calendar.items.createMany).not.toHaveBeenCalled();
+      });
+    });
+
+    describe("split series", () => {
+      const EVENTS_URI =
+        "https://www.googleapis.com/calendar/v3/calendars/id1%40calendar.google.com/events";
+
+      let series, occurrence, responses;
+
+      beforeEach(async () => {
+        series = v8.deserialize(v8.serialize(jcalItems.recur_weekly_exceptions));
+        await messenger.calendar.items._create("cached-id1", series);
+
+        occurrence = {
+          id: "weeklyseries@google.com",
+          type: "event",
+          formats: {
+            use: "jcal",
+            jcal: addVCalendar([
+              "vevent",
+              [
+                ["uid", {}, "text", "weeklyseries@google.com"],
+                ["summary", {}, "text", "Changed"],
+                ["recurrence-id", { range: "THISANDFUTURE" }, "date-time", "2021-01-18T10:00:00Z"],
+                ["dtstart", {}, "date-time", "2021-01-18T11:00:00Z"],
+                ["dtend", {}, "date-time", "2021-01-18T12:00:00Z"],
+              ],
+              [],
+            ]),
+          },
+        };
+
+        responses = {
+          [`PATCH ${EVENTS_URI}/weeklyseries`]: {
+            kind: "calendar#event",
+            id: "weeklyseries",
+            iCalUID: "weeklyseries@google.com",
+            etag: '"truncated"',
+          },
+          [`POST ${EVENTS_URI}`]: {
+            kind: "calendar#event",
+            id: "newseries",
+            iCalUID: "newseries@google.com",
+            etag: '"new"',
+            summary: "Changed",
+            start: { dateTime: "2021-01-18T11:00:00Z" },
+            end: { dateTime: "2021-01-18T12:00:00Z" },
+            recurrence: ["RRULE:FREQ=WEEKLY;COUNT=8", "EXDATE:20210215T110000Z"],
+          },
+          [`PATCH ${EVENTS_URI}/newseries_20210201T110000Z`]: {
+            kind: "calendar#event",
+            id: "newseries_20210201T110000Z",
+            recurringEventId: "newseries",
+            iCalUID: "newseries@google.com",
+            etag: '"late"',
+            summary: "Late",
+            start: { dateTime: "2021-02-01T12:00:00Z" },
+            end: { dateTime: "2021-02-01T13:00:00Z" },
+            originalStartTime: { dateTime: "2021-02-01T11:00:00Z" },
+          },
+          [`DELETE ${EVENTS_URI}/newseries`]: null,
+        };
+        fetch.mockResponse(req => {
+          let key = `${req.method} ${req.url}`;
+          if (!(key in responses)) {
+            throw new Error("Unhandled request " + key);
+          }
+          if (!responses[key]) {
+            return { status: 204, headers: { "Content-Length": 0 } };
+          }
+          if (responses[key].error) {
+            return {
+              status: responses[key].error.code,
+              headers: { "Content-Type": "application/json" },
+              body: JSON.stringify(responses[key]),
+            };
+          }
+          return {
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify(responses[key]),
+          };
+        });
+      });
+
+      function requests() {
+        return fetch.mock.calls.map(([url, options]) => `${options.method} ${url}`);
+      }
+
+      test("this and future edit", async () => {
+        let result = await calendar.onItemUpdated(occurrence, occurrence);
+
+        // The new series is complete before the original series is truncated
+        expect(requests()).toEqual([
+          `POST ${EVENTS_URI}`,
+          `PATCH ${EVENTS_URI}/newseries_20210201T110000Z`,
+          `PATCH ${EVENTS_URI}/weeklyseries`,
+        ]);
+
+        let [createOptions, , truncateOptions] = fetch.mock.calls.map(([, options]) => options);
+        expect(truncateOptions.headers["If-Match"]).toBe('"1111111111111111"');
+        expect(JSON.parse(truncateOptions.body).recurrence).toEqual([
+          "RRULE:FREQ=WEEKLY;UNTIL=20210118T095959Z",
+        ]);
+        expect(JSON.parse(createOptions.body)).toEqual(
+          expect.objectContaining({
+            summary: "Changed",
+            recurrence: ["RRULE:FREQ=WEEKLY;COUNT=8", "EXDATE:20210215T110000Z"],
+          })
+        );
+
+        // Both series are written to the cache together
+        expect(messenger.calendar.items.createMany).toHaveBeenCalledTimes(1);
+        let [[calendarId, [truncated, newSeries]]] = messenger.calendar.items.createMany.mock.calls;
+        expect(calendarId).toBe("cached-id1");
+        expect(truncated.id).toBe("weeklyseries@google.com");
+        expect(truncated.metadata.etag).toBe('"truncated"');
+        expect(truncated.metadata.exceptionEtags).toEqual({
+          "20210111T100000Z": '"2222222222222222"',
+        });
+
+        expect(newSeries.id).toBe("newseries@google.com");
+        expect(newSeries.metadata).toEqual({
+          etag: '"new"',
+          path: "newseries",
+          exceptionEtags: { "20210201T110000Z": '"late"' },
+        });
+        let [, late] = new ICAL.Component(newSeries.formats.jcal).getAllSubcomponents("vevent");
+        expect(late.getFirstPropertyValue("summary")).toBe("Late");
+        expect(result).toEqual(newSeries);
+      });
+
+      test("parent not in cache", async () => {
+        await messenger.calendar.items._remove("cached-id1", "weeklyseries@google.com");
+        await expect(calendar.onItemUpdated(occurrence, occurrence)).rejects.toThrow(
+          "MODIFICATION_FAILED"
+        );
+        expect(fetch).not.toHaveBeenCalled();
+      });
+
+      test("creating the new series fails", async () => {
+        responses[`POST ${EVENTS_URI}`] = {
+          error: { code: 403, errors: [{ reason: "insufficientPermissions" }] },
+        };
+        await expect(calendar.splitSeries(series, occurrence)).rejects.toThrow(
+          "MODIFICATION_FAILED"
+        );
+        expect(requests()).toEqual([`POST ${EVENTS_URI}`]);
+        expect(messenger.calendar.items.createMany).not.toHaveBeenCalled();
+      });
+
+      test.each([
+        [
+          "moving an exception",
+          [
+            `POST ${EVENTS_URI}`,
+            `PATCH ${EVENTS_URI}/newseries_20210201T110000Z`,
+            `DELETE ${EVENTS_URI}/newseries`,
+          ],
+        ],
+        [
+          "truncating",
+          [
+            `POST ${EVENTS_URI}`,
+            `PATCH ${EVENTS_URI}/newseries_20210201T110000Z`,
+            `PATCH ${EVENTS_URI}/weeklyseries`,
+            `DELETE ${EVENTS_URI}/newseries`,
+          ],
+        ],
+      ])("%s fails", async (step, expected) => {
+        responses[expected[expected.length - 2]] = {
+          error: { code: 403, errors: [{ reason: "insufficientPermissions" }] },
+        };
+        await expect(calendar.splitSeries(series, occurrence)).rejects.toThrow(
+          "MODIFICATION_FAILED"
+        );
+
+        // The new series is removed again, the original series stays as it was
+        expect(requests()).toEqual(expected);
+        expect(messenger.calendar.items.createMany).not.toHaveBeenCalled();
+      });
+    });
   });
 
   describe("tasks", () => {
@@ -578,6 +1174,304 @@ describe("item functions", () => {
     });
   });
 
+  describe("conflicts", () => {
+    const EVENT_URI =
+      "https://www.googleapis.com/calendar/v3/calendars/id1%40calendar.google.com/events/go6ijb0b46hlpbu4eeu92njevo";
+    const TASK_URI =
+      "https://www.googleapis.com/tasks/v1/lists/taskhash/tasks/lqohjsbhqoztdkusnpruvooacn";
+
+    function mockJsonOnce(body, status = 200) {
+      fetch.mockResponseOnce(JSON.stringify(body), {
+        status,
+        headers: { "Content-Type": "application/json" },
+      });
+    }
+    function mockErrorOnce(status, reason) {
+      mockJsonOnce({ error: { code: status, errors: [{ reason }] } }, status);
+    }
+    function mockServerEventOnce(props) {
+      mockJsonOnce(Object.assign({}, gcalItems.simple_event, { etag: '"server"' }, props));
+    }
+
+    function changedEvent() {
+      let oldItem = v8.deserialize(v8.serialize(jcalItems.simple_event));
+      let newItem = v8.deserialize(v8.serialize(jcalItems.simple_event));
+      new ICAL.Component(newItem.formats.jcal)
+        .getFirstSubcomponent("vevent")
+        .getFirstProperty("summary")
+        .setValue("changed");
+      return [newItem, oldItem];
+    }
+
+    test.each([
+      ["overwrite", "*"],
+      ["retry", '"server"'],
+    ])("modify %s", async (choice, etag) => {
+      messenger.gdata.promptConflict.mockResolvedValue(choice);
+      mockErrorOnce(412, "conditionNotMet");
+      mockServerEventOnce({ summary: "server" });
+      mockJsonOnce(gcalItems.simple_event);
+
+      let result = await calendar.onItemUpdated(...changedEvent());
+
+      expect(result.title).toBe("New Event");
+      expect(messenger.gdata.promptConflict).toHaveBeenCalledWith("modify", "New Event");
+      expect(fetch).toHaveBeenCalledTimes(3);
+      expect(fetch).toHaveBeenNthCalledWith(
+        2,
+        new URL(EVENT_URI),
+        expect.objectContaining({ method: "GET" })
+      );
+      expect(fetch).toHaveBeenLastCalledWith(
+        new URL(EVENT_URI),
+        expect.objectContaining({
+          method: "PATCH",
+          body: '{"summary":"changed"}',
+          headers: expect.objectContaining({ "If-Match": etag }),
+        })
+      );
+    });
+
+    test("modify reload", async () => {
+      mockErrorOnce(412, "conditionNotMet");
+      mockServerEventOnce({ summary: "server" });
+
+      let result = await calendar.onItemUpdated(...changedEvent());
+
+      expect(result.title).toBe("server");
+      expect(result.metadata.etag).toBe('"server"');
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test.each([
+      [404, "notFound"],
+      [410, "deleted"],
+    ])("modify reload deleted on server status=%d", async (status, reason) => {
+      mockErrorOnce(412, "conditionNotMet");
+      mockErrorOnce(status, reason);
+
+      await expect(calendar.onItemUpdated(...changedEvent())).rejects.toThrow(
+        "OPERATION_CANCELLED"
+      );
+      expect(messenger.calendar.items.remove).toHaveBeenCalledWith(
+        "cached-id1",
+        "go6ijb0b46hlpbu4eeu92njevo@google.com"
+      );
+    });
+
+    test("modify overwrite deleted on server", async () => {
+      messenger.gdata.promptConflict.mockResolvedValue("retry");
+      mockErrorOnce(412, "conditionNotMet");
+      mockServerEventOnce({ status: "cancelled" });
+      mockJsonOnce(gcalItems.simple_event);
+
+      await calendar.onItemUpdated(...changedEvent());
+
+      expect(fetch).toHaveBeenLastCalledWith(
+        new URL(EVENT_URI),
+        expect.objectContaining({
+          method: "PATCH",
+          headers: expect.objectContaining({ "If-Match": "*" }),
+        })
+      );
+    });
+
+    test("modify merge", async () => {
+      mockErrorOnce(412, "conditionNotMet");
+      mockServerEventOnce({ location: "server" });
+      mockJsonOnce(gcalItems.simple_event);
+
+      await calendar.onItemUpdated(...changedEvent());
+
+      expect(messenger.gdata.promptConflict).not.toHaveBeenCalled();
+      expect(fetch).toHaveBeenLastCalledWith(
+        new URL(EVENT_URI),
+        expect.objectContaining({
+          method: "PATCH",
+          body: '{"summary":"changed"}',
+          headers: expect.objectContaining({ "If-Match": '"server"' }),
+        })
+      );
+    });
+
+    test("modify merge conflict again", async () => {
+      messenger.gdata.promptConflict.mockResolvedValue("reload");
+      mockErrorOnce(412, "conditionNotMet");
+      mockServerEventOnce({ location: "server" });
+      mockErrorOnce(412, "conditionNotMet");
+      mockServerEventOnce({ summary: "server", etag: '"server2"' });
+
+      let result = await calendar.onItemUpdated(...changedEvent());
+
+      expect(messenger.gdata.promptConflict).toHaveBeenCalledTimes(1);
+      expect(result.title).toBe("server");
+      expect(result.metadata.etag).toBe('"server2"');
+    });
+
+    test("modify conflict twice", async () => {
+      messenger.gdata.promptConflict.mockResolvedValueOnce("retry");
+      messenger.gdata.promptConflict.mockResolvedValueOnce("overwrite");
+      mockErrorOnce(412, "conditionNotMet");
+      mockServerEventOnce({ summary: "server" });
+      mockErrorOnce(412, "conditionNotMet");
+      mockServerEventOnce({ summary: "server2", etag: '"server2"' });
+      mockJsonOnce(gcalItems.simple_event);
+
+      await calendar.onItemUpdated(...changedEvent());
+
+      expect(messenger.gdata.promptConflict).toHaveBeenCalledTimes(2);
+      expect(fetch).toHaveBeenCalledTimes(5);
+      expect(fetch).toHaveBeenLastCalledWith(
+        new URL(EVENT_URI),
+        expect.objectContaining({
+          headers: expect.objectContaining({ "If-Match": "*" }),
+        })
+      );
+    });
+
+    test("modify conflict three times", async () => {
+      messenger.gdata.promptConflict.mockResolvedValue("retry");
+      mockErrorOnce(412, "conditionNotMet");
+      mockServerEventOnce({ summary: "server" });
+      mockErrorOnce(412, "conditionNotMet");
+      mockServerEventOnce({ summary: "server2", etag: '"server2"' });
+      mockErrorOnce(412, "conditionNotMet");
+
+      // The conflict is only resolved again once, then the change fails
+      await expect(calendar.onItemUpdated(...changedEvent())).rejects.toThrow("CONFLICT_MODIFY");
+      expect(messenger.gdata.promptConflict).toHaveBeenCalledTimes(2);
+      expect(fetch).toHaveBeenCalledTimes(5);
+    });
+
+    test("modify other errors", async () => {
+      mockErrorOnce(404, "notFound");
+      await expect(calendar.onItemUpdated(...changedEvent())).rejects.toThrow("CONFLICT_DELETED");
+
+      mockErrorOnce(412, "conditionNotMet");
+      mockErrorOnce(400, "badRequest");
+      await expect(calendar.onItemUpdated(...changedEvent())).rejects.toThrow(
+        "NS_ERROR_NOT_AVAILABLE"
+      );
+
+      messenger.gdata.promptConflict.mockResolvedValue("overwrite");
+      mockErrorOnce(412, "conditionNotMet");
+      mockServerEventOnce({ summary: "server" });
+      mockErrorOnce(400, "badRequest");
+      await expect(calendar.onItemUpdated(...changedEvent())).rejects.toThrow(
+        "NS_ERROR_NOT_AVAILABLE"
+      );
+
+      expect(messenger.gdata.promptConflict).toHaveBeenCalledTimes(1);
+    });
+
+    test("delete already deleted", async () => {
+      mockErrorOnce(410, "deleted");
+      await calendar.onItemRemoved(jcalItems.simple_event);
+
+      mockErrorOnce(412, "conditionNotMet");
+      mockServerEventOnce({ status: "cancelled" });
+      await calendar.onItemRemoved(jcalItems.simple_event);
+
+      mockErrorOnce(412, "conditionNotMet");
+      mockErrorOnce(404, "notFound");
+      await calendar.onItemRemoved(jcalItems.simple_event);
+
+      expect(messenger.gdata.promptConflict).not.toHaveBeenCalled();
+    });
+
+    test("delete overwrite", async () => {
+      messenger.gdata.promptConflict.mockResolvedValue("overwrite");
+      mockErrorOnce(412, "conditionNotMet");
+      mockServerEventOnce();
+      fetch.mockResponseOnce("", { status: 204, headers: { "Content-Length": 0 } });
+
+      await calendar.onItemRemoved(jcalItems.simple_event);
+
+      expect(messenger.gdata.promptConflict).toHaveBeenCalledWith("delete", "New Event");
+      expect(fetch).toHaveBeenLastCalledWith(
+        new URL(EVENT_URI),
+        expect.objectContaining({
+          method: "DELETE",
+          headers: expect.objectContaining({ "If-Match": "*" }),
+        })
+      );
+    });
+
+    test("delete retry deleted in the meanwhile", async () => {
+      messenger.gdata.promptConflict.mockResolvedValue("retry");
+      mockErrorOnce(412, "conditionNotMet");
+      mockServerEventOnce();
+      mockErrorOnce(410, "deleted");
+
+      await calendar.onItemRemoved(jcalItems.simple_event);
+
+      expect(fetch).toHaveBeenLastCalledWith(
+        new URL(EVENT_URI),
+        expect.objectContaining({
+          method: "DELETE",
+          headers: expect.objectContaining({ "If-Match": '"server"' }),
+        })
+      );
+    });
+
+    function restored() {
+      return new Promise(resolve => {
+        messenger.calendar.items.createMany.mockImplementation(async () => resolve());
+      });
+    }
+
+    test("delete reload", async () => {
+      mockErrorOnce(412, "conditionNotMet");
+      mockServerEventOnce({ summary: "server" });
+      let isRestored = restored();
+
+      // The deletion completes without sending it, the server version is restored afterwards
+      expect(await calendar.onItemRemoved(jcalItems.simple_event)).toBe(null);
+      expect(messenger.calendar.items.createMany).not.toHaveBeenCalled();
+      await isRestored;
+
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(messenger.calendar.items.createMany).toHaveBeenCalledWith("cached-id1", [
+        expect.objectContaining({
+          id: "go6ijb0b46hlpbu4eeu92njevo@google.com",
+          title: "server",
+        }),
+      ]);
+    });
+
+    test("delete task reload", async () => {
+      mockErrorOnce(412, "conditionNotMet");
+      mockJsonOnce(Object.assign({}, gcalItems.simple_task, { title: "server" }));
+      let isRestored = restored();
+
+      expect(await calendar.onItemRemoved(jcalItems.simple_task)).toBe(null);
+      await isRestored;
+
+      expect(fetch).toHaveBeenLastCalledWith(
+        new URL(TASK_URI),
+        expect.objectContaining({ method: "GET" })
+      );
+      expect(messenger.calendar.items.createMany).toHaveBeenCalledWith("cached-id1", [
+        expect.objectContaining({ id: "lqohjsbhqoztdkusnpruvooacn", title: "server" }),
+      ]);
+    });
+
+    test("delete other errors", async () => {
+      mockErrorOnce(400, "badRequest");
+      await expect(calendar.onItemRemoved(jcalItems.simple_event)).rejects.toThrow(
+        "NS_ERROR_NOT_AVAILABLE"
+      );
+
+      messenger.gdata.promptConflict.mockResolvedValue("overwrite");
+      mockErrorOnce(412, "conditionNotMet");
+      mockServerEventOnce();
+      mockErrorOnce(400, "badRequest");
+      await expect(calendar.onItemRemoved(jcalItems.simple_event)).rejects.toThrow(
+        "NS_ERROR_NOT_AVAILABLE"
+      );
+    });
+  });
+
   test("invalid", async () => {
     let newItem = v8.deserialize(v8.serialize(jcalItems.simple_event));
     newItem.type = "wat";
@@ -619,6 +1513,7 @@ describe("onSync", () => {
     calendar.session.oauth.accessToken = "accessToken";
     calendar.session.oauth.expires = new Date(new Date().getTime() + 10000);
     await calendar.onSync();
+    await calendar.backfill;
 
     expect(await calendar.getCalendarPref("eventSyncToken")).toBe("nextSyncToken");
     expect(await calendar.getCalendarPref("settings.accessRole")).toBe(accessRole);
@@ -640,6 +1535,406 @@ describe("onSync", () => {
     }
   });
 
+  test("throttled", async () => {
+    let calendar = await calGoogleCalendar.get("id1");
+    await calendar.onInit();
+
+    fetch.mockResponse(req => {
+      let response;
+
+      if ((response = mockCalendarRequest(req)) !== null) {
+        return response;
+      }
+      if ((response = mockCalendarListRequest(req)) !== null) {
+        return response;
+      }
+      if ((response = mockTaskRequest(req)) !== null) {
+        return response;
+      }
+
+      throw new Error("Unhandled request " + req.url);
+    });
+
+    authenticate(calendar.session);
+    await calendar.onSync();
+    await calendar.backfill;
+    // The initial sync retrieves the events in four steps, see "initial sync window"
+    expect(fetch).toHaveBeenCalledTimes(6);
+    expect(messenger.calendar.calendars.reportSyncProgress).toHaveBeenCalledWith(
+      "id1",
+      expect.objectContaining({ type: "event", pages: 1, synced: 0, complete: true })
+    );
+    expect(messenger.calendar.calendars.reportSyncProgress).toHaveBeenCalledWith(
+      "id1",
+      expect.objectContaining({ type: "task", pages: 1 })
+    );
+    expect(await calendar.getCalendarPref("throttle.calendarList")).toEqual(expect.any(String));
+    expect(await calendar.getCalendarPref("throttle.events")).toEqual(expect.any(String));
+    expect(await calendar.getCalendarPref("throttle.tasks")).toEqual(expect.any(String));
+
+    // Default reminders are restored from the prefs when the calendar list is throttled
+    calendar.defaultReminders = [];
+    await calendar.onSync();
+    expect(fetch).toHaveBeenCalledTimes(6);
+    expect(calendar.defaultReminders).toEqual([
+      [
+        "valarm",
+        [
+          ["action", {}, "text", "DISPLAY"],
+          ["description", {}, "text", "alarm"],
+          ["trigger", {}, "duration", "-PT2H"],
+          ["x-default-alarm", {}, "boolean", true],
+        ],
+        [],
+      ],
+    ]);
+
+    expect(await calendar.getCalendarPref("eventSyncToken")).toBe("nextSyncToken");
+    await calendar.onResetSync();
+    expect(await calendar.getCalendarPref("throttle.events")).toBe(null);
+    expect(await calendar.getCalendarPref("eventSyncToken")).toBe(null);
+    await calendar.onSync();
+    await calendar.backfill;
+    expect(fetch).toHaveBeenCalledTimes(12);
+  });
+
+  test("sync progress", async () => {
+    let calendar = await calGoogleCalendar.get("id1");
+    await calendar.onInit();
+    await calendar.setCalendarPref("eventSyncToken", "syncToken");
+
+    fetch.mockResponse(req => {
+      let response;
+
+      if ((response = mockCalendarRequest(req)) !== null) {
+        return response;
+      }
+      if ((response = mockCalendarListRequest(req)) !== null) {
+        return response;
+      }
+      if ((response = mockTaskRequest(req)) !== null) {
+        return response;
+      }
+
+      throw new Error("Unhandled request " + req.url);
+    });
+
+    // Failing to show the progress does not fail the sync, and the status is cleared afterwards
+    messenger.calendar.calendars.reportSyncProgress.mockImplementation(async () => {
+      throw new Error("Status bar unavailable");
+    });
+    authenticate(calendar.session);
+    await calendar.onSync();
+
+    expect(messenger.calendar.calendars.reportSyncProgress).toHaveBeenCalledTimes(4);
+    expect(await calendar.getCalendarPref("eventSyncToken")).toBe("nextSyncToken");
+    expect(messenger.calendar.calendars.clearSyncProgress).toHaveBeenCalledWith("id1");
+
+    // The status is also cleared when the sync fails
+    messenger.calendar.calendars.clearSyncProgress.mockClear();
+    await calendar.throttle.reset();
+    fetch.mockResponse(() => Promise.reject(new TypeError("NetworkError")));
+    await expect(calendar.onSync()).rejects.toThrow();
+    expect(messenger.calendar.calendars.clearSyncProgress).toHaveBeenCalledWith("id1");
+  });
+
+  describe("initial sync window", () => {
+    let calendar, eventCalls;
+
+    beforeEach(async () => {
+      calendar = await calGoogleCalendar.get("id1");
+      await calendar.onInit();
+      authenticate(calendar.session);
+      await calendar.setCalendarPref("syncWindow.past", 1);
+
+      eventCalls = () =>
+        fetch.mock.calls.map(([uri]) => uri).filter(uri => uri.pathname.endsWith("/events"));
+    });
+
+    function mockEvents(onBackfill) {
+      fetch.mockResponse(req => {
+        let url = new URL(req.url);
+        let response;
+        if (url.pathname.endsWith("/events")) {
+          let params = url.searchParams;
+          if (params.has("fields")) {
+            return mockCalendarRequest(req, { nextSyncToken: "initialSyncToken" });
+          } else if (params.has("syncToken") || (params.has("timeMin") && params.has("timeMax"))) {
+            return mockCalendarRequest(req);
+          }
+          return onBackfill(req, params);
+        }
+        if ((response = mockCalendarListRequest(req)) !== null) {
+          return response;
+        }
+        if ((response = mockTaskRequest(req)) !== null) {
+          return response;
+        }
+
+        throw new Error("Unhandled request " + req.url);
+      });
+    }
+
+    test("window and backfill", async () => {
+      let failBackfill = true;
+      mockEvents((req, params) => {
+        if (params.has("timeMax") && !params.has("pageToken")) {
+          return mockCalendarRequest(req, { nextPageToken: "page2", nextSyncToken: null });
+        } else if (params.has("timeMax") && failBackfill) {
+          failBackfill = false;
+          return Promise.reject(new TypeError("NetworkError when attempting to fetch resource."));
+        }
+        return mockCalendarRequest(req, { nextSyncToken: null });
+      });
+
+      // The sync doesn't wait for the backfill
+      await calendar.onSync();
+      expect(calendar.backfill).toEqual(expect.any(Promise));
+      await calendar.backfill;
+      expect(console.error).toHaveBeenCalledWith(
+        "[calGoogleCalendar(id1)]",
+        "Backfill was interrupted, resuming on the next sync",
+        expect.any(Error)
+      );
+
+      let [tokenUri, windowUri, pastUri] = eventCalls();
+      expect(tokenUri.searchParams.get("fields")).toBe("nextPageToken,nextSyncToken");
+
+      let timeMin = new Date(windowUri.searchParams.get("timeMin"));
+      let timeMax = new Date(windowUri.searchParams.get("timeMax"));
+      let expectedMin = new Date();
+      expectedMin.setMonth(expectedMin.getMonth() - 1);
+      let expectedMax = new Date();
+      expectedMax.setMonth(expectedMax.getMonth() + DEFAULT_SYNC_WINDOW.future);
+      expect(Math.abs(timeMin - expectedMin)).toBeLessThan(60000);
+      expect(Math.abs(timeMax - expectedMax)).toBeLessThan(60000);
+
+      // The backfill excludes the window and removes events deleted in the meanwhile
+      expect(pastUri.searchParams.get("timeMax")).toBe(windowUri.searchParams.get("timeMin"));
+      expect(pastUri.searchParams.has("timeMin")).toBe(false);
+      expect(pastUri.searchParams.get("showDeleted")).toBe("true");
+
+      // The backfill can be resumed, incremental sync only starts once it is complete
+      expect(await calendar.getCalendarPref("eventSyncToken")).toBe(null);
+      expect(await calendar.getCalendarPref("eventBackfill")).toEqual(
+        expect.objectContaining({
+          phase: "past",
+          pageToken: "page2",
+          syncToken: "initialSyncToken",
+        })
+      );
+
+      await calendar.throttle.reset();
+      await calendar.onSync();
+      await calendar.backfill;
+
+      let [resumedUri, futureUri, ...others] = eventCalls().slice(4);
+      expect(others).toEqual([]);
+      expect(resumedUri.searchParams.get("pageToken")).toBe("page2");
+      expect(futureUri.searchParams.get("timeMin")).toBe(windowUri.searchParams.get("timeMax"));
+      expect(futureUri.searchParams.has("timeMax")).toBe(false);
+      expect(await calendar.getCalendarPref("eventSyncToken")).toBe("initialSyncToken");
+      expect(await calendar.getCalendarPref("eventBackfill")).toBe(null);
+
+      // Further syncs are incremental, based on the token from before the window was retrieved
+      await calendar.throttle.reset();
+      await calendar.onSync();
+      expect(
+        eventCalls()
+          .pop()
+          .searchParams.get("syncToken")
+      ).toBe("initialSyncToken");
+    });
+
+    test("reset during backfill", async () => {
+      let release;
+      let backfillRequested = new Promise(requested => {
+        mockEvents(
+          req =>
+            new Promise(resolve => {
+              release = () => resolve(mockCalendarRequest(req, { nextPageToken: "page2" }));
+              requested();
+            })
+        );
+      });
+
+      await calendar.onSync();
+      await backfillRequested;
+      let created = messenger.calendar.items.create.mock.calls.length;
+
+      // The reset waits for the backfill, which stops before writing the page
+      let reset = calendar.onResetSync();
+      release();
+      await reset;
+
+      expect(calendar.backfill).toBe(null);
+      expect(console.log).toHaveBeenCalledWith(
+        "[calGoogleCalendar(id1)]",
+        "Backfill was cancelled by a reset"
+      );
+      expect(eventCalls().length).toBe(3);
+      expect(messenger.calendar.items.create).toHaveBeenCalledTimes(created);
+      expect(messenger.calendar.calendars.clear).toHaveBeenCalledWith("cached-id1");
+      expect(await calendar.getCalendarPref("eventBackfill")).toBe(null);
+      expect(await calendar.getCalendarPref("eventSyncToken")).toBe(null);
+    });
+
+    test("expired page token", async () => {
+      await calendar.setCalendarPref("eventBackfill", {
+        syncToken: "initialSyncToken",
+        timeMin: "2021-01-01T00:00:00.000Z",
+        timeMax: "2022-01-01T00:00:00.000Z",
+        phase: "future",
+        pageToken: "expired",
+      });
+      mockEvents(() => ({
+        status: 400,
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ error: { errors: [{ reason: "invalid", location: "pageToken" }] } }),
+      }));
+
+      await calendar.onSync();
+      await calendar.backfill;
+
+      // The next sync starts over with the window
+      expect(messenger.calendar.calendars.clear).toHaveBeenCalledWith("cached-id1");
+      expect(await calendar.getCalendarPref("eventBackfill")).toBe(null);
+      expect(await calendar.getCalendarPref("eventSyncToken")).toBe(null);
+    });
+  });
+
+  test("calendarList not modified", async () => {
+    let calendar = await calGoogleCalendar.get("id1");
+    await calendar.onInit();
+
+    fetch.mockResponse(req => {
+      let response;
+
+      if ((response = mockCalendarRequest(req)) !== null) {
+        return response;
+      }
+      if ((response = mockCalendarListRequest(req)) !== null) {
+        return response;
+      }
+      if ((response = mockTaskRequest(req)) !== null) {
+        return response;
+      }
+
+      throw new Error("Unhandled request " + req.url);
+    });
+
+    authenticate(calendar.session);
+    await calendar.onSync();
+    expect(await calendar.getCalendarPref("calendarListEtag")).toBe('"123123"');
+
+    // The prefs are not rewritten when the calendar list entry is unchanged
+    await calendar.throttle.reset();
+    calendar.session.invalidateCalendarList();
+    await calendar.setCalendarPref("settings.summary", "local summary");
+    calendar.defaultReminders = [];
+    await calendar.onSync();
+
+    expect(await calendar.getCalendarPref("settings.summary")).toBe("local summary");
+    expect(await calendar.getCalendarPref("calendarListEtag")).toBe('"123123"');
+    expect(await calendar.getCalendarPref("throttle.calendarList")).toEqual(expect.any(String));
+    expect(calendar.defaultReminders.length).toBe(1);
+
+    await calendar.onResetSync();
+    expect(await calendar.getCalendarPref("calendarListEtag")).toBe(null);
+  });
+
+  test("calendarList entry not in shared list", async () => {
+    let calendar = await calGoogleCalendar.get("id1");
+    await calendar.onInit();
+    await calendar.setCalendarPref("calendarListEtag", '"123123"');
+    calendar.defaultReminders = [];
+
+    fetch.mockResponse(req => {
+      let response;
+
+      if (new URL(req.url).pathname == "/calendar/v3/users/me/calendarList") {
+        return {
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ items: [] }),
+        };
+      }
+      if (req.headers.get("If-None-Match") == '"123123"') {
+        return { status: 304, headers: { Date: new Date() } };
+      }
+      if ((response = mockCalendarRequest(req)) !== null) {
+        return response;
+      }
+      if ((response = mockCalendarListRequest(req)) !== null) {
+        return response;
+      }
+      if ((response = mockTaskRequest(req)) !== null) {
+        return response;
+      }
+
+      throw new Error("Unhandled request " + req.url);
+    });
+
+    authenticate(calendar.session);
+    await calendar.onSync();
+
+    let [, entryOptions] = fetch.mock.calls.find(([uri]) =>
+      uri.pathname.endsWith("/calendarList/id1%40calendar.google.com")
+    );
+    expect(entryOptions.headers["If-None-Match"]).toBe('"123123"');
+    expect(await calendar.getCalendarPref("settings.summary")).toBe(null);
+    expect(calendar.defaultReminders).toEqual([]);
+
+    // Without an etag, the entry is requested in full
+    await calendar.onResetSync();
+    await calendar.onSync();
+    expect(await calendar.getCalendarPref("settings.summary")).toBe("calendar1");
+    expect(await calendar.getCalendarPref("calendarListEtag")).toBe('"123123"');
+  });
+
+  test("replay outbox", async () => {
+    let calendar = await calGoogleCalendar.get("id1");
+    await calendar.onInit();
+    authenticate(calendar.session);
+
+    fetch.mockRejectOnce(new TypeError("NetworkError when attempting to fetch resource."));
+    expect(await calendar.outbox.send("delete", jcalItems.simple_event)).toBe(null);
+    expect(await calendar.outbox.getEntries()).toEqual([
+      expect.objectContaining({ operation: "delete", id: "go6ijb0b46hlpbu4eeu92njevo@google.com" }),
+    ]);
+
+    fetch.mockResponse(req => {
+      let response;
+      if (req.method == "DELETE") {
+        return { status: 204, headers: { "Content-Length": 0 } };
+      }
+      if ((response = mockCalendarRequest(req)) !== null) {
+        return response;
+      }
+      if ((response = mockCalendarListRequest(req)) !== null) {
+        return response;
+      }
+      if ((response = mockTaskRequest(req)) !== null) {
+        return response;
+      }
+
+      throw new Error("Unhandled request " + req.url);
+    });
+
+    await calendar.onSync();
+    await calendar.backfill;
+
+    expect(fetch).toHaveBeenCalledWith(
+      new URL(
+        "https://www.googleapis.com/calendar/v3/calendars/id1%40calendar.google.com/events/go6ijb0b46hlpbu4eeu92njevo"
+      ),
+      expect.objectContaining({
+        method: "DELETE",
+        headers: expect.objectContaining({ "If-Match": '"2299601498276000"' }),
+      })
+    );
+    expect(await calendar.outbox.getEntries()).toEqual([]);
+  });
+
   test("reset sync", async () => {
     let calendar = await calGoogleCalendar.get("id1");
     await calendar.onInit();
@@ -0,0 +1,80 @@
+import fs from "fs";
+import { runInNewContext } from "vm";
+import { jest } from "@jest/globals";
+
+const source = fs.readFileSync(
+  new URL("../../src/experiments/gdata/ext-gdata.js", import.meta.url),
+  "utf-8"
+);
+
+function loadExperiment() {
+  let Services = {
+    // eslint-disable-next-line id-length
+    wm: {
+      getMostRecentWindow: jest.fn(() => "window"),
+    },
+    prompt: {
+      BUTTON_POS_0: 1,
+      BUTTON_POS_1: 256,
+      BUTTON_POS_2: 65536,
+      BUTTON_TITLE_IS_STRING: 127,
+      BUTTON_POS_1_DEFAULT: 256 * 65536,
+      confirmEx: jest.fn(() => 1),
+    },
+  };
+
+  let sandbox = {
+    ChromeUtils: {
+      import: jest.fn(url => {
+        if (url.endsWith("ExtensionCommon.jsm")) {
+          return { ExtensionCommon: { ExtensionAPI: class {} } };
+        } else if (url.endsWith("Services.jsm")) {
+          return { Services };
+        }
+        return { cal: {} };
+      }),
+    },
+    Ci: {},
+    Cc: {},
+    Cr: {},
+  };
+  runInNewContext(source, sandbox);
+
+  let context = {
+    extension: {
+      localizeMessage: jest.fn((name, args) => `${name}(${args.join(",")})`),
+    },
+  };
+  let api = new sandbox.gdata().getAPI(context);
+
+  return { api: api.gdata, context, Services };
+}
+
+describe("promptConflict", () => {
+  test.each([
+    ["modify", 0, "overwrite"],
+    ["modify", 1, "reload"],
+    ["delete", 2, "retry"],
+  ])("%s choice %d", async (method, button, expected) => {
+    let { api, context, Services } = loadExperiment();
+    Services.prompt.confirmEx.mockReturnValue(button);
+
+    let choice = await api.promptConflict(method, "Event title");
+
+    expect(choice).toBe(expected);
+    expect(context.extension.localizeMessage).toHaveBeenCalledWith("conflictTitle", []);
+    expect(Services.prompt.confirmEx).toHaveBeenCalledWith(
+      "window",
+      "conflictTitle()",
+      method == "delete"
+        ? "conflictDeleteDescription(Event title)"
+        : "conflictModifyDescription(Event title)",
+      expect.any(Number),
+      method == "delete" ? "conflictDeleteOverwrite()" : "conflictModifyOverwrite()",
+      "conflictReload()",
+      "conflictRetry()",
+      null,
+      {}
+    );
+  });
+});
@@ -0,0 +1,148 @@
+import { jest } from "@jest/globals";
+import createMessenger from "./webext-api";
+
+import calGoogleFreeBusy, { FREEBUSY_BATCH_SIZE } from "../../src/background/freebusy";
+import sessions from "../../src/background/session";
+import { fromRFC3339, UTC } from "../../src/background/utils";
+
+const START = "20210101T000000Z";
+const END = "20210102T000000Z";
+
+let service;
+let userSession;
+let corpSession;
+
+function mockBusy(session) {
+  return jest.spyOn(session, "requestFreeBusy").mockImplementation(async attendees => {
+    return Object.fromEntries(
+      attendees.map(attendee => [
+        attendee,
+        [
+          {
+            start: fromRFC3339("2021-01-01T10:00:00Z", UTC),
+            end: fromRFC3339("2021-01-01T11:00:00Z", UTC),
+          },
+        ],
+      ])
+    );
+  });
+}
+
+beforeEach(() => {
+  global.messenger = createMessenger();
+  jest.spyOn(global.console, "log").mockImplementation(() => {});
+  jest.spyOn(global.console, "error").mockImplementation(() => {});
+
+  userSession = sessions.byId("user@example.com", true);
+  corpSession = sessions.byId("boss@corp.example.com", true);
+
+  service = new calGoogleFreeBusy();
+  service.batchDelay = 0;
+});
+
+test("initListeners", async () => {
+  calGoogleFreeBusy.initListeners();
+  expect(messenger.calendar.provider.onFreeBusy.addListener).toHaveBeenCalledTimes(1);
+  expect(calGoogleFreeBusy.instance).toBeInstanceOf(calGoogleFreeBusy);
+});
+
+test("sessionFor", () => {
+  expect(service.sessionFor("User@Example.com")).toBe(userSession);
+  expect(service.sessionFor("employee@corp.example.com")).toBe(corpSession);
+  expect(service.sessionFor("someone@elsewhere.com")).toBe(sessions.byId(sessions.ids[0]));
+});
+
+test("onFreeBusy", async () => {
+  mockBusy(userSession);
+
+  let busy = await service.onFreeBusy({
+    attendee: "other@example.com",
+    start: START,
+    end: END,
+    types: ["free", "busy"],
+  });
+
+  expect(busy).toEqual([
+    { id: "other@example.com", start: "20210101T100000Z", end: "20210101T110000Z", type: "busy" },
+  ]);
+  let [[attendees, rangeStart, rangeEnd]] = userSession.requestFreeBusy.mock.calls;
+  expect(attendees).toEqual(["other@example.com"]);
+  expect(rangeStart.toICALString()).toBe(START);
+  expect(rangeEnd.toICALString()).toBe(END);
+});
+
+test("nothing to look up", async () => {
+  mockBusy(userSession);
+
+  let options = { attendee: "other@example.com", start: START, end: END, types: ["free"] };
+  expect(await service.onFreeBusy(options)).toEqual([]);
+  options = { attendee: "urn:id:d35c674d-d677-4e41-81a8-de28fe0c6b64", start: START, end: END };
+  expect(await service.onFreeBusy(options)).toEqual([]);
+
+  expect(userSession.requestFreeBusy).not.toHaveBeenCalled();
+});
+
+test("batching and routing", async () => {
+  mockBusy(userSession);
+  mockBusy(corpSession);
+
+  let attendees = [];
+  for (let index = 0; index < FREEBUSY_BATCH_SIZE + 10; index++) {
+    attendees.push(`user${index}@example.com`);
+  }
+  attendees.push("employee@corp.example.com");
+
+  let results = await Promise.all(
+    attendees.map(attendee => service.getBusyTimes(attendee, START, END))
+  );
+  expect(results.every(busy => busy.length == 1)).toBe(true);
+
+  let calls = userSession.requestFreeBusy.mock.calls;
+  expect(calls.length).toBe(2);
+  expect(calls[0][0].length).toBe(FREEBUSY_BATCH_SIZE);
+  expect(calls[1][0].length).toBe(10);
+
+  expect(corpSession.requestFreeBusy).toHaveBeenCalledTimes(1);
+  expect(corpSession.requestFreeBusy.mock.calls[0][0]).toEqual(["employee@corp.example.com"]);
+});
+
+test("cache", async () => {
+  mockBusy(userSession);
+
+  // Concurrent lookups for the same attendee and range share one request
+  await Promise.all([
+    service.getBusyTimes("other@example.com", START, END),
+    service.getBusyTimes("Other@example.com", START, END),
+    service.getBusyTimes("other@example.com", START, "20210103T000000Z"),
+  ]);
+  expect(userSession.requestFreeBusy).toHaveBeenCalledTimes(2);
+  expect(userSession.requestFreeBusy.mock.calls[0][0]).toEqual(["other@example.com"]);
+
+  // Later lookups are answered from the cache until it expires
+  await service.getBusyTimes("other@example.com", START, END);
+  expect(userSession.requestFreeBusy).toHaveBeenCalledTimes(2);
+
+  for (let entry of service.cache.values()) {
+    entry.time -= service.cacheTTL;
+  }
+  await service.getBusyTimes("other@example.com", START, END);
+  expect(userSession.requestFreeBusy).toHaveBeenCalledTimes(3);
+  expect(service.cache.size).toBe(1);
+});
+
+test("failure is not cached", async () => {
+  jest.spyOn(userSession, "requestFreeBusy").mockImplementation(async () => {
+    throw new Error("NS_ERROR_NOT_AVAILABLE");
+  });
+
+  expect(await service.getBusyTimes("other@example.com", START, END)).toBe(null);
+  expect(console.error).toHaveBeenCalledWith(
+    "[calGoogleFreeBusy]",
+    "Failed freebusy request",
+    expect.any(Error)
+  );
+
+  mockBusy(userSession);
+  expect((await service.getBusyTimes("other@example.com", START, END)).length).toBe(1);
+  expect(userSession.requestFreeBusy).toHaveBeenCalledTimes(2);
+});
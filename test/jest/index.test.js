@@ -1,6 +1,7 @@
 import { jest } from "@jest/globals";
 import createMessenger from "./webext-api";
 import { migrate, initMessageListener } from "../../src/background/index";
+import calGoogleCalendar from "../../src/background/calendar";
 
 beforeEach(() => {
   global.messenger = createMessenger();
@@ -38,3 +39,46 @@ test("message listener", async () => {
 
   expect(await messenger.runtime.sendMessage({ something: "else" })).toBe(null);
 });
+
+test("message listener pending changes", async () => {
+  let outbox = {
+    getEntries: jest.fn(async () => [
+      { operation: "modify", item: { title: "changed" }, error: "QUOTA_FAILURE" },
+      { operation: "delete", item: { title: "deleted" } },
+    ]),
+    discard: jest.fn(async () => {}),
+    replay: jest.fn(async () => {}),
+  };
+  let empty = { outbox: { getEntries: jest.fn(async () => []) } };
+  let calendar = { outbox, trackStatus: jest.fn(func => func()) };
+  jest.spyOn(calGoogleCalendar, "get").mockImplementation(async id => {
+    return id == "id1" ? calendar : empty;
+  });
+  messenger.calendar.calendars._calendars = [
+    { id: "id1", name: "Work", type: "ext-" + messenger.runtime.id },
+    { id: "id2", name: "Home", type: "ext-" + messenger.runtime.id },
+  ];
+  await initMessageListener();
+
+  expect(await messenger.runtime.sendMessage({ action: "getPendingChanges" })).toEqual([
+    {
+      id: "id1",
+      name: "Work",
+      changes: [
+        { operation: "modify", title: "changed", error: "QUOTA_FAILURE" },
+        { operation: "delete", title: "deleted", error: null },
+      ],
+    },
+  ]);
+
+  await messenger.runtime.sendMessage({
+    action: "discardPendingChange",
+    calendarId: "id1",
+    index: 1,
+  });
+  expect(outbox.discard).toHaveBeenCalledWith(1);
+
+  await messenger.runtime.sendMessage({ action: "sendPendingChanges", calendarId: "id1" });
+  expect(calendar.trackStatus).toHaveBeenCalled();
+  expect(outbox.replay).toHaveBeenCalled();
+});
@@ -1,7 +1,14 @@
 import gcalItems from "./fixtures/gcalItems.json";
 import jcalItems from "./fixtures/jcalItems.json";
 
-import { jsonToItem, itemToJson, patchItem, ItemSaver } from "../../src/background/items";
+import {
+  jsonToItem,
+  itemToJson,
+  patchItem,
+  mergePatch,
+  splitRecurrence,
+  ItemSaver,
+} from "../../src/background/items";
 import calGoogleCalendar from "../../src/background/calendar";
 import ICAL from "ical.js";
 import v8 from "v8";
@@ -9,6 +16,16 @@ import createMessenger from "./webext-api";
 
 import { jest } from "@jest/globals";
 
+const EVENT_COLORS = {
+  1: { background: "#a4bdfc", foreground: "#1d1d1d" },
+  11: { background: "#dc2127", foreground: "#1d1d1d" },
+  17: { background: "#9a9cff", foreground: "#1d1d1d" },
+};
+
+async function getEventColors() {
+  return EVENT_COLORS;
+}
+
 beforeEach(() => {
   global.messenger = createMessenger();
   jest.spyOn(global.console, "log").mockImplementation(() => {});
@@ -30,13 +47,23 @@ beforeEach(() => {
 // TODO conferenceData
 
 describe("jsonToItem", () => {
-  let calendar = { console, name: "calendarName" };
+  let calendar = {
+    console,
+    name: "calendarName",
+    getCalendarPref: jest.fn(async () => null),
+  };
 
   describe("events", () => {
     test("simple event", async () => {
       let defaultReminders = [{ method: "popup", minutes: 120 }];
 
-      let item = await jsonToItem(gcalItems.simple_event, calendar, defaultReminders, null);
+      let item = await jsonToItem(
+        gcalItems.simple_event,
+        calendar,
+        defaultReminders,
+        null,
+        EVENT_COLORS
+      );
       let jcal = new ICAL.Component(item.formats.jcal);
 
       expect(item.metadata.etag).toBe('"2299601498276000"');
@@ -56,6 +83,8 @@ describe("jsonToItem", () => {
       expect(jcal.getFirstPropertyValue("transp")).toBe("TRANSPARENT");
       expect(jcal.getFirstPropertyValue("class")).toBe("PRIVATE");
       expect(jcal.getFirstPropertyValue("sequence")).toBe(1);
+      // RFC 7986 only allows CSS3 color keywords, the closest one to the palette color is used
+      expect(jcal.getFirstPropertyValue("color")).toBe("lightskyblue");
 
       expect(jcal.getFirstPropertyValue("organizer")).toBe("mailto:organizer@example.com");
       expect(jcal.getFirstProperty("organizer").getParameter("cn")).toBe("Eggs P. Seashell");
@@ -112,6 +141,7 @@ describe("jsonToItem", () => {
         "transp",
         "class",
         "sequence",
+        "color",
         "organizer",
         "dtstart",
         "dtend",
@@ -131,10 +161,10 @@ describe("jsonToItem", () => {
     });
 
     test("valarm_default event", async () => {
-      await messenger.storage.local.set({ "settings.accessRole": "freeBusyReader" });
+      calendar.getCalendarPref.mockResolvedValueOnce("freeBusyReader");
       let item = await jsonToItem(gcalItems.valarm_default, calendar, [], null);
       let jcal = new ICAL.Component(item.formats.jcal);
-      await messenger.storage.local.set({ "settings.accessRole": null });
+      expect(calendar.getCalendarPref).toHaveBeenLastCalledWith("settings.accessRole");
 
       expect(jcal.getFirstPropertyValue("uid")).toBe("swpefnfloqssxjdlbpyqlyqddb@google.com");
       expect(jcal.getFirstPropertyValue("summary")).toBe("busyTitle[calendarName]");
@@ -143,6 +173,64 @@ describe("jsonToItem", () => {
         "urn:id:b4d9b3a9-b537-47bd-92a1-fb40c0c1c7fc"
       );
       expect(jcal.getFirstPropertyValue("dtstart").toICALString()).toBe("20060610");
+
+      expect(jcal.getFirstProperty("x-google-conference").jCal).toEqual([
+        "x-google-conference",
+        {
+          "x-google-conference-id": "4c8e9483-4ae3-44eb-94d4-206c3a3bfa3d",
+          "x-google-solution": "Hangouts",
+        },
+        "uri",
+        "https://meet.google.com/aaa-bbbb-ccc",
+      ]);
+      expect(jcal.getAllProperties("attach").map(attach => attach.jCal)).toEqual([
+        [
+          "attach",
+          { "x-google-entry-point-type": "video", label: "meet.google.com/aaa-bbbb-ccc" },
+          "uri",
+          "https://meet.google.com/aaa-bbbb-ccc",
+        ],
+        [
+          "attach",
+          {
+            "x-google-entry-point-type": "phone",
+            label: "+1 555-0100",
+            "x-google-pin": "123456789",
+          },
+          "uri",
+          "tel:+1-555-0100",
+        ],
+      ]);
+    });
+    test("attachments", async () => {
+      let entry = v8.deserialize(v8.serialize(gcalItems.utc_event));
+      entry.attachments = [
+        {
+          fileUrl: "https://drive.google.com/open?id=agenda",
+          title: "Agenda",
+          mimeType: "application/vnd.google-apps.document",
+          iconLink: "https://example.com/icons/document.png",
+          fileId: "agenda",
+        },
+        { fileUrl: "https://example.com/notes" },
+      ];
+
+      let item = await jsonToItem(entry, calendar, [], null);
+      let jcal = new ICAL.Component(item.formats.jcal);
+      expect(jcal.getAllProperties("attach").map(attach => attach.jCal)).toEqual([
+        [
+          "attach",
+          {
+            fmttype: "application/vnd.google-apps.document",
+            filename: "Agenda",
+            "x-google-file-id": "agenda",
+            "x-google-icon-link": "https://example.com/icons/document.png",
+          },
+          "uri",
+          "https://drive.google.com/open?id=agenda",
+        ],
+        ["attach", {}, "uri", "https://example.com/notes"],
+      ]);
     });
     test("utc_event event", async () => {
       let item = await jsonToItem(gcalItems.utc_event, calendar, [], null);
@@ -346,6 +434,46 @@ describe("itemToJson", () => {
     });
   });
 
+  test("color", () => {
+    let item = v8.deserialize(v8.serialize(jcalItems.valarm_default));
+    item.formats.jcal[2][0][1].push(["color", {}, "text", "#d22"]);
+    expect(itemToJson(item, calendar, false, EVENT_COLORS).colorId).toBe("11");
+
+    // Without a palette the color can't be sent
+    expect(itemToJson(item, calendar, false).colorId).toBeUndefined();
+
+    // Color keywords are matched the same way
+    item.formats.jcal[2][0][1].pop();
+    item.formats.jcal[2][0][1].push(["color", {}, "text", "Crimson"]);
+    expect(itemToJson(item, calendar, false, EVENT_COLORS).colorId).toBe("11");
+
+    item.formats.jcal[2][0][1].pop();
+    item.formats.jcal[2][0][1].push(["color", {}, "text", "notacolor"]);
+    expect(itemToJson(item, calendar, false, EVENT_COLORS).colorId).toBeUndefined();
+  });
+
+  test("conference request", () => {
+    let item = v8.deserialize(v8.serialize(jcalItems.valarm_default));
+    item.formats.jcal[2][0][1].push(["x-google-conference-request", {}, "text", "hangoutsMeet"]);
+
+    let data = itemToJson(item, calendar, false);
+    expect(data.conferenceData).toEqual({
+      createRequest: {
+        requestId: expect.stringMatching(/^[a-z0-9]+$/),
+        conferenceSolutionKey: { type: "hangoutsMeet" },
+      },
+    });
+
+    // Events that already have a conference don't request a new one
+    item.formats.jcal[2][0][1].push([
+      "x-google-conference",
+      {},
+      "uri",
+      "https://meet.google.com/aaa-bbbb-ccc",
+    ]);
+    expect(itemToJson(item, calendar, false).conferenceData).toBeUndefined();
+  });
+
   test("recurring event rrule", () => {
     let data = itemToJson(jcalItems.recur_rrule, calendar, false);
     expect(data).toEqual({
@@ -422,6 +550,116 @@ describe("itemToJson", () => {
   });
 });
 
+describe("attendee round-trip", () => {
+  let calendar = {
+    console,
+    name: "calendarName",
+    getCalendarPref: jest.fn(async () => null),
+  };
+  let item;
+
+  function attendee(jcal, value) {
+    return jcal.getAllProperties("attendee").find(prop => prop.getFirstValue() == value);
+  }
+
+  beforeEach(async () => {
+    item = await jsonToItem(gcalItems.attendee_details, calendar, [], null);
+    item.formats.jcal = ["vcalendar", [], [item.formats.jcal]];
+  });
+
+  test("jsonToItem", () => {
+    let jcal = new ICAL.Component(item.formats.jcal).getFirstSubcomponent("vevent");
+
+    expect(attendee(jcal, "mailto:organizer@example.com").jCal[1]).toEqual({
+      role: "REQ-PARTICIPANT",
+      partstat: "ACCEPTED",
+      cutype: "INDIVIDUAL",
+      "x-google-id": "104011532851893823416",
+      "x-google-self": "TRUE",
+      "x-google-organizer": "TRUE",
+    });
+    expect(attendee(jcal, "mailto:guest@example.com").jCal[1]).toEqual({
+      role: "REQ-PARTICIPANT",
+      partstat: "ACCEPTED",
+      cutype: "INDIVIDUAL",
+      // eslint-disable-next-line id-length
+      cn: "Guest",
+      comment: "Bringing two colleagues",
+      "x-num-guests": "2",
+    });
+    expect(attendee(jcal, "mailto:boss@example.com").getParameter("delegated-to")).toEqual([
+      "mailto:deputy@example.com",
+    ]);
+    expect(attendee(jcal, "mailto:deputy@example.com").getParameter("delegated-from")).toEqual([
+      "mailto:boss@example.com",
+    ]);
+    expect(attendee(jcal, "urn:id:117829463618830941375").getParameter("cn")).toBe("No Email");
+  });
+
+  test("itemToJson", () => {
+    let data = itemToJson(item, calendar, false);
+
+    // Google sets self and organizer, everything else is sent back as it was received
+    expect(data.attendees).toEqual([
+      {
+        id: "104011532851893823416",
+        email: "organizer@example.com",
+        optional: false,
+        resource: false,
+        responseStatus: "accepted",
+      },
+      {
+        email: "guest@example.com",
+        displayName: "Guest",
+        optional: false,
+        resource: false,
+        responseStatus: "accepted",
+        comment: "Bringing two colleagues",
+        additionalGuests: 2,
+      },
+      { email: "boss@example.com", optional: true, resource: false, responseStatus: "declined" },
+      {
+        email: "deputy@example.com",
+        optional: false,
+        resource: false,
+        responseStatus: "needsAction",
+      },
+    ]);
+    expect(JSON.parse(data.extendedProperties.shared["X-MOZ-DELEGATION"])).toEqual(
+      JSON.parse(gcalItems.attendee_details.extendedProperties.shared["X-MOZ-DELEGATION"])
+    );
+  });
+
+  test("patchItem", () => {
+    let oldItem = v8.deserialize(v8.serialize(item));
+    let vevent = new ICAL.Component(item.formats.jcal).getFirstSubcomponent("vevent");
+
+    // Neither the order of attendees nor Google's flags are changes
+    let guest = attendee(vevent, "mailto:guest@example.com");
+    vevent.removeProperty(guest);
+    vevent.addProperty(guest);
+    expect(patchItem(item, oldItem)).toEqual({});
+
+    // Attendees without an email can't be sent, so changing them is not a change either
+    attendee(vevent, "urn:id:117829463618830941375").setParameter("partstat", "DECLINED");
+    expect(patchItem(item, oldItem)).toEqual({});
+
+    guest.setParameter("x-num-guests", "3");
+    let patch = patchItem(item, oldItem);
+    expect(patch.attendees[3]).toEqual(
+      expect.objectContaining({ email: "guest@example.com", additionalGuests: 3 })
+    );
+    expect(patch.attendees.map(att => att.email)).not.toContain(undefined);
+
+    guest.setParameter("x-num-guests", "2");
+    attendee(vevent, "mailto:boss@example.com").removeParameter("delegated-to");
+    attendee(vevent, "mailto:deputy@example.com").removeParameter("delegated-from");
+    expect(patchItem(item, oldItem)).toEqual({
+      extendedProperties: { shared: { "X-MOZ-DELEGATION": null } },
+    });
+  });
+});
+
 describe("patchItem", () => {
   describe("patchEvent", () => {
     let item, oldItem, event, changes;
@@ -592,6 +830,48 @@ describe("patchItem", () => {
           extendedProperties: { shared: { "X-MOZ-CATEGORIES": "foo,bar,baz" } },
         });
       });
+
+      test("attachments", () => {
+        let attach = event.addPropertyWithValue("attach", "https://example.com/agenda");
+        attach.setParameter("filename", "Agenda");
+        attach.setParameter("fmttype", "text/html");
+        // Binary attachments and conference entry points are not sent
+        event.addProperty(new ICAL.Property(["attach", { encoding: "BASE64" }, "binary", "AAAA"]));
+        event
+          .addPropertyWithValue("attach", "tel:+1-555-0100")
+          .setParameter("x-google-entry-point-type", "phone");
+        // Neither are links Google can't resolve
+        event.addPropertyWithValue("attach", "file:///home/user/agenda.pdf");
+        event.addPropertyWithValue("attach", "cid:part1.agenda@example.com");
+        event.addPropertyWithValue("attach", "data:text/plain;base64,QWdlbmRh");
+
+        expect(patchItem(item, oldItem)).toEqual({
+          attachments: [
+            { fileUrl: "https://example.com/agenda", title: "Agenda", mimeType: "text/html" },
+          ],
+        });
+
+        let attachedItem = v8.deserialize(v8.serialize(item));
+        event.removeProperty(attach);
+        expect(patchItem(item, attachedItem)).toEqual({ attachments: [] });
+      });
+
+      test("attachments not sent", () => {
+        event.addPropertyWithValue("attach", "file:///home/user/agenda.pdf");
+        event.addPropertyWithValue("attach", "cid:part1.agenda@example.com");
+
+        // Only unsupported attachments were added, so there is nothing to send
+        expect(patchItem(item, oldItem)).toEqual({});
+      });
+
+      test("color", () => {
+        event.addPropertyWithValue("color", "#A0C0F0");
+        expect(patchItem(item, oldItem, EVENT_COLORS)).toEqual({ colorId: "1" });
+
+        let coloredItem = v8.deserialize(v8.serialize(item));
+        event.removeAllProperties("color");
+        expect(patchItem(item, coloredItem, EVENT_COLORS)).toEqual({ colorId: null });
+      });
     });
 
     describe("reminders", () => {
@@ -712,13 +992,173 @@ describe("patchItem", () => {
   });
 });
 
+describe("mergePatch", () => {
+  let oldItem, item, serverItem;
+
+  function vcomp(jcalItem) {
+    let vcalendar = new ICAL.Component(jcalItem.formats.jcal);
+    return vcalendar.getFirstSubcomponent("vevent") || vcalendar.getFirstSubcomponent("vtodo");
+  }
+
+  beforeEach(() => {
+    oldItem = jcalItems.simple_event;
+    item = v8.deserialize(v8.serialize(oldItem));
+    serverItem = v8.deserialize(v8.serialize(oldItem));
+  });
+
+  test("no server changes", () => {
+    vcomp(item).updatePropertyWithValue("summary", "changed");
+    expect(mergePatch(item, oldItem, serverItem)).toEqual({ summary: "changed" });
+  });
+
+  test("different fields", () => {
+    vcomp(item).updatePropertyWithValue("location", "changed");
+    vcomp(serverItem).updatePropertyWithValue("summary", "server");
+    vcomp(serverItem).removeAllProperties("attendee");
+    expect(mergePatch(item, oldItem, serverItem)).toEqual({ location: "changed" });
+  });
+
+  test("same change", () => {
+    vcomp(item).updatePropertyWithValue("summary", "changed");
+    vcomp(serverItem).updatePropertyWithValue("summary", "changed");
+    expect(mergePatch(item, oldItem, serverItem)).toEqual({ summary: "changed" });
+  });
+
+  test("overlapping fields", () => {
+    vcomp(item).updatePropertyWithValue("summary", "changed");
+    vcomp(item).updatePropertyWithValue("location", "changed");
+    vcomp(serverItem).updatePropertyWithValue("summary", "server");
+    expect(mergePatch(item, oldItem, serverItem)).toBe(null);
+  });
+
+  test("extended properties", () => {
+    item.categories = ["local"];
+    vcomp(item).updatePropertyWithValue(
+      "x-moz-lastack",
+      ICAL.Time.fromString("2021-01-01T00:00:00Z")
+    );
+    serverItem.categories = ["server"];
+    expect(mergePatch(item, oldItem, serverItem)).toBe(null);
+
+    serverItem.categories = oldItem.categories;
+    vcomp(serverItem).updatePropertyWithValue(
+      "x-moz-snooze-time",
+      ICAL.Time.fromString("2021-01-01T00:00:00Z")
+    );
+    expect(mergePatch(item, oldItem, serverItem)).toEqual({
+      extendedProperties: {
+        private: { "X-MOZ-LASTACK": "20210101T000000Z" },
+        shared: { "X-MOZ-CATEGORIES": "local" },
+      },
+    });
+  });
+
+  test("sequence", () => {
+    vcomp(item).updatePropertyWithValue("summary", "changed");
+    vcomp(item).updatePropertyWithValue("sequence", 2);
+    vcomp(serverItem).updatePropertyWithValue("sequence", 3);
+    expect(mergePatch(item, oldItem, serverItem)).toEqual({ summary: "changed" });
+  });
+
+  test("tasks", () => {
+    oldItem = jcalItems.simple_task;
+    item = v8.deserialize(v8.serialize(oldItem));
+    serverItem = v8.deserialize(v8.serialize(oldItem));
+
+    vcomp(item).updatePropertyWithValue("summary", "changed");
+    vcomp(serverItem).updatePropertyWithValue("description", "server");
+    expect(mergePatch(item, oldItem, serverItem)).toEqual({ title: "changed" });
+
+    vcomp(serverItem).updatePropertyWithValue("summary", "server");
+    expect(mergePatch(item, oldItem, serverItem)).toBe(null);
+  });
+});
+
+describe("splitRecurrence", () => {
+  function changedOccurrence() {
+    let vevent = new ICAL.Component([
+      "vevent",
+      [
+        ["uid", {}, "text", "weeklyseries@google.com"],
+        ["summary", {}, "text", "Changed"],
+        ["recurrence-id", {}, "date-time", "2021-01-18T10:00:00Z"],
+        ["dtstart", {}, "date-time", "2021-01-18T11:00:00Z"],
+        ["dtend", {}, "date-time", "2021-01-18T12:00:00Z"],
+      ],
+      [],
+    ]);
+    return { id: "weeklyseries@google.com", type: "event", formats: { jcal: vevent.toJSON() } };
+  }
+  function values(vevent, name) {
+    return vevent.getAllProperties(name).map(prop => prop.getFirstValue().toString());
+  }
+
+  test("weekly series", () => {
+    let series = v8.deserialize(v8.serialize(jcalItems.recur_weekly_exceptions));
+    let { item, newItem, exceptions } = splitRecurrence(series, changedOccurrence());
+
+    // The original series ends before the split point and keeps the earlier exceptions
+    let [vevent, early, ...others] = new ICAL.Component(item.formats.jcal).getAllSubcomponents(
+      "vevent"
+    );
+    expect(values(vevent, "rrule")).toEqual(["FREQ=WEEKLY;UNTIL=20210118T095959Z"]);
+    expect(values(vevent, "exdate")).toEqual([]);
+    expect(early.getFirstPropertyValue("summary")).toBe("Early");
+    expect(others).toEqual([]);
+    expect(item.metadata).toEqual({
+      etag: '"1111111111111111"',
+      path: "weeklyseries",
+      exceptionEtags: { "20210111T100000Z": '"2222222222222222"' },
+    });
+
+    // The new series starts with the changed occurrence, moved by an hour
+    let newEvent = new ICAL.Component(newItem.formats.jcal).getFirstSubcomponent("vevent");
+    expect(newItem.id).toBe(undefined);
+    expect(newEvent.hasProperty("uid")).toBe(false);
+    expect(newEvent.hasProperty("recurrence-id")).toBe(false);
+    expect(newEvent.getFirstPropertyValue("summary")).toBe("Changed");
+    expect(newEvent.getFirstPropertyValue("dtstart").toString()).toBe("2021-01-18T11:00:00Z");
+    expect(values(newEvent, "rrule")).toEqual(["FREQ=WEEKLY;COUNT=8"]);
+    expect(values(newEvent, "exdate")).toEqual(["2021-02-15T11:00:00Z"]);
+
+    // Later exceptions move along with the occurrences of the new series
+    expect(exceptions.length).toBe(1);
+    let late = new ICAL.Component(exceptions[0].formats.jcal).getFirstSubcomponent("vevent");
+    expect(late.getFirstPropertyValue("recurrence-id").toString()).toBe("2021-02-01T11:00:00Z");
+    expect(late.getFirstPropertyValue("dtstart").toString()).toBe("2021-02-01T12:00:00Z");
+    expect(late.hasProperty("uid")).toBe(false);
+  });
+
+  test("all day series", () => {
+    let series = v8.deserialize(v8.serialize(jcalItems.recur_rrule));
+    let occurrence = v8.deserialize(v8.serialize(jcalItems.recur_instance));
+    let { item, newItem, exceptions } = splitRecurrence(series, occurrence);
+
+    let vevent = new ICAL.Component(item.formats.jcal).getFirstSubcomponent("vevent");
+    expect(values(vevent, "rrule")).toEqual([
+      "FREQ=YEARLY;BYDAY=-1SU,2SA;BYMONTH=6;UNTIL=20060624",
+    ]);
+    expect(values(vevent, "rdate")).toEqual([]);
+
+    // The occurrence was moved by a day, as are the remaining RDATEs and EXDATEs
+    let newEvent = new ICAL.Component(newItem.formats.jcal).getFirstSubcomponent("vevent");
+    expect(values(newEvent, "rrule")).toEqual(["FREQ=YEARLY;COUNT=4;BYDAY=-1SU,2SA;BYMONTH=6"]);
+    expect(values(newEvent, "rdate")).toEqual(["2006-08-13"]);
+    expect(values(newEvent, "exdate")).toEqual(["2007-06-10"]);
+    expect(exceptions).toEqual([]);
+  });
+});
+
 describe("ItemSaver", () => {
   let saver;
   let calendar = {
     console,
     id: "calendarId",
     cacheId: "calendarId#cache",
+    getCalendarPref: jest.fn(async () => null),
     setCalendarPref: jest.fn(),
+    fetchEvent: jest.fn(async () => null),
+    getEventColors,
   };
 
   beforeEach(() => {
@@ -751,6 +1191,66 @@ describe("ItemSaver", () => {
     expect(calendar.setCalendarPref).not.toHaveBeenCalled();
   });
 
+  test("event colors", async () => {
+    let coloredCalendar = {
+      ...calendar,
+      getEventColors: jest.fn(async () => EVENT_COLORS),
+    };
+    saver = new ItemSaver(coloredCalendar);
+
+    // The palette is only retrieved once for all pages
+    await saver.parseItemStream({ kind: "calendar#events", items: [gcalItems.simple_event] });
+    await saver.parseItemStream({ kind: "calendar#events", items: [gcalItems.valarm_default] });
+    expect(coloredCalendar.getEventColors).toHaveBeenCalledTimes(1);
+
+    let [, [item]] = messenger.calendar.items.createMany.mock.calls[0];
+    let jcal = new ICAL.Component(item.formats.jcal).getFirstSubcomponent("vevent");
+    expect(jcal.getFirstPropertyValue("color")).toBe("lightskyblue");
+  });
+
+  test("progress", async () => {
+    let onProgress = jest.fn(async () => {});
+    saver = new ItemSaver(calendar, onProgress);
+
+    await saver.parseItemStream({
+      kind: "calendar#events",
+      items: [gcalItems.recur_instance],
+      nextPageToken: "page2",
+    });
+    expect(onProgress).toHaveBeenLastCalledWith({
+      type: "event",
+      pages: 1,
+      synced: 1,
+      complete: false,
+      exceptions: 0,
+      missingParents: 1,
+    });
+
+    await saver.parseItemStream({ kind: "calendar#events", items: [gcalItems.recur_rrule] });
+    expect(onProgress).toHaveBeenLastCalledWith({
+      type: "event",
+      pages: 2,
+      synced: 2,
+      complete: true,
+      exceptions: 0,
+      missingParents: 1,
+    });
+
+    // The parent item is found in storage when the missing parents are processed
+    await saver.complete();
+    expect(onProgress).toHaveBeenLastCalledWith({
+      type: "event",
+      pages: 2,
+      synced: 2,
+      complete: true,
+      exceptions: 1,
+      missingParents: 0,
+    });
+
+    await saver.parseItemStream({ kind: "tasks#tasks", items: [] });
+    expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({ type: "task" }));
+  });
+
   describe("parseEventStream", () => {
     test("No items", async () => {
       await saver.parseEventStream({
@@ -766,17 +1266,16 @@ describe("ItemSaver", () => {
       });
       expect(console.log).toHaveBeenCalledWith("Parsing 1 received events");
 
-      expect(messenger.calendar.items.remove).not.toHaveBeenCalled();
-      expect(messenger.calendar.items.create).toHaveBeenCalledWith(
-        "calendarId#cache",
+      expect(messenger.calendar.items.removeMany).not.toHaveBeenCalled();
+      expect(messenger.calendar.items.createMany).toHaveBeenCalledWith("calendarId#cache", [
         expect.objectContaining({
           id: "swpefnfloqssxjdlbpyqlyqddb@google.com",
           formats: {
             use: "jcal",
             jcal: ["vcalendar", expect.anything(), expect.anything()],
           },
-        })
-      );
+        }),
+      ]);
     });
     test("Master item removed", async () => {
       let gitem = v8.deserialize(v8.serialize(gcalItems.valarm_default));
@@ -787,11 +1286,10 @@ describe("ItemSaver", () => {
       });
       expect(console.log).toHaveBeenCalledWith("Parsing 1 received events");
 
-      expect(messenger.calendar.items.create).not.toHaveBeenCalled();
-      expect(messenger.calendar.items.remove).toHaveBeenCalledWith(
-        "calendarId#cache",
-        "swpefnfloqssxjdlbpyqlyqddb@google.com"
-      );
+      expect(messenger.calendar.items.createMany).not.toHaveBeenCalled();
+      expect(messenger.calendar.items.removeMany).toHaveBeenCalledWith("calendarId#cache", [
+        "swpefnfloqssxjdlbpyqlyqddb@google.com",
+      ]);
     });
 
     test("recurring event", async () => {
@@ -799,18 +1297,39 @@ describe("ItemSaver", () => {
         items: [gcalItems.recur_rrule, gcalItems.recur_instance],
       });
       expect(console.log).toHaveBeenCalledWith("Parsing 2 received events");
-      expect(messenger.calendar.items.remove).not.toHaveBeenCalled();
-      expect(messenger.calendar.items.create).toHaveBeenCalledTimes(2);
-      expect(messenger.calendar.items.create).toHaveBeenCalledWith(
-        "calendarId#cache",
+      expect(messenger.calendar.items.removeMany).not.toHaveBeenCalled();
+
+      // The series is committed once, including the exception
+      expect(messenger.calendar.items.createMany).toHaveBeenCalledTimes(1);
+      expect(messenger.calendar.items.createMany).toHaveBeenCalledWith("calendarId#cache", [
         expect.objectContaining({
           id: "osndfnwejrgnejnsdjfwegjdfr@google.com",
           formats: {
             use: "jcal",
             jcal: ["vcalendar", expect.anything(), expect.anything()],
           },
-        })
+        }),
+      ]);
+      let vcalendar = new ICAL.Component(
+        messenger.calendar.items.createMany.mock.calls[0][1][0].formats.jcal
+      );
+      expect(vcalendar.getAllSubcomponents("vevent").length).toBe(2);
+    });
+
+    test("recurring event exception in later page", async () => {
+      await saver.parseEventStream({ items: [gcalItems.recur_rrule, gcalItems.simple_event] });
+      expect(messenger.calendar.items.createMany).toHaveBeenCalledTimes(1);
+      expect(messenger.calendar.items.createMany.mock.calls[0][1].length).toBe(2);
+
+      // Only recurring items are kept for exceptions in later pages
+      expect(Object.keys(saver.parentItems)).toEqual(["osndfnwejrgnejnsdjfwegjdfr@google.com"]);
+
+      await saver.parseEventStream({ items: [gcalItems.recur_instance] });
+      expect(messenger.calendar.items.createMany).toHaveBeenCalledTimes(2);
+      let vcalendar = new ICAL.Component(
+        messenger.calendar.items.createMany.mock.calls[1][1][0].formats.jcal
       );
+      expect(vcalendar.getAllSubcomponents("vevent").length).toBe(2);
     });
 
     test("recurring event master cancelled", async () => {
@@ -821,12 +1340,11 @@ describe("ItemSaver", () => {
         items: [gitem, gcalItems.recur_instance],
       });
       expect(console.log).toHaveBeenCalledWith("Parsing 2 received events");
-      expect(messenger.calendar.items.remove).toHaveBeenCalledWith(
-        "calendarId#cache",
-        "osndfnwejrgnejnsdjfwegjdfr@google.com"
-      );
-      expect(messenger.calendar.items.remove).toHaveBeenCalledTimes(1);
-      expect(messenger.calendar.items.create).not.toHaveBeenCalled();
+      expect(messenger.calendar.items.removeMany).toHaveBeenCalledWith("calendarId#cache", [
+        "osndfnwejrgnejnsdjfwegjdfr@google.com",
+      ]);
+      expect(messenger.calendar.items.removeMany).toHaveBeenCalledTimes(1);
+      expect(messenger.calendar.items.createMany).not.toHaveBeenCalled();
     });
 
     test("recurring event missing parent", async () => {
@@ -834,30 +1352,93 @@ describe("ItemSaver", () => {
         items: [gcalItems.recur_instance],
       });
       expect(console.log).toHaveBeenCalledWith("Parsing 1 received events");
-      expect(messenger.calendar.items.remove).not.toHaveBeenCalled();
+      expect(messenger.calendar.items.removeMany).not.toHaveBeenCalled();
 
       await saver.complete();
 
-      expect(messenger.calendar.items.create).toHaveBeenCalledWith(
-        "calendarId#cache",
+      expect(messenger.calendar.items.createMany).toHaveBeenCalledWith("calendarId#cache", [
         expect.objectContaining({
           id: "osndfnwejrgnejnsdjfwegjdfr@google.com",
           formats: {
             use: "jcal",
             jcal: ["vcalendar", expect.anything(), expect.anything()],
           },
-        })
-      );
+        }),
+      ]);
 
       let vcalendar = new ICAL.Component(
-        messenger.calendar.items.create.mock.calls[0][1].formats.jcal
+        messenger.calendar.items.createMany.mock.calls[0][1][0].formats.jcal
       );
       let vevent = vcalendar.getFirstSubcomponent("vevent");
 
       expect(vevent.getFirstProperty("recurrence-id")).toBe(null);
       expect(vevent.getFirstPropertyValue("dtstart")?.toICALString()).toBe("20060625");
+      expect(vevent.getFirstPropertyValue("dtend")?.toICALString()).toBe("20060626");
       expect(vevent.getFirstPropertyValue("rdate")?.toICALString()).toBe("20060625");
       expect(vevent.getFirstPropertyValue("x-moz-faked-master")).toBe("1");
+
+      // The instance was moved, the exception makes sure it shows up on the new date
+      let exception = vcalendar.getAllSubcomponents("vevent")[1];
+      expect(exception.getFirstPropertyValue("recurrence-id")?.toICALString()).toBe("20060625");
+      expect(exception.getFirstPropertyValue("dtstart")?.toICALString()).toBe("20060626");
+    });
+
+    test("recurring event missing parent retrieved from server", async () => {
+      let gitem = v8.deserialize(v8.serialize(gcalItems.recur_instance));
+      gitem.recurringEventId = "osndfnwejrgnejnsdjfwegjdfr";
+      calendar.fetchEvent.mockResolvedValueOnce(gcalItems.recur_rrule);
+
+      await saver.parseEventStream({ items: [gitem] });
+      await saver.complete();
+
+      expect(calendar.fetchEvent).toHaveBeenCalledWith("osndfnwejrgnejnsdjfwegjdfr");
+      expect(messenger.calendar.items.createMany).toHaveBeenCalledTimes(1);
+      let vcalendar = new ICAL.Component(
+        messenger.calendar.items.createMany.mock.calls[0][1][0].formats.jcal
+      );
+      let [vevent, exception] = vcalendar.getAllSubcomponents("vevent");
+      expect(vevent.getFirstPropertyValue("x-moz-faked-master")).toBe(null);
+      expect(vevent.getFirstProperty("rrule")).not.toBe(null);
+      expect(exception.getFirstPropertyValue("recurrence-id").toICALString()).toBe("20060625");
+    });
+
+    test("recurring event missing parent not accessible", async () => {
+      let gitem = v8.deserialize(v8.serialize(gcalItems.recur_instance));
+      gitem.recurringEventId = "osndfnwejrgnejnsdjfwegjdfr";
+
+      await saver.parseEventStream({ items: [gitem] });
+      await saver.complete();
+
+      expect(calendar.fetchEvent).toHaveBeenCalledWith("osndfnwejrgnejnsdjfwegjdfr");
+      let vcalendar = new ICAL.Component(
+        messenger.calendar.items.createMany.mock.calls[0][1][0].formats.jcal
+      );
+      expect(
+        vcalendar.getFirstSubcomponent("vevent").getFirstPropertyValue("x-moz-faked-master")
+      ).toBe("1");
+    });
+
+    test("recurring event missing parent multiple instances", async () => {
+      let other = v8.deserialize(v8.serialize(gcalItems.recur_instance));
+      other.originalStartTime = { date: "2006-07-02" };
+      other.start = { date: "2006-07-02" };
+      other.end = { date: "2006-07-03" };
+
+      await saver.parseEventStream({ items: [gcalItems.recur_instance, other] });
+      await saver.complete();
+
+      expect(messenger.calendar.items.createMany).toHaveBeenCalledTimes(1);
+      let vcalendar = new ICAL.Component(
+        messenger.calendar.items.createMany.mock.calls[0][1][0].formats.jcal
+      );
+      let [vevent, ...exceptions] = vcalendar.getAllSubcomponents("vevent");
+      expect(vevent.getFirstPropertyValue("x-moz-faked-master")).toBe("1");
+      expect(
+        vevent.getAllProperties("rdate").map(prop => prop.getFirstValue().toICALString())
+      ).toEqual(["20060625", "20060702"]);
+      expect(
+        exceptions.map(exc => exc.getFirstPropertyValue("recurrence-id").toICALString())
+      ).toEqual(["20060625", "20060702"]);
     });
 
     test("recurring event missing parent cancelled", async () => {
@@ -870,8 +1451,8 @@ describe("ItemSaver", () => {
       expect(console.log).toHaveBeenCalledWith("Parsing 1 received events");
       await saver.complete();
 
-      expect(messenger.calendar.items.remove).not.toHaveBeenCalled();
-      expect(messenger.calendar.items.create).not.toHaveBeenCalled();
+      expect(messenger.calendar.items.removeMany).not.toHaveBeenCalled();
+      expect(messenger.calendar.items.createMany).not.toHaveBeenCalled();
     });
     test("recurring event missing parent found in storage", async () => {
       let jitem = v8.deserialize(v8.serialize(jcalItems.recur_rrule));
@@ -884,29 +1465,28 @@ describe("ItemSaver", () => {
         items: [gitem],
       });
       expect(console.log).toHaveBeenCalledWith("Parsing 1 received events");
-      expect(messenger.calendar.items.create).not.toHaveBeenCalled();
+      expect(messenger.calendar.items.createMany).not.toHaveBeenCalled();
 
       await saver.complete();
 
-      expect(messenger.calendar.items.remove).not.toHaveBeenCalled();
+      expect(messenger.calendar.items.removeMany).not.toHaveBeenCalled();
       expect(messenger.calendar.items.get).toHaveBeenCalledWith(
         "calendarId#cache",
         "osndfnwejrgnejnsdjfwegjdfr@google.com",
         { returnFormat: "jcal" }
       );
-      expect(messenger.calendar.items.create).toHaveBeenCalledWith(
-        "calendarId#cache",
+      expect(messenger.calendar.items.createMany).toHaveBeenCalledWith("calendarId#cache", [
         expect.objectContaining({
           id: "osndfnwejrgnejnsdjfwegjdfr@google.com",
           formats: {
             use: "jcal",
             jcal: ["vcalendar", expect.anything(), expect.anything()],
           },
-        })
-      );
+        }),
+      ]);
 
       let vcalendar = new ICAL.Component(
-        messenger.calendar.items.create.mock.calls[0][1].formats.jcal
+        messenger.calendar.items.createMany.mock.calls[0][1][0].formats.jcal
       );
       let vevent = vcalendar.getFirstSubcomponent("vevent");
       expect(
@@ -921,17 +1501,16 @@ describe("ItemSaver", () => {
         items: [gcalItems.simple_task],
       });
 
-      expect(messenger.calendar.items.remove).not.toHaveBeenCalled();
-      expect(messenger.calendar.items.create).toHaveBeenCalledWith(
-        "calendarId#cache",
+      expect(messenger.calendar.items.removeMany).not.toHaveBeenCalled();
+      expect(messenger.calendar.items.createMany).toHaveBeenCalledWith("calendarId#cache", [
         expect.objectContaining({
           id: "lqohjsbhqoztdkusnpruvooacn",
           formats: {
             use: "jcal",
             jcal: ["vcalendar", expect.anything(), expect.anything()],
           },
-        })
-      );
+        }),
+      ]);
     });
   });
 });
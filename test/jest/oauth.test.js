@@ -201,6 +201,18 @@ describe("oauth flow", () => {
     expect(oauth.grantedScopes).toBe(null);
     expect(oauth.expires).toBe(null);
   });
+
+  test("force refresh offline", async () => {
+    jest.spyOn(global.console, "error").mockImplementation(() => {});
+    oauth.refreshToken = "refreshToken";
+
+    fetch.mockRejectOnce(new TypeError("NetworkError when attempting to fetch resource."));
+
+    await expect(oauth.refresh(true)).rejects.toThrow("NS_ERROR_OFFLINE");
+
+    expect(oauth.accessToken).toBe(null);
+    expect(oauth.refreshToken).toBe("refreshToken");
+  });
 });
 
 describe("ensureLogin", () => {
@@ -0,0 +1,515 @@
+import jestFetchMock from "jest-fetch-mock";
+jestFetchMock.enableFetchMocks();
+
+import { jest } from "@jest/globals";
+import createMessenger from "./webext-api";
+
+import calGoogleOutbox from "../../src/background/outbox";
+import calGoogleRequest from "../../src/background/request";
+import sessions from "../../src/background/session";
+
+let calendar, outbox;
+
+function item(id, etag = '"etag"', title = id) {
+  return {
+    id,
+    title,
+    type: "event",
+    metadata: { etag },
+    formats: { use: "jcal", jcal: ["vevent", [], []] },
+  };
+}
+
+function offline() {
+  throw new Error("NS_ERROR_OFFLINE");
+}
+
+beforeEach(() => {
+  global.messenger = createMessenger();
+  jest.spyOn(global.console, "log").mockImplementation(() => {});
+  jest.spyOn(global.console, "error").mockImplementation(() => {});
+
+  let prefs = {};
+  calendar = {
+    id: "id1",
+    cacheId: "cached-id1",
+    console,
+    getCalendarPref: jest.fn(async (pref, defaultValue = null) => prefs[pref] ?? defaultValue),
+    setCalendarPref: jest.fn(async (pref, value) => {
+      prefs[pref] = value;
+    }),
+    onItemCreated: jest.fn(async newItem => item(newItem.id, '"new"')),
+    onItemUpdated: jest.fn(async newItem => item(newItem.id, '"new"')),
+    onItemRemoved: jest.fn(async () => {}),
+  };
+  outbox = new calGoogleOutbox(calendar);
+});
+
+test("send online", async () => {
+  let newItem = item("item1");
+  let oldItem = item("item1");
+
+  expect(await outbox.send("create", newItem)).toEqual(item("item1", '"new"'));
+  expect(calendar.onItemCreated).toHaveBeenCalledWith(newItem);
+
+  await outbox.send("modify", newItem, oldItem);
+  expect(calendar.onItemUpdated).toHaveBeenCalledWith(newItem, oldItem);
+
+  await outbox.send("delete", newItem);
+  expect(calendar.onItemRemoved).toHaveBeenCalledWith(newItem);
+
+  expect(await outbox.getEntries()).toEqual([]);
+  expect(messenger.notifications.create).not.toHaveBeenCalled();
+});
+
+test("send failure", async () => {
+  calendar.onItemCreated.mockRejectedValue(new Error("NS_ERROR_FAILURE"));
+  await expect(outbox.send("create", item("item1"))).rejects.toThrow("NS_ERROR_FAILURE");
+  expect(await outbox.getEntries()).toEqual([]);
+
+  // The lock is released after a failure
+  await outbox.send("delete", item("item1"));
+  expect(calendar.onItemRemoved).toHaveBeenCalled();
+});
+
+test("unknown operation", async () => {
+  await expect(outbox.send("wat", item("item1"))).rejects.toThrow("Unknown outbox operation: wat");
+});
+
+test("send offline", async () => {
+  calendar.onItemUpdated.mockImplementation(offline);
+
+  let newItem = item("item1");
+  let oldItem = item("item1", '"old"');
+  expect(await outbox.send("modify", newItem, oldItem)).toBe(newItem);
+
+  expect(await outbox.getEntries()).toEqual([
+    { operation: "modify", id: "item1", item: newItem, oldItem, etag: '"old"' },
+  ]);
+  expect(messenger.notifications.create).toHaveBeenCalledWith("outbox-id1", {
+    title: "extensionName[]",
+    message: "changesQueued[1]",
+  });
+
+  // Further operations are queued without trying the network, to keep the order intact
+  expect(await outbox.send("delete", item("item2"))).toBe(null);
+  expect(calendar.onItemRemoved).not.toHaveBeenCalled();
+  expect((await outbox.getEntries()).map(entry => entry.id)).toEqual(["item1", "item2"]);
+  expect(messenger.notifications.create).toHaveBeenLastCalledWith("outbox-id1", {
+    title: "extensionName[]",
+    message: "changesQueued[2]",
+  });
+});
+
+test("send offline while refreshing the token", async () => {
+  jestFetchMock.doMock();
+  fetch.mockRejectOnce(new TypeError("NetworkError when attempting to fetch resource."));
+
+  // The session has no access token, so the request refreshes it first
+  let session = sessions.byId("outboxSession", true);
+  calendar.onItemCreated.mockImplementation(() => {
+    let request = new calGoogleRequest({
+      method: "POST",
+      uri: "https://www.googleapis.com/calendar/v3/calendars/id1/events",
+    });
+    return request.commit(session);
+  });
+
+  let newItem = item("item1");
+  expect(await outbox.send("create", newItem)).toBe(newItem);
+
+  expect(fetch).toHaveBeenCalledTimes(1);
+  expect(fetch.mock.calls[0][0]).toBe(session.oauth.TOKEN_URL);
+  expect(await outbox.getEntries()).toEqual([
+    { operation: "create", id: "item1", item: newItem, oldItem: null, etag: '"etag"' },
+  ]);
+  expect(messenger.notifications.create).toHaveBeenCalledWith("outbox-id1", {
+    title: "extensionName[]",
+    message: "changesQueued[1]",
+  });
+});
+
+test("offline delete then edit", async () => {
+  calendar.onItemRemoved.mockImplementation(offline);
+  calendar.onItemUpdated.mockImplementation(offline);
+
+  // Items without a format can't be occurrences
+  let removed = { id: "task1", type: "task", title: "task1", metadata: { etag: '"task"' } };
+  expect(await outbox.send("delete", removed)).toBe(null);
+  await outbox.send("modify", item("item1", '"new"'), item("item1", '"old"'));
+  await outbox.send("modify", item("item1", '"newer"'), item("item1", '"new"'));
+
+  expect(await outbox.getEntries()).toEqual([
+    { operation: "delete", id: "task1", item: removed, oldItem: null, etag: '"task"' },
+    {
+      operation: "modify",
+      id: "item1",
+      item: item("item1", '"newer"'),
+      oldItem: item("item1", '"old"'),
+      etag: '"old"',
+    },
+  ]);
+});
+
+describe("coalesce", () => {
+  let created = item("item1", null, "created");
+  let changed = item("item1", null, "changed");
+  let server = item("item1", '"server"', "server");
+
+  test.each([
+    [
+      [
+        ["create", created],
+        ["modify", changed, created],
+      ],
+      [{ operation: "create", item: changed, oldItem: null, etag: null }],
+    ],
+    [
+      [
+        ["create", created],
+        ["delete", changed],
+      ],
+      [],
+    ],
+    [
+      [
+        ["modify", created, server],
+        ["modify", changed, created],
+      ],
+      [{ operation: "modify", item: changed, oldItem: server, etag: '"server"' }],
+    ],
+    [
+      [
+        ["modify", created, server],
+        ["delete", created],
+      ],
+      [{ operation: "delete", item: created, oldItem: server, etag: '"server"' }],
+    ],
+    [
+      [
+        ["delete", server],
+        ["create", changed],
+      ],
+      [{ operation: "modify", item: changed, oldItem: server, etag: '"server"' }],
+    ],
+    [
+      [
+        ["modify", created, server],
+        ["delete", created],
+        ["create", changed],
+      ],
+      [{ operation: "modify", item: changed, oldItem: server, etag: '"server"' }],
+    ],
+  ])("%#", async (operations, expected) => {
+    calendar.onItemCreated.mockImplementation(offline);
+    calendar.onItemUpdated.mockImplementation(offline);
+    calendar.onItemRemoved.mockImplementation(offline);
+
+    for (let [operation, newItem, oldItem] of operations) {
+      await outbox.send(operation, newItem, oldItem);
+    }
+
+    expect(await outbox.getEntries()).toEqual(expected.map(entry => ({ id: "item1", ...entry })));
+  });
+});
+
+test("occurrences", async () => {
+  function occurrence(recurrenceId, title) {
+    let occ = item("item1", '"etag"', title);
+    occ.formats.jcal = ["vevent", [["recurrence-id", {}, "date", recurrenceId]], []];
+    return occ;
+  }
+
+  calendar.onItemUpdated.mockImplementation(offline);
+  await outbox.send("modify", item("item1", '"etag"', "parent"), item("item1"));
+  await outbox.send("modify", occurrence("2021-01-01", "first"), occurrence("2021-01-01"));
+  await outbox.send("modify", occurrence("2021-01-08", "second"), occurrence("2021-01-08"));
+  await outbox.send("modify", occurrence("2021-01-01", "again"), occurrence("2021-01-01", "first"));
+
+  // Each occurrence is a separate change of the same item
+  let entries = await outbox.getEntries();
+  expect(entries.map(entry => entry.item.title)).toEqual(["parent", "again", "second"]);
+
+  calendar.onItemUpdated.mockImplementation(async newItem => newItem);
+  await outbox.replay();
+
+  // Occurrences are saved to their parent when they are sent
+  expect(calendar.onItemUpdated).toHaveBeenCalledTimes(4);
+  expect(messenger.calendar.items.create).toHaveBeenCalledTimes(1);
+});
+
+describe("replay", () => {
+  test("empty", async () => {
+    await outbox.replay();
+    expect(calendar.setCalendarPref).not.toHaveBeenCalled();
+  });
+
+  test("in order", async () => {
+    let order = [];
+    calendar.onItemCreated.mockImplementation(offline);
+    await outbox.send("create", item("item1", null));
+    await outbox.send("modify", item("item2"), item("item2", '"old"'));
+    await outbox.send("delete", item("item3", '"deleted"'));
+
+    calendar.onItemCreated.mockImplementation(async newItem => {
+      order.push("create");
+      return item("server1", '"new"');
+    });
+    calendar.onItemUpdated.mockImplementation(async (newItem, oldItem) => {
+      order.push("modify");
+      expect(oldItem.metadata.etag).toBe('"old"');
+      return item(newItem.id, '"new"');
+    });
+    calendar.onItemRemoved.mockImplementation(async oldItem => {
+      order.push("delete");
+      expect(oldItem.metadata.etag).toBe('"deleted"');
+    });
+
+    await outbox.replay();
+
+    expect(order).toEqual(["create", "modify", "delete"]);
+    expect(await outbox.getEntries()).toEqual([]);
+
+    // The created item received a new id from the server
+    expect(messenger.calendar.items.remove).toHaveBeenCalledWith("cached-id1", "item1");
+    expect(messenger.calendar.items.create).toHaveBeenCalledWith(
+      "cached-id1",
+      expect.objectContaining({ id: "server1", metadata: { etag: '"new"' } })
+    );
+    expect(messenger.calendar.items.create).toHaveBeenCalledWith(
+      "cached-id1",
+      expect.objectContaining({ id: "item2", metadata: { etag: '"new"' } })
+    );
+    expect(messenger.calendar.items.create.mock.calls[1][1].formats.jcal[0]).toBe("vcalendar");
+    expect(messenger.calendar.items.remove).toHaveBeenCalledTimes(1);
+  });
+
+  test("still offline", async () => {
+    calendar.onItemRemoved.mockImplementation(offline);
+    await outbox.send("delete", item("item1"));
+    await outbox.send("delete", item("item2"));
+
+    calendar.onItemRemoved.mockImplementationOnce(async () => {});
+    calendar.onItemRemoved.mockImplementationOnce(offline);
+    await outbox.replay();
+
+    expect((await outbox.getEntries()).map(entry => entry.id)).toEqual(["item2"]);
+  });
+
+  test("failure", async () => {
+    calendar.onItemRemoved.mockImplementation(offline);
+    await outbox.send("delete", item("item1"));
+    await outbox.send("delete", item("item2"));
+
+    calendar.onItemRemoved.mockImplementation(async removed => {
+      if (removed.id == "item1") {
+        throw new Error("QUOTA_FAILURE");
+      }
+    });
+    await expect(outbox.replay()).rejects.toThrow("QUOTA_FAILURE");
+
+    // The failed change is kept with its error, the independent change sent with it is done
+    expect(calendar.onItemRemoved).toHaveBeenCalledTimes(3);
+    let entries = await outbox.getEntries();
+    expect(entries.map(entry => [entry.id, entry.error])).toEqual([["item1", "QUOTA_FAILURE"]]);
+    expect(console.error).toHaveBeenCalledWith(
+      "Could not replay delete of item1",
+      expect.any(Error)
+    );
+    expect(messenger.notifications.create).toHaveBeenLastCalledWith("outbox-id1", {
+      title: "extensionName[]",
+      message: "changesFailed[item1,QUOTA_FAILURE]",
+    });
+
+    // The lock is released after a failure
+    calendar.onItemRemoved.mockImplementation(async () => {});
+    await outbox.replay();
+    expect(await outbox.getEntries()).toEqual([]);
+  });
+
+  test("failure stops dependent changes", async () => {
+    let occurrence = item("item1", '"etag"', "occurrence");
+    occurrence.formats.jcal = ["vevent", [["recurrence-id", {}, "date", "2021-01-01"]], []];
+
+    calendar.onItemCreated.mockImplementation(offline);
+    await outbox.send("create", item("item1", null));
+    await outbox.send("modify", occurrence, item("item1"));
+    await outbox.send("delete", item("item2"));
+
+    calendar.onItemCreated.mockImplementation(async () => {
+      throw new Error("QUOTA_FAILURE");
+    });
+    await expect(outbox.replay()).rejects.toThrow("QUOTA_FAILURE");
+
+    // The occurrence depends on the created item and is kept, the unrelated change is sent
+    expect(calendar.onItemUpdated).not.toHaveBeenCalled();
+    expect(calendar.onItemRemoved).toHaveBeenCalledWith(item("item2"));
+    let entries = await outbox.getEntries();
+    expect(entries.map(entry => [entry.item.title, entry.error])).toEqual([
+      ["item1", "QUOTA_FAILURE"],
+      ["occurrence", undefined],
+    ]);
+  });
+
+  test("failure reported once", async () => {
+    calendar.onItemRemoved.mockImplementation(offline);
+    await outbox.send("delete", item("item1"));
+
+    calendar.onItemRemoved.mockImplementation(async () => {
+      throw new Error("QUOTA_FAILURE");
+    });
+    await expect(outbox.replay()).rejects.toThrow("QUOTA_FAILURE");
+    expect(messenger.notifications.create).toHaveBeenCalledTimes(2);
+
+    // The next sync tries again, but doesn't report the same failure again
+    await outbox.replay();
+    expect(calendar.onItemRemoved).toHaveBeenCalledTimes(3);
+    expect(messenger.notifications.create).toHaveBeenCalledTimes(2);
+    let entries = await outbox.getEntries();
+    expect(entries.map(entry => [entry.id, entry.error])).toEqual([["item1", "QUOTA_FAILURE"]]);
+
+    calendar.onItemRemoved.mockImplementation(async () => {
+      throw new Error("MODIFICATION_FAILED");
+    });
+    await expect(outbox.replay()).rejects.toThrow("MODIFICATION_FAILED");
+    expect(messenger.notifications.create).toHaveBeenLastCalledWith("outbox-id1", {
+      title: "extensionName[]",
+      message: "changesFailed[item1,MODIFICATION_FAILED]",
+    });
+  });
+
+  test("send after a failure", async () => {
+    calendar.onItemUpdated.mockImplementation(offline);
+    await outbox.send("modify", item("item1"), item("item1", '"old"'));
+    calendar.onItemUpdated.mockImplementation(async () => {
+      throw new Error("QUOTA_FAILURE");
+    });
+    await expect(outbox.replay()).rejects.toThrow("QUOTA_FAILURE");
+    messenger.notifications.create.mockClear();
+
+    // Changes to other items don't wait for the failed change
+    calendar.onItemUpdated.mockImplementation(async newItem => item(newItem.id, '"new"'));
+    expect(await outbox.send("modify", item("item2"), item("item2"))).toEqual(
+      item("item2", '"new"')
+    );
+    expect(calendar.onItemUpdated).toHaveBeenLastCalledWith(item("item2"), item("item2"));
+    expect(messenger.notifications.create).not.toHaveBeenCalled();
+
+    // Changes to the item itself depend on the failed change
+    let changed = item("item1", '"etag"', "changed");
+    expect(await outbox.send("modify", changed, item("item1"))).toBe(changed);
+    expect(calendar.onItemUpdated).toHaveBeenCalledTimes(3);
+    let entries = await outbox.getEntries();
+    expect(entries.map(entry => [entry.item.title, entry.error])).toEqual([
+      ["changed", "QUOTA_FAILURE"],
+    ]);
+    expect(messenger.notifications.create).toHaveBeenCalledWith("outbox-id1", {
+      title: "extensionName[]",
+      message: "changesBlocked[changed]",
+    });
+
+    // Failed changes are not counted as waiting for the network
+    calendar.onItemRemoved.mockImplementation(offline);
+    await outbox.send("delete", item("item3"));
+    expect(messenger.notifications.create).toHaveBeenLastCalledWith("outbox-id1", {
+      title: "extensionName[]",
+      message: "changesQueued[1]",
+    });
+  });
+
+  test("batched", async () => {
+    calendar.onItemRemoved.mockImplementation(offline);
+    await outbox.send("delete", item("item1"));
+    await outbox.send("delete", item("item2"));
+
+    // Changes to different items are sent at the same time, so their requests can be batched
+    let pending = [];
+    calendar.onItemRemoved.mockImplementation(() => new Promise(resolve => pending.push(resolve)));
+    let replayed = outbox.replay();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(calendar.onItemRemoved).toHaveBeenCalledTimes(3);
+
+    pending.forEach(resolve => resolve());
+    await replayed;
+    expect(await outbox.getEntries()).toEqual([]);
+  });
+
+  test("conflict resolved with the server version", async () => {
+    calendar.onItemUpdated.mockImplementation(offline);
+    await outbox.send("modify", item("item1"), item("item1", '"old"'));
+    await outbox.send("modify", item("item2"), item("item2", '"old"'));
+
+    calendar.onItemUpdated.mockImplementationOnce(async () => {
+      throw new Error("OPERATION_CANCELLED");
+    });
+    calendar.onItemUpdated.mockImplementationOnce(async newItem => item(newItem.id, '"new"'));
+    await outbox.replay();
+
+    expect(calendar.onItemUpdated).toHaveBeenCalledTimes(3);
+    expect(await outbox.getEntries()).toEqual([]);
+  });
+});
+
+describe("discard", () => {
+  beforeEach(() => {
+    calendar.onItemCreated.mockImplementation(offline);
+    calendar.onItemUpdated.mockImplementation(offline);
+    calendar.onItemRemoved.mockImplementation(offline);
+    calendar.saveOccurrence = jest.fn(async occurrence => occurrence);
+  });
+
+  test("create", async () => {
+    await outbox.send("create", item("item1", null));
+    await outbox.discard(0);
+
+    expect(await outbox.getEntries()).toEqual([]);
+    expect(messenger.calendar.items.remove).toHaveBeenCalledWith("cached-id1", "item1");
+  });
+
+  test.each(["modify", "delete"])("%s", async operation => {
+    let serverItem = item("item1", '"server"', "server");
+    await outbox.send("create", item("item2", null));
+    if (operation == "modify") {
+      await outbox.send("modify", item("item1", '"server"', "changed"), serverItem);
+    } else {
+      await outbox.send("delete", serverItem);
+    }
+    await outbox.discard(1);
+
+    // The server version is restored in the cache
+    expect((await outbox.getEntries()).map(entry => entry.id)).toEqual(["item2"]);
+    expect(messenger.calendar.items.create).toHaveBeenCalledWith(
+      "cached-id1",
+      expect.objectContaining({ id: "item1", title: "server" })
+    );
+    expect(messenger.calendar.items.create.mock.calls[0][1].formats.jcal[0]).toBe("vcalendar");
+  });
+
+  test("occurrence", async () => {
+    let occurrence = item("item1");
+    occurrence.formats.jcal = ["vevent", [["recurrence-id", {}, "date", "2021-01-01"]], []];
+    await outbox.send("delete", occurrence);
+    await outbox.discard(0);
+
+    expect(calendar.saveOccurrence).toHaveBeenCalledWith(occurrence);
+    expect(messenger.calendar.items.create).not.toHaveBeenCalled();
+  });
+
+  test("unknown", async () => {
+    await outbox.discard(0);
+    expect(calendar.setCalendarPref).not.toHaveBeenCalled();
+  });
+});
+
+test("initListeners", async () => {
+  calGoogleOutbox.initListeners();
+
+  await messenger.notifications.onClicked.mockResponse("other");
+  expect(messenger.windows.create).not.toHaveBeenCalled();
+
+  await messenger.notifications.onClicked.mockResponse("outbox-id1");
+  expect(messenger.windows.create).toHaveBeenCalledWith({
+    url: "/content/pending-changes.html",
+    type: "popup",
+  });
+});
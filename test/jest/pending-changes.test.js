@@ -0,0 +1,94 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import fs from "fs";
+import { jest } from "@jest/globals";
+import createMessenger from "./webext-api";
+import { main as pendingMain } from "../../src/content/pending-changes.js";
+
+const html = fs.readFileSync(
+  new URL("../../src/content/pending-changes.html", import.meta.url),
+  "utf-8"
+);
+
+let pending;
+
+beforeEach(() => {
+  document.documentElement.innerHTML = html;
+  global.messenger = createMessenger();
+
+  pending = [
+    {
+      id: "id1",
+      name: "Work",
+      changes: [
+        { operation: "modify", title: "Meeting", error: "QUOTA_FAILURE" },
+        { operation: "delete", title: "Lunch", error: null },
+      ],
+    },
+  ];
+  messenger.runtime.sendMessage = jest.fn(async message => {
+    switch (message.action) {
+      case "getPendingChanges":
+        return pending;
+      case "discardPendingChange":
+        pending[0].changes.splice(message.index, 1);
+        return null;
+      case "sendPendingChanges":
+        throw new Error("QUOTA_FAILURE");
+      default:
+        return null;
+    }
+  });
+});
+
+function rows() {
+  return [...document.querySelectorAll(".gdata-pending-changes li")].map(row => [
+    row.querySelector(".gdata-pending-title").textContent,
+    row.querySelector(".gdata-pending-error").textContent,
+  ]);
+}
+
+test("list", async () => {
+  await pendingMain();
+
+  expect(document.querySelector(".gdata-pending-name").textContent).toBe("Work");
+  expect(document.querySelector(".gdata-pending-send").textContent).toBe(
+    "gdata.pending.send.label[]"
+  );
+  expect(rows()).toEqual([
+    ["gdata.pending.modify[Meeting]", "gdata.pending.error[QUOTA_FAILURE]"],
+    ["gdata.pending.delete[Lunch]", ""],
+  ]);
+  expect(document.getElementById("gdata-pending-empty").hidden).toBe(true);
+});
+
+test("discard and send", async () => {
+  await pendingMain();
+
+  document.querySelectorAll(".gdata-pending-discard")[0].click();
+  await new Promise(resolve => setTimeout(resolve, 0));
+  expect(messenger.runtime.sendMessage).toHaveBeenCalledWith({
+    action: "discardPendingChange",
+    calendarId: "id1",
+    index: 0,
+  });
+  expect(rows()).toEqual([["gdata.pending.delete[Lunch]", ""]]);
+
+  // Failures are shown with the change, the list is refreshed either way
+  document.querySelector(".gdata-pending-send").click();
+  await new Promise(resolve => setTimeout(resolve, 0));
+  expect(messenger.runtime.sendMessage).toHaveBeenCalledWith({
+    action: "sendPendingChanges",
+    calendarId: "id1",
+  });
+  expect(messenger.runtime.sendMessage).toHaveBeenLastCalledWith({ action: "getPendingChanges" });
+});
+
+test("empty", async () => {
+  pending = [];
+  await pendingMain();
+  expect(document.querySelectorAll(".gdata-pending-changes").length).toBe(0);
+  expect(document.getElementById("gdata-pending-empty").hidden).toBe(false);
+});
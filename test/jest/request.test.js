@@ -70,6 +70,17 @@ test("commit invalid response", async () => {
   await expect(request.commit(session)).rejects.toThrow("Received plain response: wrong...");
 });
 
+test("commit network error", async () => {
+  let request = new calGoogleRequest({
+    method: "GET",
+    uri: "https://localhost/test",
+  });
+
+  jest.spyOn(global.console, "error").mockImplementation(() => {});
+  fetch.mockRejectOnce(new TypeError("NetworkError when attempting to fetch resource."));
+  await expect(request.commit(session)).rejects.toThrow("NS_ERROR_OFFLINE");
+});
+
 test("status code 201", async () => {
   let request = new calGoogleRequest({
     method: "POST",
@@ -113,6 +124,10 @@ test("status code 304", async () => {
   });
   await expect(request.commit(session)).rejects.toThrow("NOT_MODIFIED");
   expect(request.response.status).toBe(304);
+
+  // Not modified responses don't have a body, even without a Content-Length header
+  fetch.mockResponseOnce(null, { status: 304 });
+  await expect(request.commit(session)).rejects.toThrow("NOT_MODIFIED");
 });
 
 test("status code 404", async () => {
@@ -177,6 +192,15 @@ test("status code 400 sync token", async () => {
   expect(request.response.status).toBe(400);
 });
 
+test("status code 400 page token", async () => {
+  let request = new calGoogleRequest({
+    method: "GET",
+    uri: "https://localhost/test",
+  });
+  mockErrorResponse(400, { reason: "invalid", location: "pageToken" });
+  await expect(request.commit(session)).rejects.toThrow("RESOURCE_GONE");
+});
+
 test("status code 400 other", async () => {
   let request = new calGoogleRequest({
     method: "PUT",
@@ -364,3 +388,216 @@ describe("auth error", () => {
     expect(request.response.status).toBe(403);
   });
 });
+
+describe("retry", () => {
+  let policy = Object.assign({}, calGoogleRequest.retryPolicy, {
+    maxRetries: 2,
+    baseDelay: 0,
+    jitter: 0,
+  });
+
+  function jsonResponse(status, body, headers = {}) {
+    return [
+      JSON.stringify(body),
+      { status, headers: Object.assign({ "Content-Type": "application/json" }, headers) },
+    ];
+  }
+
+  function createRequest() {
+    let request = new calGoogleRequest({
+      method: "GET",
+      uri: "https://localhost/test",
+    });
+    request.retryPolicy = policy;
+    return request;
+  }
+
+  beforeEach(() => {
+    jest.spyOn(global.console, "log").mockImplementation(() => {});
+  });
+
+  test.each([500, 502, 503, 504, 429])("status %d", async status => {
+    let request = createRequest();
+    fetch.mockResponses(jsonResponse(status, {}), jsonResponse(200, { result: 1 }));
+
+    let res = await request.commit(session);
+    expect(res).toEqual({ result: 1 });
+    expect(request.retryCount).toBe(1);
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(console.log).toHaveBeenCalledWith(
+      `Request failed with status ${status}, retrying in 0ms (attempt 1 of 2)`
+    );
+  });
+
+  test.each(["rateLimitExceeded", "backendError"])("reason %s", async reason => {
+    let request = createRequest();
+    fetch.mockResponses(
+      jsonResponse(403, { error: { errors: [{ reason }] } }),
+      jsonResponse(200, { result: 1 })
+    );
+
+    let res = await request.commit(session);
+    expect(res).toEqual({ result: 1 });
+    expect(request.retryCount).toBe(1);
+    expect(session.notifyQuotaExceeded).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ["POST", {}],
+    ["PATCH", {}],
+  ])("server error %s not retried", async (method, headers) => {
+    let request = new calGoogleRequest({ method, headers, uri: "https://localhost/test" });
+    request.retryPolicy = policy;
+    fetch.mockResponse(...jsonResponse(503, {}));
+
+    // The request might have been applied, retrying could e.g. create the event twice
+    await expect(request.commit(session)).rejects.toThrow("NS_ERROR_NOT_AVAILABLE");
+    expect(request.retryCount).toBe(0);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test.each([
+    ["PUT", {}],
+    ["DELETE", {}],
+    ["PATCH", { "If-Match": '"etag"' }],
+  ])("server error %s retried", async (method, headers) => {
+    let request = new calGoogleRequest({ method, headers, uri: "https://localhost/test" });
+    request.retryPolicy = policy;
+    fetch.mockResponses(jsonResponse(503, {}), jsonResponse(200, { result: 1 }));
+
+    expect(await request.commit(session)).toEqual({ result: 1 });
+    expect(request.retryCount).toBe(1);
+  });
+
+  test.each([
+    [429, {}],
+    [403, { error: { errors: [{ reason: "rateLimitExceeded" }] } }],
+  ])("rate limited POST status %d", async (status, body) => {
+    let request = new calGoogleRequest({ method: "POST", uri: "https://localhost/test" });
+    request.retryPolicy = policy;
+    fetch.mockResponses(jsonResponse(status, body), jsonResponse(200, { result: 1 }));
+
+    // Rate limited requests were not processed, so they can be sent again
+    expect(await request.commit(session)).toEqual({ result: 1 });
+    expect(request.retryCount).toBe(1);
+  });
+
+  test("plain response", async () => {
+    let request = createRequest();
+    fetch.mockResponses(["<html>Bad Gateway</html>", { status: 502 }], jsonResponse(200, {}));
+
+    let res = await request.commit(session);
+    expect(res).toEqual({});
+    expect(request.retryCount).toBe(1);
+  });
+
+  test("exhausted", async () => {
+    let request = createRequest();
+    fetch.mockResponse(...jsonResponse(503, {}));
+
+    await expect(request.commit(session)).rejects.toThrow("NS_ERROR_NOT_AVAILABLE");
+    expect(request.retryCount).toBe(2);
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test("exhausted plain response", async () => {
+    let request = createRequest();
+    jest.spyOn(global.console, "error").mockImplementation(() => {});
+    fetch.mockResponse("Service Unavailable", { status: 503 });
+
+    await expect(request.commit(session)).rejects.toThrow("Received plain response");
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test("exhausted 429", async () => {
+    let request = createRequest();
+    fetch.mockResponse(...jsonResponse(429, {}));
+
+    await expect(request.commit(session)).rejects.toThrow("QUOTA_FAILURE");
+    expect(session.notifyQuotaExceeded).toHaveBeenCalled();
+  });
+
+  test("exhausted rateLimitExceeded", async () => {
+    let request = createRequest();
+    fetch.mockResponse(
+      ...jsonResponse(403, { error: { errors: [{ reason: "rateLimitExceeded" }] } })
+    );
+
+    await expect(request.commit(session)).rejects.toThrow("QUOTA_FAILURE");
+    expect(fetch).toHaveBeenCalledTimes(3);
+    expect(session.notifyQuotaExceeded).toHaveBeenCalled();
+  });
+
+  test.each([400, 401, 404, 409, 412])("fatal status %d", async status => {
+    let request = createRequest();
+    fetch.mockResponse(...jsonResponse(status, {}));
+
+    await expect(request.commit(session)).rejects.toThrow();
+    expect(request.retryCount).toBe(0);
+  });
+
+  test("waits for delay", async () => {
+    let request = createRequest();
+    request.retryPolicy = Object.assign({}, policy, { baseDelay: 20 });
+    jest.spyOn(global, "setTimeout");
+    fetch.mockResponses(jsonResponse(503, {}), jsonResponse(200, {}));
+
+    await request.commit(session);
+    expect(setTimeout).toHaveBeenCalledWith(expect.any(Function), 20);
+  });
+
+  test("backoff delay", () => {
+    let request = createRequest();
+    request.retryPolicy = Object.assign({}, policy, {
+      baseDelay: 1000,
+      maxDelay: 5000,
+      jitter: 100,
+    });
+    jest.spyOn(Math, "random").mockImplementation(() => 0.5);
+
+    expect(request.retryDelay).toBe(1050);
+    request.retryCount = 1;
+    expect(request.retryDelay).toBe(2050);
+    request.retryCount = 2;
+    expect(request.retryDelay).toBe(4050);
+    request.retryCount = 3;
+    expect(request.retryDelay).toBe(5050);
+  });
+
+  test("Retry-After seconds", async () => {
+    let request = createRequest();
+    fetch.mockResponses(jsonResponse(503, {}, { "Retry-After": "0" }), jsonResponse(200, {}));
+    await request.commit(session);
+    expect(request.retryCount).toBe(1);
+
+    request.response = new Response(null, { headers: { "Retry-After": "30" } });
+    expect(request.retryAfter).toBe(30000);
+    expect(request.retryDelay).toBe(30000);
+  });
+
+  test("Retry-After date", async () => {
+    let request = createRequest();
+    let retryDate = new Date(Date.now() - 1000).toUTCString();
+    fetch.mockResponses(
+      jsonResponse(503, {}, { "Retry-After": retryDate }),
+      jsonResponse(200, { result: 1 })
+    );
+    let res = await request.commit(session);
+    expect(res).toEqual({ result: 1 });
+    expect(request.retryCount).toBe(1);
+
+    fetch.mockResponseOnce(...jsonResponse(503, {}, { "Retry-After": "wat" }));
+    request.retryCount = 2;
+    await expect(request.commit(session)).rejects.toThrow("NS_ERROR_NOT_AVAILABLE");
+    expect(request.retryAfter).toBe(null);
+  });
+
+  test("Retry-After too long", async () => {
+    let request = createRequest();
+    fetch.mockResponseOnce(...jsonResponse(503, {}, { "Retry-After": "3600" }));
+
+    await expect(request.commit(session)).rejects.toThrow("NS_ERROR_NOT_AVAILABLE");
+    expect(request.retryCount).toBe(0);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
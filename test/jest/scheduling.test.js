@@ -0,0 +1,199 @@
+import { jest } from "@jest/globals";
+import createMessenger from "./webext-api";
+
+import { findSlots, getOwnBusyTimes, findTime } from "../../src/background/scheduling";
+import calGoogleFreeBusy from "../../src/background/freebusy";
+import { fromRFC3339, UTC } from "../../src/background/utils";
+
+const WORKING_HOURS = {
+  start: "09:00",
+  end: "12:00",
+  days: [1, 2, 3, 4, 5],
+  timeZone: "America/New_York",
+};
+
+function toTime(value) {
+  return new Date(value).getTime();
+}
+
+function slotTimes(slot) {
+  return [new Date(slot.start).toISOString(), new Date(slot.end).toISOString(), slot.unavailable];
+}
+
+beforeEach(() => {
+  global.messenger = createMessenger();
+  messenger.calendar.items.query = jest.fn(async () => []);
+});
+
+describe("findSlots", () => {
+  test("ranking", () => {
+    let slots = findSlots({
+      // Monday and Tuesday in New York, which is UTC-5 in winter
+      rangeStart: toTime("2021-01-04T05:00:00Z"),
+      rangeEnd: toTime("2021-01-06T05:00:00Z"),
+      duration: 60,
+      workingHours: WORKING_HOURS,
+      attendees: [
+        {
+          email: "required@example.com",
+          optional: false,
+          busy: [[toTime("2021-01-04T14:00:00Z"), toTime("2021-01-04T15:00:00Z")]],
+        },
+        {
+          email: "optional@example.com",
+          optional: true,
+          busy: [[toTime("2021-01-04T16:00:00Z"), toTime("2021-01-04T17:00:00Z")]],
+        },
+      ],
+    });
+
+    expect(slots.map(slotTimes)).toEqual([
+      ["2021-01-04T15:00:00.000Z", "2021-01-04T16:00:00.000Z", []],
+      ["2021-01-05T14:00:00.000Z", "2021-01-05T15:00:00.000Z", []],
+      ["2021-01-05T14:30:00.000Z", "2021-01-05T15:30:00.000Z", []],
+      ["2021-01-05T15:00:00.000Z", "2021-01-05T16:00:00.000Z", []],
+      ["2021-01-05T15:30:00.000Z", "2021-01-05T16:30:00.000Z", []],
+      ["2021-01-05T16:00:00.000Z", "2021-01-05T17:00:00.000Z", []],
+      ["2021-01-04T15:30:00.000Z", "2021-01-04T16:30:00.000Z", ["optional@example.com"]],
+      ["2021-01-04T16:00:00.000Z", "2021-01-04T17:00:00.000Z", ["optional@example.com"]],
+    ]);
+  });
+
+  test("limit and working days", () => {
+    let options = {
+      // Saturday to Monday
+      rangeStart: toTime("2021-01-09T05:00:00Z"),
+      rangeEnd: toTime("2021-01-12T05:00:00Z"),
+      duration: 30,
+      workingHours: WORKING_HOURS,
+      attendees: [],
+      limit: 2,
+    };
+
+    expect(findSlots(options).map(slotTimes)).toEqual([
+      ["2021-01-11T14:00:00.000Z", "2021-01-11T14:30:00.000Z", []],
+      ["2021-01-11T14:30:00.000Z", "2021-01-11T15:00:00.000Z", []],
+    ]);
+
+    options.workingHours = { ...WORKING_HOURS, days: [6] };
+    expect(findSlots(options).map(slotTimes)[0]).toEqual([
+      "2021-01-09T14:00:00.000Z",
+      "2021-01-09T14:30:00.000Z",
+      [],
+    ]);
+  });
+});
+
+test("getOwnBusyTimes", async () => {
+  function event(props, wrap = false) {
+    let vevent = ["vevent", props, []];
+    return {
+      type: "event",
+      formats: { use: "jcal", jcal: wrap ? ["vcalendar", [], [vevent]] : vevent },
+    };
+  }
+  messenger.calendar.items.query = jest.fn(async () => [
+    event([
+      ["dtstart", {}, "date-time", "2021-07-01T10:00:00Z"],
+      ["dtend", {}, "date-time", "2021-07-01T11:00:00Z"],
+    ]),
+    event([
+      ["dtstart", { tzid: "America/New_York" }, "date-time", "2021-07-01T09:00:00"],
+      ["dtend", { tzid: "America/New_York" }, "date-time", "2021-07-01T10:00:00"],
+    ]),
+    event([
+      ["dtstart", {}, "date", "2021-07-02"],
+      ["dtend", {}, "date", "2021-07-03"],
+    ]),
+    event([
+      ["dtstart", {}, "date-time", "2021-07-01T15:00:00Z"],
+      ["dtend", {}, "date-time", "2021-07-01T16:00:00Z"],
+      ["transp", {}, "text", "TRANSPARENT"],
+    ]),
+    event(
+      [
+        ["dtstart", { tzid: "Custom Zone" }, "date-time", "2021-07-01T12:00:00"],
+        ["duration", {}, "duration", "PT30M"],
+      ],
+      true
+    ),
+  ]);
+
+  let busy = await getOwnBusyTimes(
+    toTime("2021-07-01T00:00:00Z"),
+    toTime("2021-07-03T00:00:00Z"),
+    "Europe/Berlin"
+  );
+
+  expect(messenger.calendar.items.query).toHaveBeenCalledWith({
+    type: "event",
+    rangeStart: "20210701T000000Z",
+    rangeEnd: "20210703T000000Z",
+    expand: true,
+    returnFormat: "jcal",
+  });
+  expect(
+    busy.map(([start, end]) => [new Date(start).toISOString(), new Date(end).toISOString()])
+  ).toEqual([
+    ["2021-07-01T10:00:00.000Z", "2021-07-01T11:00:00.000Z"],
+    ["2021-07-01T13:00:00.000Z", "2021-07-01T14:00:00.000Z"],
+    ["2021-07-01T22:00:00.000Z", "2021-07-02T22:00:00.000Z"],
+    ["2021-07-01T10:00:00.000Z", "2021-07-01T10:30:00.000Z"],
+  ]);
+});
+
+test("findTime", async () => {
+  calGoogleFreeBusy.instance = {
+    getBusyTimes: jest.fn(async attendee => {
+      if (attendee != "required@example.com") {
+        return null;
+      }
+      return [
+        {
+          start: fromRFC3339("2021-01-04T14:00:00Z", UTC),
+          end: fromRFC3339("2021-01-04T16:00:00Z", UTC),
+        },
+      ];
+    }),
+  };
+  messenger.calendar.items.query = jest.fn(async () => [
+    {
+      type: "event",
+      formats: {
+        use: "jcal",
+        jcal: [
+          "vevent",
+          [
+            ["dtstart", {}, "date-time", "2021-01-04T16:00:00Z"],
+            ["dtend", {}, "date-time", "2021-01-04T16:30:00Z"],
+          ],
+          [],
+        ],
+      },
+    },
+  ]);
+
+  let result = await findTime({
+    action: "findTime",
+    attendees: [
+      { email: "required@example.com", optional: false },
+      { email: "unknown@example.com", optional: true },
+    ],
+    rangeStart: "2021-01-04",
+    rangeEnd: "2021-01-04",
+    duration: 30,
+    workingHours: WORKING_HOURS,
+  });
+
+  expect(calGoogleFreeBusy.instance.getBusyTimes).toHaveBeenCalledWith(
+    "required@example.com",
+    "20210104T050000Z",
+    "20210105T050000Z"
+  );
+  expect(result).toEqual({
+    slots: [
+      { start: "2021-01-04T16:30:00.000Z", end: "2021-01-04T17:00:00.000Z", unavailable: [] },
+    ],
+    unknown: ["unknown@example.com"],
+  });
+});
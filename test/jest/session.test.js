@@ -5,6 +5,7 @@ import sessions from "../../src/background/session";
 import calGoogleRequest from "../../src/background/request";
 import { jest } from "@jest/globals";
 import createMessenger from "./webext-api";
+import { fromRFC3339, UTC } from "../../src/background/utils";
 
 let session;
 
@@ -15,8 +16,13 @@ beforeEach(() => {
   session = sessions.byId("sessionId", true);
   session.oauth.accessToken = "accessToken";
   session.oauth.expires = new Date(new Date().getTime() + 10000);
+  session.invalidateCalendarList();
 
   jestFetchMock.doMock();
+  calGoogleRequest.retryPolicy = Object.assign({}, calGoogleRequest.retryPolicy, {
+    baseDelay: 0,
+    jitter: 0,
+  });
 });
 
 test("get session ids", () => {
@@ -38,7 +44,7 @@ test("get session by id", () => {
 
   expect(console.log).toHaveBeenLastCalledWith("[calGoogleSession]", "Creating session", id);
   expect(session2.id).toBe(id);
-  expect(global.messenger.calendar.provider.onFreeBusy.addListener).toHaveBeenCalled();
+  expect(global.messenger.calendar.provider.onFreeBusy.addListener).not.toHaveBeenCalled();
 
   let session3 = sessions.byId(id);
   expect(session3).toBe(session2);
@@ -62,88 +68,93 @@ test("get session by id", () => {
 });
 
 describe("freebusy request", () => {
+  let start = fromRFC3339("2021-01-01T00:00:00Z", UTC);
+  let end = fromRFC3339("2021-01-02T00:00:00Z", UTC);
+
+  function toStrings(results) {
+    return Object.fromEntries(
+      Object.entries(results).map(([attendee, busy]) => [
+        attendee,
+        busy.map(interval => [interval.start.toICALString(), interval.end.toICALString()]),
+      ])
+    );
+  }
+
   test("success", async () => {
     fetch.mockResponseOnce(
       JSON.stringify({
         calendars: {
           "user@example.com": {
-            busy: [{ start: "2021-01-01T00:00:00", end: "2021-01-02T00:00:00" }],
+            busy: [
+              { start: "2021-01-01T01:00:00Z", end: "2021-01-01T02:00:00Z" },
+              { start: "2021-01-01T10:00:00+01:00", end: "2021-01-01T11:30:00.000+01:00" },
+            ],
           },
+          "user2@example.com": { busy: [] },
         },
       }),
       { headers: { "Content-Type": "application/json" } }
     );
 
-    let busy = await session.onFreeBusy(
-      "mailto:user@example.com",
-      "20210101T000000",
-      "20210102T000000",
-      null
+    let results = await session.requestFreeBusy(
+      ["user@example.com", "user2@example.com"],
+      start,
+      end
     );
 
-    expect(busy).toEqual([
-      {
-        id: "user@example.com",
-        start: undefined,
-        end: undefined,
-        type: "BUSY",
-      },
-    ]);
-  });
-
-  test("result no email", async () => {
-    let busy = await session.onFreeBusy(
-      "urn:id:d35c674d-d677-4e41-81a8-de28fe0c6b64",
-      "20210101T000000",
-      "20210102T000000",
-      null
-    );
-    expect(busy).toEqual([]);
+    expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({
+      timeMin: "2021-01-01T00:00:00.000Z",
+      timeMax: "2021-01-02T00:00:00.000Z",
+      items: [{ id: "user@example.com" }, { id: "user2@example.com" }],
+    });
+    expect(toStrings(results)).toEqual({
+      "user@example.com": [
+        ["20210101T010000Z", "20210101T020000Z"],
+        ["20210101T090000Z", "20210101T103000Z"],
+      ],
+      "user2@example.com": [],
+    });
   });
 
   test("failed", async () => {
-    fetch.mockResponseOnce("{}", { status: 500 });
-    let busy = await session.onFreeBusy(
-      "mailto:user@example.com",
-      "20210101T000000",
-      "20210102T000000",
-      null
-    );
-    expect(busy).toEqual([]);
+    fetch.mockResponse("{}", { status: 500 });
+    await expect(session.requestFreeBusy(["user@example.com"], start, end)).rejects.toThrow();
   });
 
   test("api error", async () => {
     fetch.mockResponseOnce(JSON.stringify({ error: { errors: [{ reason: "karma" }] } }), {
       headers: { "Content-Type": "application/json" },
     });
-    let busy = await session.onFreeBusy(
-      "mailto:user@example.com",
-      "20210101T000000",
-      "20210102T000000",
-      null
+    await expect(session.requestFreeBusy(["user@example.com"], start, end)).rejects.toThrow(
+      "Could not request freebusy: karma"
     );
-    expect(busy).toEqual([]);
   });
 
-  test("missing user", async () => {
+  test("attendee errors", async () => {
     fetch.mockResponseOnce(
       JSON.stringify({
         calendars: {
+          "user@example.com": { errors: [{ reason: "notFound" }], busy: [] },
           "user2@example.com": {
-            busy: [{ start: "2021-01-01T00:00:00", end: "2021-01-02T00:00:00" }],
+            busy: [{ start: "2021-01-01T00:00:00Z", end: "2021-01-02T00:00:00Z" }],
           },
         },
       }),
       { headers: { "Content-Type": "application/json" } }
     );
 
-    let busy = await session.onFreeBusy(
-      "mailto:user@example.com",
-      "20210101T000000",
-      "20210102T000000",
-      null
+    let results = await session.requestFreeBusy(
+      ["user@example.com", "user2@example.com", "user3@example.com"],
+      start,
+      end
+    );
+    expect(toStrings(results)).toEqual({
+      "user2@example.com": [["20210101T000000Z", "20210102T000000Z"]],
+    });
+    expect(console.error).toHaveBeenCalledWith(
+      "[calGoogleSession]",
+      "Could not request freebusy for user@example.com: notFound"
     );
-    expect(busy).toEqual([]);
   });
 });
 
@@ -321,6 +332,96 @@ test("getCalendarList", async () => {
   );
 });
 
+describe("calendar list cache", () => {
+  function mockCalendarList(items) {
+    fetch.mockResponseOnce(JSON.stringify({ items }), {
+      headers: { "Content-Type": "application/json" },
+    });
+  }
+
+  test("shared", async () => {
+    mockCalendarList([{ id: "cal1" }, { id: "cal2" }]);
+
+    let [items, entry] = await Promise.all([
+      session.getCalendarList(),
+      session.getCalendarListEntry("cal2"),
+    ]);
+    expect(items).toEqual([{ id: "cal1" }, { id: "cal2" }]);
+    expect(entry).toEqual({ id: "cal2" });
+    expect(await session.getCalendarListEntry("cal3")).toBe(null);
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    session.invalidateCalendarList();
+    mockCalendarList([{ id: "cal3" }]);
+    expect(await session.getCalendarListEntry("cal3")).toEqual({ id: "cal3" });
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test("expired", async () => {
+    mockCalendarList([{ id: "cal1" }]);
+    await session.getCalendarList();
+
+    session.calendarListCache.time -= session.calendarListTTL - 1000;
+    await session.getCalendarList();
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    session.calendarListCache.time -= 1000;
+    mockCalendarList([{ id: "cal2" }]);
+    expect(await session.getCalendarList()).toEqual([{ id: "cal2" }]);
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test("failure is not cached", async () => {
+    fetch.mockResponseOnce(JSON.stringify({ error: { errors: [{ reason: "invalid" }] } }), {
+      status: 400,
+      headers: { "Content-Type": "application/json" },
+    });
+    await expect(session.getCalendarList()).rejects.toThrow("NS_ERROR_NOT_AVAILABLE");
+    expect(session.calendarListCache).toBe(null);
+
+    mockCalendarList([{ id: "cal1" }]);
+    expect(await session.getCalendarList()).toEqual([{ id: "cal1" }]);
+  });
+});
+
+describe("colors", () => {
+  const COLORS = { calendar: {}, event: { 1: { background: "#a4bdfc", foreground: "#1d1d1d" } } };
+
+  beforeEach(() => {
+    session.colorsCache = null;
+  });
+
+  test("requested once", async () => {
+    fetch.mockResponseOnce(JSON.stringify(COLORS), {
+      headers: { "Content-Type": "application/json" },
+    });
+
+    let [colors, again] = await Promise.all([session.getColors(), session.getColors()]);
+    expect(colors).toEqual(COLORS);
+    expect(again).toEqual(COLORS);
+    expect(await session.getColors()).toEqual(COLORS);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(fetch).toHaveBeenCalledWith(
+      new URL("https://www.googleapis.com/calendar/v3/colors"),
+      expect.objectContaining({ method: "GET" })
+    );
+  });
+
+  test("failure is not cached", async () => {
+    fetch.mockResponseOnce(JSON.stringify({ error: { errors: [{ reason: "invalid" }] } }), {
+      status: 400,
+      headers: { "Content-Type": "application/json" },
+    });
+    await expect(session.getColors()).rejects.toThrow("NS_ERROR_NOT_AVAILABLE");
+    expect(session.colorsCache).toBe(null);
+
+    fetch.mockResponseOnce(JSON.stringify(COLORS), {
+      headers: { "Content-Type": "application/json" },
+    });
+    expect(await session.getColors()).toEqual(COLORS);
+  });
+});
+
 test("getTasksList", async () => {
   fetch.mockResponses(
     [
@@ -364,3 +465,154 @@ test("invalidate", async () => {
   expect(session.oauth.invalidate).toHaveBeenCalled();
   expect(messenger.gdata.setOAuthToken).toHaveBeenCalledWith("sessionId", "refreshToken");
 });
+
+describe("batching", () => {
+  const EVENTS_URI = "https://www.googleapis.com/calendar/v3/calendars/id1/events/";
+  const TASKS_URI = "https://www.googleapis.com/tasks/v1/lists/id1/tasks/";
+
+  function mockBatchResponse(ids) {
+    let body = ids
+      .map(
+        id =>
+          "--batch_response\r\n" +
+          `Content-ID: <response-${id}>\r\n\r\n` +
+          "HTTP/1.1 200 OK\r\n" +
+          "Content-Type: application/json\r\n\r\n" +
+          JSON.stringify({ id }) +
+          "\r\n"
+      )
+      .join("");
+    fetch.mockResponseOnce(body + "--batch_response--", {
+      headers: { "Content-Type": "multipart/mixed; boundary=batch_response" },
+    });
+  }
+
+  function mockInvalidResponse() {
+    fetch.mockResponseOnce(JSON.stringify({ error: { errors: [{ reason: "invalid" }] } }), {
+      status: 400,
+      headers: { "Content-Type": "application/json" },
+    });
+  }
+
+  function deleteRequest(uri) {
+    return new calGoogleRequest({ method: "DELETE", uri });
+  }
+
+  test("batchRequest chunks", async () => {
+    let requests = [];
+    for (let i = 0; i < 51; i++) {
+      requests.push(deleteRequest(EVENTS_URI + "event" + i));
+    }
+
+    mockBatchResponse([...new Array(50).keys()].map(index => "item" + index));
+    mockBatchResponse(["item0"]);
+
+    let results = await session.batchRequest(requests);
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(fetch.mock.calls[0][1].body.match(/Content-ID/g).length).toBe(50);
+    expect(fetch.mock.calls[1][1].body.match(/Content-ID/g).length).toBe(1);
+
+    expect(results.length).toBe(51);
+    expect(results[49]).toEqual({ status: "fulfilled", value: { id: "item49" } });
+    expect(results[50]).toEqual({ status: "fulfilled", value: { id: "item0" } });
+  });
+
+  test("batchRequest failure", async () => {
+    let requests = [deleteRequest(EVENTS_URI + "event1"), deleteRequest(EVENTS_URI + "event2")];
+    mockInvalidResponse();
+
+    let results = await session.batchRequest(requests);
+    expect(results.map(result => result.status)).toEqual(["rejected", "rejected"]);
+    expect(results[0].reason.message).toBe("NS_ERROR_NOT_AVAILABLE");
+  });
+
+  test("queueRequest single", async () => {
+    fetch.mockResponseOnce(JSON.stringify({ id: "event1" }), {
+      headers: { "Content-Type": "application/json" },
+    });
+
+    expect(await session.queueRequest(deleteRequest(EVENTS_URI + "event1"))).toEqual({
+      id: "event1",
+    });
+    expect(fetch).toHaveBeenCalledWith(new URL(EVENTS_URI + "event1"), expect.anything());
+    expect(session.batchQueue).toEqual([]);
+  });
+
+  test("queueRequest grouped", async () => {
+    mockBatchResponse(["item0", "item1"]);
+    fetch.mockResponseOnce(JSON.stringify({ id: "task1" }), {
+      headers: { "Content-Type": "application/json" },
+    });
+
+    let results = await Promise.all([
+      session.queueRequest(deleteRequest(EVENTS_URI + "event1")),
+      session.queueRequest(deleteRequest(TASKS_URI + "task1")),
+      session.queueRequest(deleteRequest(EVENTS_URI + "event2")),
+    ]);
+
+    expect(results).toEqual([{ id: "item0" }, { id: "task1" }, { id: "item1" }]);
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(fetch).toHaveBeenCalledWith(
+      new URL("https://www.googleapis.com/batch/calendar/v3"),
+      expect.objectContaining({ method: "POST" })
+    );
+    expect(fetch).toHaveBeenCalledWith(new URL(TASKS_URI + "task1"), expect.anything());
+    expect(console.log).toHaveBeenCalledWith(
+      "[calGoogleSession]",
+      "Sending 2 queued requests in batches"
+    );
+  });
+
+  test("queueRequest while sending", async () => {
+    let release;
+    fetch.mockResponseOnce(
+      () =>
+        new Promise(resolve => {
+          release = () =>
+            resolve({
+              body: JSON.stringify({ id: "event1" }),
+              headers: { "Content-Type": "application/json" },
+            });
+        })
+    );
+    mockBatchResponse(["item0", "item1"]);
+
+    // The first request is sent right away, the ones queued while it is sent are batched
+    let first = session.queueRequest(deleteRequest(EVENTS_URI + "event1"));
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(fetch).toHaveBeenCalledWith(new URL(EVENTS_URI + "event1"), expect.anything());
+
+    let others = [
+      session.queueRequest(deleteRequest(EVENTS_URI + "event2")),
+      session.queueRequest(deleteRequest(EVENTS_URI + "event3")),
+    ];
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(fetch).toHaveBeenCalledTimes(1);
+    release();
+
+    expect(await Promise.all([first, ...others])).toEqual([
+      { id: "event1" },
+      { id: "item0" },
+      { id: "item1" },
+    ]);
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(fetch).toHaveBeenLastCalledWith(
+      new URL("https://www.googleapis.com/batch/calendar/v3"),
+      expect.objectContaining({ method: "POST" })
+    );
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(session.batchSending).toBe(false);
+  });
+
+  test("queueRequest failure", async () => {
+    mockInvalidResponse();
+
+    await expect(
+      Promise.all([
+        session.queueRequest(deleteRequest(EVENTS_URI + "event1")),
+        session.queueRequest(deleteRequest(EVENTS_URI + "event2")),
+      ])
+    ).rejects.toThrow("NS_ERROR_NOT_AVAILABLE");
+  });
+});
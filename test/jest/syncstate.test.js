@@ -0,0 +1,110 @@
+import createMessenger from "./webext-api";
+
+import calGoogleSyncState, { SYNC_STATE_VERSION } from "../../src/background/syncstate";
+
+let state;
+
+beforeEach(() => {
+  global.messenger = createMessenger();
+  state = new calGoogleSyncState("id1");
+});
+
+test("get and set", async () => {
+  expect(await state.get("eventSyncToken")).toBe(null);
+  expect(await state.get("settings.defaultReminders", "[]")).toBe("[]");
+
+  await state.set("eventSyncToken", "token");
+  expect(await state.get("eventSyncToken")).toBe("token");
+  expect(messenger.storage.local.storage["calendars.id1.eventSyncToken"]).toBe("token");
+
+  await state.set("outbox", [{ id: "item1" }]);
+  expect(await state.get("outbox")).toEqual([{ id: "item1" }]);
+
+  // Missing values from the server are stored as null
+  await state.set("settings.description", undefined);
+  expect(messenger.storage.local.storage["calendars.id1.settings.description"]).toBe(null);
+});
+
+test("invalid keys and values", async () => {
+  await expect(state.get("eventsSyncToken")).rejects.toThrow(
+    "Unknown sync state key: eventsSyncToken"
+  );
+  await expect(state.set("settings.primary", "yes")).rejects.toThrow(
+    "Invalid value for sync state key settings.primary, expected boolean"
+  );
+  await expect(state.set("outbox", {})).rejects.toThrow(
+    "Invalid value for sync state key outbox, expected array"
+  );
+});
+
+test("update is atomic", async () => {
+  await expect(
+    state.update({ "settings.summary": "summary", "settings.primary": "yes" })
+  ).rejects.toThrow("Invalid value");
+  expect(await state.get("settings.summary")).toBe(null);
+
+  await state.update({ "settings.summary": "summary", "settings.primary": true });
+  expect(await state.get("settings.summary")).toBe("summary");
+  expect(await state.get("settings.primary")).toBe(true);
+});
+
+test("reset", async () => {
+  await state.update({
+    eventSyncToken: "token",
+    tasksLastUpdated: "2030-01-01T00:00:00.000Z",
+    calendarListEtag: '"etag"',
+    "throttle.events": "2030-01-01T00:00:00.000Z",
+    "settings.summary": "summary",
+    outbox: [{ id: "item1" }],
+  });
+
+  await state.reset();
+
+  expect(await state.get("eventSyncToken")).toBe(null);
+  expect(await state.get("tasksLastUpdated")).toBe(null);
+  expect(await state.get("calendarListEtag")).toBe(null);
+  expect(await state.get("throttle.events")).toBe(null);
+
+  // Settings and pending changes are kept
+  expect(await state.get("settings.summary")).toBe("summary");
+  expect(await state.get("outbox")).toEqual([{ id: "item1" }]);
+});
+
+test("remove", async () => {
+  await state.migrate();
+  await state.update({ eventSyncToken: "token", "settings.summary": "summary" });
+  await new calGoogleSyncState("id2").set("eventSyncToken", "other");
+
+  await state.remove();
+
+  expect(Object.keys(messenger.storage.local.storage)).toEqual(["calendars.id2.eventSyncToken"]);
+});
+
+test("migrate", async () => {
+  messenger.storage.local.storage["calendars.id1.eventsSyncToken"] = null;
+  messenger.storage.local.storage["calendars.id1.eventSyncToken"] = "token";
+
+  await state.migrate();
+  expect(messenger.storage.local.storage).toEqual({
+    "calendars.id1.eventSyncToken": "token",
+    "calendars.id1.syncStateVersion": SYNC_STATE_VERSION,
+  });
+
+  // Migrating again does nothing
+  messenger.storage.local.storage["calendars.id1.eventsSyncToken"] = null;
+  await state.migrate();
+  expect(messenger.storage.local.storage["calendars.id1.eventsSyncToken"]).toBe(null);
+});
+
+test("legacy google user", async () => {
+  expect(await calGoogleSyncState.getLegacyGoogleUser("cal@example.com")).toBe(null);
+
+  await messenger.storage.local.set({ "googleUser.cal@example.com": "user1@example.com" });
+  expect(await calGoogleSyncState.getLegacyGoogleUser("cal@example.com")).toBe("user1@example.com");
+
+  // The key migrated from the legacy prefs takes precedence
+  await messenger.storage.local.set({
+    "googleUser.cal@example.com.googleUser": "user2@example.com",
+  });
+  expect(await calGoogleSyncState.getLegacyGoogleUser("cal@example.com")).toBe("user2@example.com");
+});
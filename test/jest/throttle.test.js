@@ -0,0 +1,78 @@
+import { jest } from "@jest/globals";
+import createMessenger from "./webext-api";
+
+import calGoogleThrottle, { THROTTLE_INTERVALS } from "../../src/background/throttle";
+
+let calendar, throttle;
+
+beforeEach(() => {
+  global.messenger = createMessenger();
+  jest.spyOn(global.console, "log").mockImplementation(() => {});
+
+  let prefs = {};
+  calendar = {
+    console,
+    getCalendarPref: jest.fn(async (pref, defaultValue = null) => prefs[pref] ?? defaultValue),
+    setCalendarPref: jest.fn(async (pref, value) => {
+      prefs[pref] = value;
+    }),
+  };
+  throttle = new calGoogleThrottle(calendar);
+});
+
+test("resources", () => {
+  expect(throttle.resources).toEqual(["calendarList", "events", "tasks"]);
+});
+
+test("never synced", async () => {
+  expect(await throttle.getLastSync("events")).toBe(null);
+  expect(await throttle.check("events")).toBe(true);
+});
+
+test("unknown resource", async () => {
+  await expect(throttle.check("wat")).rejects.toThrow("Unknown throttle resource: wat");
+});
+
+test("interval", async () => {
+  expect(await throttle.getInterval("events")).toBe(THROTTLE_INTERVALS.events * 1000);
+  await messenger.storage.local.set({ "settings.throttle.events": 5 });
+  expect(await throttle.getInterval("events")).toBe(5000);
+});
+
+test("throttled", async () => {
+  await throttle.update("events");
+  expect(calendar.setCalendarPref).toHaveBeenCalledWith("throttle.events", expect.any(String));
+
+  expect(await throttle.check("events")).toBe(false);
+  expect(console.log).toHaveBeenCalledWith(
+    expect.stringMatching(/^Throttling events request, last sync was \d+s ago$/)
+  );
+
+  // Other resources are tracked separately
+  expect(await throttle.check("tasks")).toBe(true);
+  expect(await throttle.check("calendarList")).toBe(true);
+});
+
+test("interval passed", async () => {
+  let lastSync = new Date(Date.now() - (THROTTLE_INTERVALS.calendarList + 1) * 1000);
+  await throttle.update("calendarList", lastSync);
+  expect(await throttle.getLastSync("calendarList")).toEqual(lastSync);
+  expect(await throttle.check("calendarList")).toBe(true);
+});
+
+test("clock turned back", async () => {
+  await throttle.update("tasks", new Date(Date.now() + 86400 * 1000));
+  expect(await throttle.check("tasks")).toBe(true);
+});
+
+test("reset", async () => {
+  await throttle.update("events");
+  await throttle.update("tasks");
+  await throttle.update("calendarList");
+
+  await throttle.reset();
+
+  expect(await throttle.check("events")).toBe(true);
+  expect(await throttle.check("tasks")).toBe(true);
+  expect(await throttle.check("calendarList")).toBe(true);
+});
@@ -2,9 +2,17 @@ import {
   isEmail,
   addVCalendar,
   getGoogleId,
+  getRecurrenceId,
   categoriesStringToArray,
   arrayToCategoriesString,
   isTesting,
+  mapLimit,
+  fromRFC3339,
+  toRFC3339,
+  parseColor,
+  findClosestColor,
+  getColorName,
+  UTC,
 } from "../../src/background/utils";
 
 import ICAL from "ical.js";
@@ -62,6 +70,82 @@ test("getGoogleId", () => {
     },
   };
   expect(getGoogleId(item)).toBe("foo_20210101T020304Z");
+
+  // The instance id is not added twice
+  item.metadata = { path: "foo_20210101T020304Z" };
+  expect(getGoogleId(item)).toBe("foo_20210101T020304Z");
+});
+
+test("getRecurrenceId", () => {
+  let vevent = ["vevent", [["recurrence-id", {}, "date", "2021-01-01"]], []];
+  expect(getRecurrenceId({ formats: { jcal: vevent } })).toBe("20210101");
+  expect(getRecurrenceId({ formats: { jcal: addVCalendar(vevent) } })).toBe("20210101");
+
+  expect(getRecurrenceId({ formats: { jcal: ["vevent", [], []] } })).toBe(null);
+  expect(getRecurrenceId({ formats: { jcal: addVCalendar(["vtodo", [], []]) } })).toBe(null);
+  expect(getRecurrenceId({ id: "task", type: "task" })).toBe(null);
+});
+
+describe("RFC 3339", () => {
+  // A fixed +05:30 zone without daylight saving time
+  let kolkata = new ICAL.Timezone(
+    new ICAL.Component([
+      "vtimezone",
+      [["tzid", {}, "text", "Asia/Kolkata"]],
+      [
+        [
+          "standard",
+          [
+            ["tzoffsetfrom", {}, "utc-offset", "+05:30"],
+            ["tzoffsetto", {}, "utc-offset", "+05:30"],
+            ["tzname", {}, "text", "IST"],
+            ["dtstart", {}, "date-time", "1970-01-01T00:00:00"],
+          ],
+          [],
+        ],
+      ],
+    ])
+  );
+
+  test("fromRFC3339", () => {
+    let date = fromRFC3339("2021-01-02");
+    expect(date.isDate).toBe(true);
+    expect(date.toString()).toBe("2021-01-02");
+
+    let utc = fromRFC3339("2021-01-02T03:04:05.678Z");
+    expect(utc.zone).toBe(UTC);
+    expect(utc.toICALString()).toBe("20210102T030405Z");
+
+    // Offsets are converted to the requested zone
+    expect(fromRFC3339("2021-01-02T03:04:05-01:30", UTC).toICALString()).toBe("20210102T043405Z");
+    let local = fromRFC3339("2021-01-02T00:00:00Z", kolkata);
+    expect(local.zone).toBe(kolkata);
+    expect(local.toString()).toBe("2021-01-02T05:30:00");
+
+    // Without an offset the time is in the requested zone
+    let fixed = fromRFC3339("2021-01-02T03:04:05", kolkata);
+    expect(fixed.zone).toBe(kolkata);
+    expect(fixed.toString()).toBe("2021-01-02T03:04:05");
+    expect(fromRFC3339("2021-01-02T03:04:05").toString()).toBe("2021-01-02T03:04:05");
+
+    expect(fromRFC3339("20210102T030405Z")).toBe(null);
+    expect(fromRFC3339(null)).toBe(null);
+  });
+
+  test("toRFC3339", () => {
+    expect(toRFC3339(fromRFC3339("2021-01-02"))).toBe("2021-01-02");
+    expect(toRFC3339(fromRFC3339("2021-01-02T03:04:05Z"))).toBe("2021-01-02T03:04:05.000Z");
+    expect(toRFC3339(fromRFC3339("2021-01-02T03:04:05"))).toBe("2021-01-02T03:04:05.000");
+    expect(toRFC3339(fromRFC3339("2021-01-02T03:04:05", kolkata))).toBe(
+      "2021-01-02T03:04:05.000+05:30"
+    );
+    expect(toRFC3339(null)).toBe(null);
+
+    let str = "2021-06-30T23:59:59.000-01:30";
+    expect(toRFC3339(fromRFC3339(toRFC3339(fromRFC3339(str, UTC)), UTC))).toBe(
+      "2021-07-01T01:29:59.000Z"
+    );
+  });
 });
 
 test("categoriesStringToArray", () => {
@@ -77,3 +161,41 @@ test("arrayToCategoriesString", () => {
 test("isTesting", async () => {
   expect(await isTesting()).toBe(true);
 });
+
+test("mapLimit", async () => {
+  let running = 0;
+  let maxRunning = 0;
+  let results = await mapLimit([1, 2, 3, 4, 5], 2, async (value, index) => {
+    running++;
+    maxRunning = Math.max(running, maxRunning);
+    await new Promise(resolve => setTimeout(resolve, 5 - value));
+    running--;
+    return value * 10 + index;
+  });
+
+  expect(results).toEqual([10, 21, 32, 43, 54]);
+  expect(maxRunning).toBe(2);
+  expect(await mapLimit([], 2, async () => {})).toEqual([]);
+});
+
+test("colors", () => {
+  expect(parseColor("#d22")).toEqual([221, 34, 34]);
+  expect(parseColor("#A0C0F0")).toEqual([160, 192, 240]);
+  expect(parseColor("Turquoise")).toEqual([64, 224, 208]);
+  expect(parseColor("notacolor")).toBe(null);
+  expect(parseColor(null)).toBe(null);
+
+  let candidates = [
+    ["a", "#000000"],
+    ["b", "invalid"],
+    ["c", "white"],
+  ];
+  expect(findClosestColor("#eee", candidates)).toBe("c");
+  expect(findClosestColor("navy", candidates)).toBe("a");
+  expect(findClosestColor("invalid", candidates)).toBe(null);
+  expect(findClosestColor("#eee", [])).toBe(null);
+
+  expect(getColorName("#dc2127")).toBe("crimson");
+  expect(getColorName("#ff0000")).toBe("red");
+  expect(getColorName(undefined)).toBe(null);
+});
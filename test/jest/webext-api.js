@@ -52,6 +52,11 @@ export class WebExtStorage {
       this.storage[key] = value;
     }
   }
+  async remove(keys) {
+    for (let key of [].concat(keys)) {
+      delete this.storage[key];
+    }
+  }
 }
 
 export class WebExtCalendars {
@@ -66,6 +71,10 @@ export class WebExtCalendars {
     this.remove = jest.fn(this.remove.bind(this));
     this.update = jest.fn(this.update.bind(this));
     this.clear = jest.fn();
+    this.reportSyncProgress = jest.fn(async () => {});
+    this.clearSyncProgress = jest.fn(async () => {});
+
+    this.onRemoved = new WebExtListener();
   }
 
   async query(opts) {
@@ -112,7 +121,9 @@ export class WebExtCalendarItems {
     this._calendars = {};
 
     this.create = jest.fn(this._create.bind(this));
+    this.createMany = jest.fn(this._createMany.bind(this));
     this.remove = jest.fn(this._remove.bind(this));
+    this.removeMany = jest.fn(this._removeMany.bind(this));
     this.get = jest.fn(this.get.bind(this));
   }
 
@@ -127,11 +138,26 @@ export class WebExtCalendarItems {
     this._calendars[calendarId][item.id] = item;
   }
 
+  async _createMany(calendarId, items) {
+    for (let item of items) {
+      await this._create(calendarId, item);
+    }
+  }
+
   async _remove(calendarId, id) {
     this._ensureCalendar(calendarId);
     delete this._calendars[calendarId][id];
   }
 
+  async _removeMany(calendarId, ids) {
+    this._ensureCalendar(calendarId);
+    let removed = ids.filter(id => id in this._calendars[calendarId]);
+    for (let id of removed) {
+      delete this._calendars[calendarId][id];
+    }
+    return removed;
+  }
+
   async get(calendarId, id) {
     return this._calendars?.[calendarId]?.[id];
   }
@@ -147,12 +173,17 @@ export default function createMessenger() {
         onItemCreated: new WebExtListener(),
         onItemUpdated: new WebExtListener(),
         onItemRemoved: new WebExtListener(),
+        onItemMoved: new WebExtListener(),
         onInit: new WebExtListener(),
         onSync: new WebExtListener(),
         onResetSync: new WebExtListener(),
         onDetectCalendars: new WebExtListener(),
       },
     },
+    calendarItemDetails: {
+      getItem: jest.fn(async () => null),
+      setProperty: jest.fn(async () => {}),
+    },
     gdata: {
       _token: "token",
       getOAuthToken: jest.fn(async () => {
@@ -162,6 +193,8 @@ export default function createMessenger() {
       setOAuthToken: jest.fn(async val => {
         messenger.gdata._token = val;
       }),
+
+      promptConflict: jest.fn(async () => "reload"),
     },
     runtime: {
       id: "{a62ef8ec-5fdc-40c2-873c-223b8a6925cc}",
@@ -189,6 +222,7 @@ export default function createMessenger() {
     },
     notifications: {
       create: jest.fn(async () => {}),
+      onClicked: new WebExtListener(),
     },
     webRequest: {
       onBeforeRequest: new WebExtListener(),
@@ -198,6 +232,7 @@ export default function createMessenger() {
         return { id: "windowId" };
       }),
       remove: jest.fn(async () => {}),
+      openDefaultBrowser: jest.fn(async () => {}),
       onRemoved: new WebExtListener(),
     },
   };